@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark: time processFiles on a generated set of files, sequentially,
+ * with in-process concurrency and on worker threads
+ * Run with `npm run benchmark [-- <files>]`; it reports timings and checks nothing.
+ */
+
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { availableParallelism, tmpdir } from 'os';
+import { join } from 'path';
+import { processFiles } from '../src/index.js';
+
+const FILE_COUNT = Number(process.argv[2]) || 240;
+const LOCALES = ['en', 'de', 'ru', 'ar'];
+const CORES = availableParallelism();
+const ROUNDS = 3;
+
+/**
+ * Generate a namespace file with interpolation, plurals and contexts
+ * @param {number} index - Number of the namespace
+ * @returns {Object} Translations
+ */
+function generateNamespace(index) {
+  const translations = {};
+  for (let key = 0; key < 25; key++) {
+    translations[`title${key}`] = `Hello {{name}}, this is namespace ${index}`;
+    translations[`item${key}_one`] = '{{count}} item';
+    translations[`item${key}_other`] = '{{count}} items';
+    translations[`friend${key}`] = 'This is {{name}}';
+    translations[`friend${key}_male`] = 'He is {{name}}';
+    translations[`friend${key}_female`] = 'She is {{name}}';
+    translations[`nested${key}`] = { label: 'Label {{value, number}}' };
+  }
+  return translations;
+}
+
+/**
+ * Fastest of a few runs, to keep timings stable
+ * @param {string} sourceDir - Generated files
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - processFiles options
+ * @returns {Promise<number>} Duration in milliseconds
+ */
+async function bestRun(sourceDir, outputDir, options) {
+  let best = Infinity;
+  for (let round = 0; round < ROUNDS; round++) {
+    const start = performance.now();
+    const results = await processFiles(sourceDir, outputDir, null, options);
+    if (results.failed > 0) {
+      throw new Error(`${results.failed} files failed to convert`);
+    }
+    best = Math.min(best, performance.now() - start);
+  }
+  return best;
+}
+
+const benchmarkDir = await mkdtemp(join(tmpdir(), 'i18next2icu-benchmark-'));
+const sourceDir = join(benchmarkDir, 'locales');
+
+try {
+  for (let index = 0; index < FILE_COUNT; index++) {
+    const locale = LOCALES[index % LOCALES.length];
+    await mkdir(join(sourceDir, locale), { recursive: true });
+    await writeFile(join(sourceDir, locale, `namespace${index}.json`), JSON.stringify(generateNamespace(index)));
+  }
+
+  // Warm up, so every run starts with loaded modules and a warm file cache
+  await processFiles(sourceDir, join(benchmarkDir, 'warmup'), null, {});
+
+  const runs = [
+    ['sequential', {}],
+    ['concurrency 8', { concurrency: 8 }],
+    [`${CORES} workers`, { concurrency: CORES, workers: true }]
+  ];
+
+  console.log(`${FILE_COUNT} files, best of ${ROUNDS} runs, CPU cores: ${CORES}`);
+  for (const [name, options] of runs) {
+    const duration = await bestRun(sourceDir, join(benchmarkDir, name.replace(/\s+/g, '-')), options);
+    console.log(`  ${name.padEnd(16)} ${duration.toFixed(0).padStart(6)} ms`);
+  }
+} finally {
+  await rm(benchmarkDir, { recursive: true, force: true });
+}
@@ -3,7 +3,8 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { processFiles } from '../src/index.js';
+import { processFiles, watchFiles, writeReport } from '../src/index.js';
+import { loadConfig } from '../src/config.js';
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -18,6 +19,45 @@ const packageJson = JSON.parse(
 
 const program = new Command();
 
+/**
+ * Format a translation value for the diff, one prefixed line per text line
+ * @param {string} marker - `-` or `+`
+ * @param {any} value - Translation value
+ * @returns {string} Indented diff lines
+ */
+function formatDiffValue(marker, value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.replace(/\n$/, '').split('\n').map(line => `      ${marker} ${line}`).join('\n');
+}
+
+/**
+ * Print the per-key changes of a file
+ * @param {Object[]} changes - Changes from diffTranslations
+ */
+function printDiff(changes) {
+  changes.forEach(change => {
+    const symbol = { added: chalk.green('+'), removed: chalk.red('-'), changed: chalk.yellow('~') }[change.type];
+    console.log(`  ${symbol} ${chalk.bold(change.key)}`);
+
+    if (change.type !== 'added') {
+      console.log(chalk.red(formatDiffValue('-', change.before)));
+    }
+    if (change.type !== 'removed') {
+      console.log(chalk.green(formatDiffValue('+', change.after)));
+    }
+  });
+}
+
+/**
+ * Print invalid ICU messages found in a file
+ * @param {Object[]} errors - Errors with file, key, offset and message
+ */
+function printErrors(errors) {
+  errors.forEach(error => {
+    console.log(chalk.red(`  ✗ ${error.file} ${error.key} (offset ${error.offset}): ${error.message}`));
+  });
+}
+
 // ASCII art banner
 const banner = `
 ${chalk.cyan('╔═══════════════════════════════════════╗')}
@@ -25,16 +65,249 @@ ${chalk.cyan('║')}     ${chalk.bold.yellow('i18next → ICU Converter')}
 ${chalk.cyan('╚═══════════════════════════════════════╝')}
 `;
 
+// Spinner text while waiting for changes in watch mode
+const WATCHING_TEXT = `Watching for changes... ${chalk.dim('(Ctrl+C to stop)')}`;
+
+// Conversion options set by CLI flags
+const CLI_OPTIONS = {
+  output: (value) => ({ output: value }),
+  locale: (value) => ({ locale: value }),
+  pluralVariable: (value) => ({ pluralVariable: value }),
+  pluralHash: () => ({ pluralHash: true }),
+  inlineNesting: () => ({ nesting: 'inline' }),
+  contexts: (value) => {
+    if (typeof value !== 'string' || value === 'auto') {
+      return { contexts: value === 'auto' ? 'auto' : false };
+    }
+    return { contexts: value.split(',').map(context => context.trim()).filter(Boolean) };
+  },
+  compatibilityJson: (value) => ({ compatibilityJSON: value }),
+  flattenArrays: () => ({ flattenArrays: true }),
+  keySeparator: (value) => ({ keySeparator: value }),
+  outputStructure: (value) => ({ outputStructure: value }),
+  outputKeySeparator: (value) => ({ outputKeySeparator: value }),
+  collisions: (value) => ({ collisions: value }),
+  collisionSuffix: (value) => ({ collisionSuffix: value }),
+  targetLocale: (value) => ({ targetLocale: value }),
+  concurrency: (value) => ({ concurrency: value }),
+  workers: () => ({ workers: true }),
+  report: (value) => ({ report: value }),
+  reportFormat: (value) => ({ reportFormat: value }),
+  reverse: () => ({ direction: 'icu2i18next' }),
+  strict: () => ({ strict: true }),
+  dryRun: () => ({ dryRun: true }),
+  preserveFormat: () => ({ preserveFormat: true })
+};
+
+/**
+ * Merge the config file with the options given on the command line
+ * Flags left at their defaults do not override the config file.
+ * @param {Object} config - Options from the config file
+ * @param {Object} options - Parsed CLI options
+ * @param {Command} command - The command, to tell given flags from defaults
+ * @returns {Object} Conversion options
+ */
+function getConversionOptions(config, options, command) {
+  const conversionOptions = { ...config };
+
+  for (const [name, toOptions] of Object.entries(CLI_OPTIONS)) {
+    if (command.getOptionValueSource(name) === 'cli') {
+      Object.assign(conversionOptions, toOptions(options[name]));
+    }
+  }
+
+  // Plugins given on the command line are added to those of the config file
+  if (options.plugin) {
+    conversionOptions.plugins = [...[].concat(config.plugins || []), ...options.plugin];
+  }
+
+  conversionOptions.interpolation = { ...config.interpolation, ...getInterpolationOptions(options) };
+  return conversionOptions;
+}
+
+/**
+ * Print the outcome of converting a file: the dry-run diff, warnings and errors
+ * @param {Ora} spinner - The running spinner
+ * @param {Object} result - Result from processFile
+ * @param {boolean} dryRun - Whether files are only compared
+ */
+function printResult(spinner, result, dryRun) {
+  if (!result.success) {
+    spinner.warn(
+      `${chalk.yellow('Warning:')} Failed to convert ${chalk.dim(result.inputPath)}`
+    );
+    console.log(chalk.red(`  ✗ Error: ${result.error}`));
+    printErrors(result.errors || []);
+    spinner.start();
+    return;
+  }
+
+  if (dryRun) {
+    spinner.info(
+      `${chalk.dim(result.outputPath)}: ${result.changes.length} key(s) would change`
+    );
+    printDiff(result.changes);
+    spinner.start();
+  }
+
+  if (result.warnings.length > 0) {
+    spinner.warn(
+      `${chalk.yellow('Warning:')} ${result.warnings.length} warning(s) in ${chalk.dim(result.inputPath)}`
+    );
+    result.warnings.forEach(warning => {
+      console.log(chalk.yellow(`  ⚠ ${warning.key}: ${warning.message}`));
+    });
+    spinner.start();
+  }
+
+  if (result.errors.length > 0) {
+    spinner.warn(
+      `${chalk.red('Error:')} ${result.errors.length} invalid ICU message(s) in ${chalk.dim(result.inputPath)}`
+    );
+    printErrors(result.errors);
+    spinner.start();
+  }
+}
+
+/**
+ * Report a change picked up in watch mode on the spinner
+ * @param {Ora} spinner - The running spinner
+ * @param {Object} change - Change from watchFiles
+ * @param {boolean} dryRun - Whether files are only compared
+ */
+function printChange(spinner, change, dryRun) {
+  if (change.type === 'error') {
+    spinner.warn(`${chalk.yellow('Warning:')} ${change.error}`);
+  } else if (change.type === 'removed') {
+    spinner.info(`Removed ${chalk.dim(change.outputPath)} ${chalk.dim(`(${change.inputPath} was deleted)`)}`);
+  } else if (change.result.success) {
+    const verb = change.type === 'added' ? 'Added' : 'Converted';
+    spinner.succeed(`${verb} ${chalk.dim(change.inputPath)} ${chalk.cyan('→')} ${chalk.dim(change.result.outputPath)}`);
+    printResult(spinner, change.result, dryRun);
+  } else {
+    printResult(spinner, change.result, dryRun);
+  }
+
+  spinner.start(WATCHING_TEXT);
+}
+
+/**
+ * Collect the i18next interpolation options given on the command line
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} i18next interpolation options
+ */
+function getInterpolationOptions(options) {
+  const interpolation = {
+    prefix: options.interpolationPrefix,
+    suffix: options.interpolationSuffix,
+    unescapePrefix: options.unescapePrefix,
+    unescapeSuffix: options.unescapeSuffix,
+    nestingPrefix: options.nestingPrefix,
+    nestingSuffix: options.nestingSuffix
+  };
+  return Object.fromEntries(Object.entries(interpolation).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Check that translation files no longer use i18next syntax
+ * The offending keys are listed on stderr and a JSON summary is printed on
+ * stdout, the process exits with 1 when any file is not converted.
+ * @param {string|undefined} input - Input file, directory, or glob pattern
+ * @param {Object} checkOptions - Conversion options
+ */
+async function runCheck(input, checkOptions) {
+  try {
+    const results = await processFiles(input || null, null, null, { ...checkOptions, check: true });
+    const files = results.files
+      .filter(result => !result.success || result.unconverted.length > 0)
+      .map(result => result.success
+        ? { file: result.inputPath, keys: result.unconverted }
+        : { file: result.inputPath, error: result.error, keys: [] });
+
+    files.forEach(file => {
+      console.error(`${chalk.red('✗')} ${file.file}`);
+      if (file.error) {
+        console.error(chalk.red(`  Error: ${file.error}`));
+      }
+      file.keys.forEach(finding => {
+        console.error(`  ${chalk.bold(finding.key)}: ${chalk.yellow(finding.message)}`);
+      });
+    });
+
+    if (files.length === 0) {
+      console.error(chalk.green(`✓ ${results.total} file(s) converted`));
+    }
+
+    console.log(JSON.stringify({
+      checked: results.total,
+      unconverted: files.length,
+      keys: files.reduce((count, file) => count + file.keys.length, 0),
+      files
+    }, null, 2));
+
+    process.exitCode = files.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
 program
   .name('i18next2icu')
   .description('Convert i18next JSON/YAML translation files to ICU MessageFormat v1')
   .version(packageJson.version)
-  .argument('<input>', 'Input file, directory, or glob pattern')
-  .option('-o, --output <path>', 'Output directory (default: overwrites input files)')
-  .action(async (input, options) => {
+  .argument('[input]', 'Input file, directory, or glob pattern (default: input from the config file)')
+  .option('-c, --config <path>', 'Config file (default: .i18next2icurc or i18next2icu.config.js, searched upwards)')
+  .option('-o, --output <path>', 'Output directory or path template (default: overwrites input files)')
+  .option('-l, --locale <locale>', 'Locale for plural rules (default: inferred from file paths)')
+  .option('--plural-variable <name>', 'Plural argument name (default: inferred per key)')
+  .option('--plural-hash', 'Write the plural variable as # inside plural branches')
+  .option('--inline-nesting', 'Resolve $t() references by inlining the referenced messages')
+  .option('--contexts <values>', 'Comma-separated context values, or auto to detect them per file (default: none)')
+  .option('--no-contexts', 'Do not convert context variants to select expressions')
+  .option('--compatibility-json <version>', 'Plural key format: v3, v4 or auto (default: auto)', 'auto')
+  .option('--flatten-arrays', 'Write arrays as objects with index keys (steps.0, steps.1)')
+  .option('--key-separator <separator>', 'Separator of nested keys in key paths and $t() references (default: .)')
+  .option('--no-key-separator', 'Treat keys as flat, never split them on a separator')
+  .option('--output-structure <structure>', 'Output keys as preserve, flat or nested (default: preserve)')
+  .option('--output-key-separator <separator>', 'Separator for flat output keys (default: the key separator)')
+  .option('--collisions <strategy>', 'When a plural or context group would replace another key: rename, keep-original or error (default: rename)')
+  .option('--collision-suffix <suffix>', 'Suffix of groups renamed because of a collision (default: _icu)')
+  .option('--target-locale <locale>', 'Locale whose files fill the targets of .xlf output')
+  .option('--interpolation-prefix <prefix>', 'i18next interpolation prefix (default: {{)')
+  .option('--interpolation-suffix <suffix>', 'i18next interpolation suffix (default: }})')
+  .option('--unescape-prefix <prefix>', 'i18next unescaped interpolation prefix (default: -)')
+  .option('--unescape-suffix <suffix>', 'i18next unescaped interpolation suffix, replaces the prefix')
+  .option('--nesting-prefix <prefix>', 'i18next nesting prefix (default: $t()')
+  .option('--nesting-suffix <suffix>', 'i18next nesting suffix (default: ))')
+  .option('--reverse', 'Convert ICU MessageFormat files back to i18next')
+  .option('--strict', 'Fail files with invalid ICU output instead of writing them')
+  .option('--dry-run', 'Print a per-key diff of the changes without writing any files')
+  .option('--preserve-format', 'Keep YAML comments and styles and JSON indentation when rewriting files')
+  .option('--check', 'Fail when files still use i18next syntax, printing a JSON summary (for CI)')
+  .option('--concurrency <number>', 'Number of files to convert at a time (default: 1)')
+  .option('--workers', 'Convert on worker threads, as many as --concurrency')
+  .option('-w, --watch', 'Keep converting files as they are added, changed or deleted (needs an output)')
+  .option('--report <path>', 'Write a per-file, per-key report of the conversion (.json, .xml for JUnit, .sarif)')
+  .option('--report-format <format>', 'Report format: json, junit or sarif (default: from the report extension)')
+  .option('--plugin <path>', 'Load a plugin module or package, can be repeated', (value, plugins = []) => [...plugins, value])
+  .action(async (input, options, command) => {
+    let conversionOptions;
+    try {
+      conversionOptions = getConversionOptions(await loadConfig(options.config), options, command);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+
+    if (options.check) {
+      await runCheck(input, conversionOptions);
+      return;
+    }
+
     console.log(banner);
 
-    const outputPath = options.output || null;
+    const outputPath = conversionOptions.output || null;
     const spinner = ora({
       text: 'Scanning for translation files...',
       color: 'cyan'
@@ -43,21 +316,36 @@ program
     try {
       let processedCount = 0;
 
-      const results = await processFiles(input, outputPath, (result, summary) => {
+      const onProgress = (result, summary) => {
         processedCount++;
 
         if (result.success) {
           spinner.text = `Converting files... ${chalk.green(`${processedCount}/${summary.total}`)}`;
-        } else {
-          spinner.warn(
-            `${chalk.yellow('Warning:')} Failed to convert ${chalk.dim(result.inputPath)}`
-          );
-          console.log(chalk.red(`  ✗ Error: ${result.error}`));
-          spinner.start();
         }
-      });
+        printResult(spinner, result, conversionOptions.dryRun);
+      };
+
+      let results;
+      let watcher = null;
+      if (options.watch) {
+        watcher = await watchFiles(input || null, outputPath, {
+          onProgress,
+          onChange: (change) => printChange(spinner, change, conversionOptions.dryRun)
+        }, conversionOptions);
+        results = watcher.results;
+      } else {
+        results = await processFiles(input || null, outputPath, onProgress, conversionOptions);
+      }
 
-      spinner.succeed(chalk.bold.green('Conversion complete!'));
+      spinner.succeed(chalk.bold.green(conversionOptions.dryRun ? 'Dry run complete!' : 'Conversion complete!'));
+
+      if (conversionOptions.report) {
+        await writeReport(results, conversionOptions.report, {
+          format: conversionOptions.reportFormat,
+          version: packageJson.version
+        });
+        spinner.info(`Report written to ${chalk.dim(conversionOptions.report)}`);
+      }
 
       // Summary
       console.log();
@@ -98,7 +386,9 @@ program
 
       // Mode indicator
       console.log();
-      if (outputPath) {
+      if (conversionOptions.dryRun) {
+        console.log(chalk.cyan('Mode:'), chalk.bold('Dry run (no files written)'));
+      } else if (outputPath) {
         console.log(chalk.cyan('Mode:'), `Files saved to ${chalk.bold(outputPath)}`);
       } else {
         console.log(chalk.cyan('Mode:'), chalk.bold('In-place conversion (original files overwritten)'));
@@ -106,6 +396,17 @@ program
 
       console.log();
 
+      if (watcher) {
+        spinner.start(WATCHING_TEXT);
+        process.once('SIGINT', async () => {
+          await watcher.close();
+          spinner.stop();
+          console.log(chalk.cyan('Stopped watching'));
+          process.exit(0);
+        });
+        return;
+      }
+
       // Exit with error code if any failed
       if (results.failed > 0) {
         process.exit(1);
@@ -0,0 +1,180 @@
+/**
+ * Project configuration: config file discovery and path patterns
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import yaml from 'js-yaml';
+
+// Config file names, looked up in this order in each directory
+export const CONFIG_FILES = ['.i18next2icurc', '.i18next2icurc.json', 'i18next2icu.config.js'];
+
+/**
+ * Read a config file
+ * `.i18next2icurc` holds JSON or YAML, `i18next2icu.config.js` default-exports
+ * the options object.
+ * @param {string} configPath - Config file path
+ * @returns {Promise<Object>} The options object
+ * @throws {Error} If the file cannot be read or does not hold an object
+ */
+export async function readConfig(configPath) {
+  let config;
+
+  if (path.extname(configPath) === '.js') {
+    const module = await import(pathToFileURL(path.resolve(configPath)).href);
+    config = module.default;
+  } else {
+    try {
+      config = yaml.load(await fs.readFile(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+  }
+
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error(`Invalid config file ${configPath}: expected an options object`);
+  }
+
+  return config;
+}
+
+/**
+ * Find the nearest config file, starting in a directory and going up
+ * @param {string} [directory=process.cwd()] - Directory to start in
+ * @returns {Promise<string|null>} Config file path or null if there is none
+ */
+export async function findConfig(directory = process.cwd()) {
+  let current = path.resolve(directory);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(current, name);
+      const stats = await fs.stat(candidate).catch(() => null);
+      if (stats && stats.isFile()) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Load the project configuration
+ * Relative `input`, `output`, `localePattern` and `report` values, and plugin
+ * paths starting with `.`, are resolved against the directory of the config file.
+ * @param {string|null} [configPath] - Config file, discovered from the working
+ *   directory when not given
+ * @returns {Promise<Object>} The options object ({} without a config file),
+ *   with the file path as `configPath`
+ */
+export async function loadConfig(configPath = null) {
+  const filePath = configPath || await findConfig();
+  if (!filePath) {
+    return {};
+  }
+
+  const config = await readConfig(filePath);
+  const baseDir = path.dirname(path.resolve(filePath));
+  const resolve = (value) => path.isAbsolute(value) ? value : path.join(baseDir, value);
+
+  return {
+    ...config,
+    ...(config.input && {
+      input: Array.isArray(config.input) ? config.input.map(resolve) : resolve(config.input)
+    }),
+    ...(config.output && { output: resolve(config.output) }),
+    ...(config.localePattern && { localePattern: resolve(config.localePattern) }),
+    ...(config.report && { report: resolve(config.report) }),
+    ...(config.plugins && {
+      plugins: [].concat(config.plugins).map(plugin => typeof plugin === 'string' && plugin.startsWith('.') ? resolve(plugin) : plugin)
+    }),
+    configPath: filePath
+  };
+}
+
+/**
+ * Turn a path pattern into a regular expression
+ * `{name}` placeholders match one path segment (or part of it), `**` any
+ * number of directories and `*` anything within a segment.
+ * @param {string} pattern - Path pattern, e.g. `locales/{locale}/{namespace}.json`
+ * @returns {RegExp} Expression with a named group per placeholder
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split(/(\{\w+\}|\*\*\/|\*)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '*') return '[^/]*';
+      const placeholder = part.match(/^\{(\w+)\}$/);
+      if (placeholder) return `(?<${placeholder[1]}>[^/]+?)`;
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'd');
+}
+
+/**
+ * Match a file path against a path pattern
+ * @param {string} filePath - File path
+ * @param {string} pattern - Path pattern with `{locale}`/`{namespace}` placeholders
+ * @returns {Object|null} The placeholder values or null if the path does not match
+ */
+export function matchPathPattern(filePath, pattern) {
+  const toPosix = (value) => path.resolve(value).split(path.sep).join('/');
+  const match = toPosix(filePath).match(patternToRegExp(toPosix(pattern)));
+  return match ? { ...match.groups } : null;
+}
+
+/**
+ * Replace the value of one placeholder in a file path matching a path pattern
+ * @param {string} filePath - File path
+ * @param {string} pattern - Path pattern, e.g. `locales/{locale}/{namespace}.json`
+ * @param {string} name - Placeholder name
+ * @param {string} value - New value
+ * @returns {string|null} The new path, or null if the path does not match or
+ *   the pattern has no such placeholder
+ */
+export function replacePathPlaceholder(filePath, pattern, name, value) {
+  const toPosix = (item) => path.resolve(item).split(path.sep).join('/');
+  const posixPath = toPosix(filePath);
+  const match = posixPath.match(patternToRegExp(toPosix(pattern)));
+  const indices = match && match.indices.groups && match.indices.groups[name];
+  if (!indices) {
+    return null;
+  }
+
+  const replaced = posixPath.slice(0, indices[0]) + value + posixPath.slice(indices[1]);
+  return path.normalize(replaced);
+}
+
+/**
+ * Fill the placeholders of an output path template
+ * @param {string} template - Template, e.g. `dist/{locale}/{namespace}.json`
+ * @param {Object} values - Placeholder values
+ * @returns {string} The output path
+ * @throws {Error} If the template uses an unknown placeholder
+ */
+export function formatPathTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error(`No value for {${name}} in output path ${template}`);
+    }
+    return values[name];
+  });
+}
+
+/**
+ * Check whether an output path is a template rather than a directory
+ * @param {string} output - Output path
+ * @returns {boolean} True if it has placeholders
+ */
+export function isPathTemplate(output) {
+  return /\{\w+\}/.test(output);
+}
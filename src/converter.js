@@ -2,153 +2,1407 @@
  * Converts i18next format strings to ICU MessageFormat v1
  */
 
+import { convertFormat, splitFormats } from './formatters.js';
+import { parse } from './icu-parser.js';
+import { createSyntax, stripUnescape } from './interpolation.js';
+import { combinePlugins } from './plugins.js';
+import { isPlainObject, restructureKeys } from './structure.js';
+import { PLURAL_CATEGORIES, getPluralCategories, normalizeLocale } from './locale.js';
+
+/**
+ * Quote ICU syntax characters in literal text
+ * i18next treats apostrophes and lone braces as plain text. In ICU braces (and
+ * `#` inside plural branches) are quoted with apostrophes, and an apostrophe is
+ * doubled wherever ICU would read it as the start of quoted text.
+ * @param {string} text - Literal text
+ * @param {boolean} inPlural - Whether the text is inside a plural branch
+ * @returns {string} ICU text that renders as the original
+ */
+function escapeLiteral(text, inPlural) {
+  const isSyntax = (char) => char === '{' || char === '}' || (inPlural && char === '#');
+  let lastSyntaxIndex = -1;
+  for (let i = 0; i < text.length; i++) {
+    if (isSyntax(text[i])) lastSyntaxIndex = i;
+  }
+
+  let result = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (isSyntax(char)) {
+      if (!quoted) {
+        result += "'";
+        quoted = true;
+      }
+      result += char;
+    } else if (char === "'") {
+      // `''` is a literal apostrophe both inside and outside quoted text;
+      // a single one is only safe before ordinary characters
+      const next = text[i + 1];
+      const safe = !quoted && next !== undefined && next !== "'" && next !== '|' && !isSyntax(next);
+      result += safe ? "'" : "''";
+    } else {
+      // Quote runs like `{this}` as a whole, closing after the last syntax character
+      if (quoted && i > lastSyntaxIndex) {
+        result += "'";
+        quoted = false;
+      }
+      result += char;
+    }
+  }
+
+  return quoted ? `${result}'` : result;
+}
+
 /**
  * Convert i18next interpolation {{variable}} to ICU {variable}
+ * Formatters ({{price, currency(USD)}}) become ICU number/date/time arguments,
+ * and the literal text around them is escaped for ICU.
  * @param {string} text - The text to convert
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @param {string|null} [hashVariable=null] - Variable to write as `#`, the
+ *   locale-formatted number inside plural branches
  * @returns {string} Converted text
  */
-function convertInterpolation(text) {
+function convertInterpolation(text, state, keyPath, hashVariable = null) {
   if (typeof text !== 'string') return text;
 
-  // Convert {{variable}} to {variable}
-  // Also handles {{variable, format}} to {variable, format}
-  return text.replace(/\{\{([^}]+)\}\}/g, '{$1}');
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(state.syntax.interpolationPattern)) {
+    parts.push(escapeLiteral(text.slice(lastIndex, match.index), state.inPlural));
+    parts.push(convertArgument(match[1], state, keyPath, hashVariable));
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(escapeLiteral(text.slice(lastIndex), state.inPlural));
+
+  return parts.join('');
 }
 
+/**
+ * Convert the content of a single {{...}} interpolation to an ICU argument
+ * Unescaped values (`{{- html}}`) become plain arguments.
+ * @param {string} content - Interpolation content, e.g. `price, currency(USD)`
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @param {string|null} hashVariable - Variable to write as `#`
+ * @returns {string} ICU argument
+ */
+function convertArgument(content, state, keyPath, hashVariable) {
+  const [name, ...formats] = splitFormats(stripUnescape(content, state.syntax));
+  const mapped = mapVariable(name, state);
+
+  if (mapped.literal !== undefined) {
+    return escapeLiteral(mapped.literal, state.inPlural);
+  }
+
+  const variable = mapped.variable;
+  if (formats.length === 0) {
+    return hashVariable && variable === hashVariable ? '#' : `{${variable}}`;
+  }
+
+  const { argument, warnings } = convertFormat(variable, formats);
+  warnings.forEach(message => state.warn('unmapped-formatter', keyPath, message));
+  if (formats.length > 0 && warnings.length === 0) {
+    state.note('formatter-mapped', keyPath, `Formatter "${formats.join(', ')}" converted to ${argument}`);
+  }
+  return argument;
+}
+
+/**
+ * Apply the variables passed to an inlined $t() reference
+ * @param {string} variable - Variable name used in the referenced message
+ * @param {Object} state - Conversion state
+ * @returns {Object} { variable } with the name to use, or { literal } with a fixed value
+ */
+function mapVariable(variable, state) {
+  return (state.variables && state.variables[variable]) || { variable };
+}
+
+/**
+ * Get the names of the variables interpolated in a text
+ * @param {string} text - i18next text
+ * @param {Object} syntax - Interpolation syntax from createSyntax
+ * @returns {string[]} Variable names
+ */
+function getInterpolationVariables(text, syntax) {
+  if (typeof text !== 'string') return [];
+
+  return [...text.matchAll(syntax.interpolationPattern)]
+    .map(match => stripUnescape(match[1], syntax).split(',')[0].trim());
+}
+
+// Marks a grouped key in the output of groupPlurals
+const GROUP = Symbol('group');
+
 /**
  * Detect if a key is part of a plural form
+ * Ordinal forms carry an `_ordinal` infix (`place_ordinal_one`).
  * @param {string} key - The key name
  * @returns {Object|null} Plural info or null
  */
 function parsePluralKey(key) {
-  const match = key.match(/^(.+)_(zero|one|two|few|many|other)$/);
+  const match = key.match(/^(.+?)(_ordinal)?_(zero|one|two|few|many|other)$/);
   if (match) {
     return {
       baseKey: match[1],
-      form: match[2]
+      form: match[3],
+      ordinal: Boolean(match[2])
     };
   }
   return null;
 }
 
 /**
- * Group plural forms together
+ * Detect if a key is a context variant and/or a plural form
+ * @param {string} key - The key name
+ * @param {Set<string>} contexts - Known context values
+ * @returns {Object|null} Key info ({ baseKey, context, form, ordinal }) or null
+ */
+function parseKey(key, contexts) {
+  const pluralInfo = parsePluralKey(key);
+  let baseKey = pluralInfo ? pluralInfo.baseKey : key;
+  let context = null;
+
+  const separatorIndex = baseKey.lastIndexOf('_');
+  if (separatorIndex > 0 && contexts.has(baseKey.slice(separatorIndex + 1))) {
+    context = baseKey.slice(separatorIndex + 1);
+    baseKey = baseKey.slice(0, separatorIndex);
+  }
+
+  if (!pluralInfo && !context) {
+    return null;
+  }
+
+  return {
+    baseKey,
+    context,
+    form: pluralInfo ? pluralInfo.form : null,
+    ordinal: pluralInfo ? pluralInfo.ordinal : false
+  };
+}
+
+/**
+ * Group the v3 numeric plural keys of an object
+ * Only keys next to a `_0` form count, as in `item_0`, `item_1`.
+ * @param {Object} object - The translation object
+ * @returns {Map<string, number[]>} Plural indexes by base key
+ */
+function groupLegacyIndexes(object) {
+  const groups = new Map();
+
+  for (const [key, value] of Object.entries(object)) {
+    const match = key.match(/^(.+)_(\d+)$/);
+    if (match && !isPlainObject(value) && `${match[1]}_0` in object) {
+      groups.set(match[1], [...(groups.get(match[1]) || []), Number(match[2])]);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Detect whether translations use the i18next JSON v3 plural suffixes
+ * Counts `key` next to `key_plural`, as long as no v4 plural forms (`key_one`)
+ * are used anywhere. Numeric suffixes (`key_0` next to `key_1`) only count
+ * for locales with more than two plural categories, as v3 used `_plural` for
+ * the others, and when every index of the key maps to a category: `step_0`,
+ * `step_1` are steps in English and need compatibilityJSON 'v3' to be read
+ * as plurals.
+ * @param {Object} translations - The translation object
+ * @param {string|null} [locale] - Locale of the translations, numeric
+ *   suffixes are not detected without one
+ * @returns {boolean} True for v3 plurals
+ */
+function detectLegacyPlurals(translations, locale = null) {
+  const categories = locale ? getPluralCategories(locale) : [];
+  let legacy = false;
+
+  const visit = (object) => {
+    for (const [key, value] of Object.entries(object)) {
+      if (isPlainObject(value)) {
+        if (!visit(value)) return false;
+      } else if (parsePluralKey(key)) {
+        return false;
+      } else if (key.endsWith('_plural') && key.slice(0, -'_plural'.length) in object) {
+        legacy = true;
+      }
+    }
+
+    for (const indexes of groupLegacyIndexes(object).values()) {
+      if (categories.length > 2 && indexes.includes(1) && indexes.every(index => index < categories.length)) {
+        legacy = true;
+      }
+    }
+    return true;
+  };
+
+  return visit(translations) && legacy;
+}
+
+/**
+ * Rename i18next JSON v3 plural keys to their v4 equivalents
+ * `key`/`key_plural` become `key_one`/`key_other`, and numeric suffixes map to
+ * the CLDR categories of the locale in order, so `key_0`, `key_1`, `key_2`
+ * are `one`, `few` and `many` in Russian. Numeric keys with an index out of
+ * range for the locale are kept as they are, along with the rest of their key.
+ * When the v3 format was detected rather than selected, every upgraded key
+ * gets a warning, as detection can mistake numbered keys for plurals.
+ * @param {Object} translations - The translation object
+ * @param {Object} state - Conversion state
+ * @param {string} parentPath - Dotted key path of the object
+ * @returns {Object} Translations with v4 plural keys
+ */
+function upgradeLegacyPlurals(translations, state, parentPath) {
+  const { locale } = state.options;
+  const categories = locale ? getPluralCategories(locale) : [];
+  const indexes = groupLegacyIndexes(translations);
+  const result = {};
+
+  for (const [key, value] of Object.entries(translations)) {
+    const keyPath = joinKeyPath(parentPath, key, state);
+
+    if (isPlainObject(value)) {
+      result[key] = upgradeLegacyPlurals(value, state, keyPath);
+      continue;
+    }
+
+    const match = key.match(/^(.+)_(plural|\d+)$/);
+    let upgradedKey = key;
+
+    if (`${key}_plural` in translations) {
+      upgradedKey = `${key}_one`;
+    } else if (match && match[2] === 'plural') {
+      upgradedKey = `${match[1]}_other`;
+    } else if (match && indexes.has(match[1])) {
+      const index = Number(match[2]);
+
+      if (!locale) {
+        state.warn(
+          'missing-locale',
+          keyPath,
+          `Plural index ${index} needs a locale to map to a plural category, the key was kept as it is`
+        );
+      } else if (index >= categories.length) {
+        state.warn(
+          'unmapped-plural-index',
+          keyPath,
+          `Plural index ${index} is out of range for ${locale}, the keys of "${match[1]}" were kept as they are`
+        );
+      } else if (indexes.get(match[1]).every(other => other < categories.length)) {
+        upgradedKey = `${match[1]}_${categories[index]}`;
+      }
+    }
+
+    if (upgradedKey !== key) {
+      state.note('legacy-plural-upgraded', keyPath, `v3 plural key "${key}" read as "${upgradedKey}"`);
+      if (state.legacyDetected) {
+        state.warn(
+          'legacy-plural-detected',
+          keyPath,
+          `Detected v3 plural key "${key}" read as "${upgradedKey}"; set compatibilityJSON to "v4" to keep it as it is`
+        );
+      }
+    }
+    result[upgradedKey] = value;
+  }
+
+  return result;
+}
+
+/**
+ * Detect context values used across a translation tree
+ * The suffixes of a bare key's siblings (`friend_male` and `friend_female`
+ * next to `friend`) form a family. A family with several suffixes, or with a
+ * suffix another family uses too, makes its suffixes context values. Families
+ * are grouped whole or not at all, so a family is dropped when one of its
+ * suffixes cannot be a context: plural categories, numeric suffixes (`step_0`,
+ * kept v3 plurals) and suffixes that are a key segment of their own somewhere
+ * in the tree. A single suffix on a single key (`email_placeholder`) is an
+ * ordinary key.
+ * @param {Object} translations - The translation object
+ * @param {string|false} [keySeparator='.'] - Separator of flat dotted keys
+ * @returns {Set<string>} Detected context values
+ */
+function detectContexts(translations, keySeparator = '.') {
+  const families = [];
+  const usage = new Map();
+  const segments = new Set();
+
+  const visit = (object) => {
+    const baseKeys = new Set();
+
+    for (const [key, value] of Object.entries(object)) {
+      (keySeparator ? key.split(keySeparator) : [key]).forEach(segment => segments.add(segment));
+      if (isPlainObject(value)) {
+        visit(value);
+      } else {
+        const pluralInfo = parsePluralKey(key);
+        baseKeys.add(pluralInfo ? pluralInfo.baseKey : key);
+      }
+    }
+
+    const suffixes = new Map();
+    for (const baseKey of baseKeys) {
+      const separatorIndex = baseKey.lastIndexOf('_');
+      const prefix = baseKey.slice(0, separatorIndex);
+      if (separatorIndex <= 0 || !baseKeys.has(prefix)) continue;
+
+      suffixes.set(prefix, (suffixes.get(prefix) || new Set()).add(baseKey.slice(separatorIndex + 1)));
+    }
+    for (const family of suffixes.values()) {
+      families.push(family);
+      family.forEach(suffix => usage.set(suffix, (usage.get(suffix) || 0) + 1));
+    }
+  };
+  visit(translations);
+
+  const contexts = new Set();
+  for (const family of families) {
+    if (family.size > 1 || [...family].some(suffix => usage.get(suffix) > 1)) {
+      family.forEach(suffix => contexts.add(suffix));
+    }
+  }
+
+  const eligible = suffix => contexts.has(suffix) &&
+    !PLURAL_CATEGORIES.includes(suffix) && !/^\d+$/.test(suffix) && !segments.has(suffix);
+  let partial = true;
+  while (partial) {
+    partial = false;
+    for (const family of families) {
+      if ([...family].some(suffix => contexts.has(suffix)) && ![...family].every(eligible)) {
+        family.forEach(suffix => contexts.delete(suffix));
+        partial = true;
+      }
+    }
+  }
+  return contexts;
+}
+
+/**
+ * Get the context values of a translation tree
+ * @param {Object} translations - The translation object
+ * @param {Object} options - Conversion options, `contexts` as an array of
+ *   values, false for none, or 'auto' to detect them
+ * @returns {Set<string>} Context values
+ */
+function resolveContexts(translations, options) {
+  const { contexts = false, keySeparator = '.' } = options;
+
+  if (contexts === 'auto') {
+    return detectContexts(translations, keySeparator);
+  }
+  return new Set((contexts || []).filter(context => !PLURAL_CATEGORIES.includes(context)));
+}
+
+/**
+ * Find the plugin grouper that claims a key
+ * @param {string} key - The key name
+ * @param {any} value - The value of the key
+ * @param {Object} state - Conversion state
+ * @returns {Object|null} Key info ({ baseKey, context, form, ordinal, grouper })
+ *   with the variant as context, or null
+ */
+function matchGrouper(key, value, state) {
+  for (const grouper of state.plugins.groupers) {
+    const match = grouper.match(key, value);
+    if (match) {
+      return { baseKey: match.baseKey, context: match.variant || null, form: null, ordinal: false, grouper };
+    }
+  }
+  return null;
+}
+
+/**
+ * Group plural forms and context variants together
+ * Grouped keys are replaced by a group object holding one entry per
+ * context (`other` for the bare key), each either a string or plural forms.
+ * Keys claimed by a plugin grouper are grouped by their variant the same way.
+ * Ordinal forms get their own group, stored under `<key>_ordinal` when
+ * cardinal forms of the same key exist. Keys keep their order, and a group
+ * takes the place of its first form (or of the bare key, when that comes first).
+ * A group whose key is already taken by a message that is not its context
+ * default, or by a nested object, is a collision handled by the `collisions`
+ * option (see resolveCollision). Keys merged as auto-detected contexts are
+ * reported (see warnMergedContexts).
  * @param {Object} translations - The translation object
- * @returns {Object} Processed translations with plurals grouped
+ * @param {Object} state - Conversion state
+ * @param {string|null} [parentPath=null] - Key path of the object, to report
+ *   collisions; null when grouping only to look up references
+ * @returns {Object} Translations with plurals and contexts grouped
  */
-function groupPlurals(translations) {
+function groupPlurals(translations, state, parentPath = null) {
   const result = {};
-  const pluralGroups = {};
+  const groups = {};
+  const order = [];
 
   for (const [key, value] of Object.entries(translations)) {
-    const pluralInfo = parsePluralKey(key);
+    const keyInfo = isPlainObject(value) ? null : matchGrouper(key, value, state) || parseKey(key, state.contexts);
+
+    if (keyInfo) {
+      // This is a plural form, a context variant or a variant of a plugin grouper
+      const groupKey = keyInfo.grouper
+        ? `${keyInfo.baseKey}\0${keyInfo.grouper.name}`
+        : keyInfo.ordinal ? `${keyInfo.baseKey}_ordinal` : keyInfo.baseKey;
+      if (!groups[groupKey]) {
+        groups[groupKey] = {
+          [GROUP]: true,
+          baseKey: keyInfo.baseKey,
+          ordinal: keyInfo.ordinal,
+          grouper: keyInfo.grouper || null,
+          variants: {},
+          entries: []
+        };
+        order.push(groups[groupKey]);
+      }
+      groups[groupKey].entries.push([key, value, keyInfo.grouper ? null : keyInfo.context]);
+      const variants = groups[groupKey].variants;
+      const variant = keyInfo.context || 'other';
 
-    if (pluralInfo) {
-      // This is a plural form
-      if (!pluralGroups[pluralInfo.baseKey]) {
-        pluralGroups[pluralInfo.baseKey] = {};
+      if (keyInfo.form) {
+        if (typeof variants[variant] !== 'object') {
+          variants[variant] = {};
+        }
+        variants[variant][keyInfo.form] = value;
+      } else {
+        variants[variant] = value;
       }
-      pluralGroups[pluralInfo.baseKey][pluralInfo.form] = value;
-    } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-      // Nested object
-      result[key] = groupPlurals(value);
     } else {
-      // Regular key
+      // Regular key or nested object
       result[key] = value;
+      order.push(key);
     }
   }
 
-  // Convert plural groups to ICU format
-  for (const [baseKey, forms] of Object.entries(pluralGroups)) {
-    result[baseKey] = createICUPlural(forms);
+  for (const [groupKey, group] of Object.entries(groups)) {
+    const { baseKey, variants } = group;
+    const hasContexts = Object.keys(variants).some(variant => variant !== 'other');
+
+    // The bare key becomes the default branch of a context select
+    let absorbed = false;
+    if (hasContexts && !('other' in variants) && Object.hasOwn(result, baseKey) && !isPlainObject(result[baseKey])) {
+      variants.other = result[baseKey];
+      absorbed = true;
+    }
+
+    group.outputKey = (group.ordinal && !groups[baseKey]) || group.grouper ? baseKey : groupKey;
+    if (Object.hasOwn(result, group.outputKey) && !(absorbed && group.outputKey === baseKey)) {
+      resolveCollision(group, result, state, parentPath);
+    }
   }
 
-  return result;
+  // Groups replace a bare key they hold as context default, wherever it comes
+  const grouped = {};
+  for (const item of order) {
+    if (typeof item === 'string') {
+      if (!Object.hasOwn(grouped, item)) {
+        grouped[item] = result[item];
+      }
+    } else if (item.ungrouped) {
+      item.entries.forEach(([key, value]) => {
+        grouped[key] = value;
+      });
+    } else {
+      grouped[item.outputKey] = item;
+      if (parentPath !== null && state.contextsDetected) {
+        warnMergedContexts(item, state, parentPath);
+      }
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * Warn about the keys of a group that were merged as auto-detected contexts
+ * Such keys no longer exist in the output, so `t('friend_male')` calls stop
+ * working where the suffix was not meant as a context.
+ * @param {Object} group - The group
+ * @param {Object} state - Conversion state
+ * @param {string} parentPath - Key path of the object
+ */
+function warnMergedContexts(group, state, parentPath) {
+  const outputPath = joinKeyPath(parentPath, group.outputKey, state);
+
+  group.entries
+    .filter(([, , context]) => context)
+    .forEach(([key, , context]) => state.warn(
+      'context-merged',
+      joinKeyPath(parentPath, key, state),
+      `Detected context "${context}" merged into "${outputPath}", the key is removed; set contexts to choose the context values`
+    ));
+}
+
+/**
+ * Handle a group whose output key is taken by another key
+ * With `collisions: 'rename'` (the default) the group is written under its
+ * key plus `collisionSuffix`, with 'keep-original' its forms stay separate
+ * keys, and with 'error' the conversion fails. Renames and kept forms are
+ * reported as `key-collision` warnings.
+ * @param {Object} group - The group, whose `outputKey` is updated
+ * @param {Object} result - Regular keys of the object
+ * @param {Object} state - Conversion state
+ * @param {string|null} parentPath - Key path of the object, null when not reporting
+ * @throws {Error} With the 'error' strategy
+ */
+function resolveCollision(group, result, state, parentPath) {
+  const { collisions, collisionSuffix } = state.options;
+  const { outputKey } = group;
+  const toPath = (key) => joinKeyPath(parentPath || '', key, state);
+  const forms = group.entries.map(([key]) => toPath(key)).join(', ');
+  const taken = isPlainObject(result[outputKey]) ? 'holds nested keys' : 'already exists';
+  const collision = `${forms} group into "${toPath(outputKey)}", which ${taken}`;
+
+  if (collisions === 'error') {
+    if (parentPath !== null) {
+      throw new Error(`Key collision: ${collision}`);
+    }
+    group.ungrouped = true;
+    return;
+  }
+
+  if (collisions === 'keep-original') {
+    group.ungrouped = true;
+    if (parentPath !== null) {
+      state.warn('key-collision', toPath(outputKey), `${collision}; the forms were kept as separate keys`);
+    }
+    return;
+  }
+
+  let renamed = `${outputKey}${collisionSuffix}`;
+  for (let index = 2; Object.hasOwn(result, renamed); index++) {
+    renamed = `${outputKey}${collisionSuffix}${index}`;
+  }
+  group.outputKey = renamed;
+  if (parentPath !== null) {
+    state.warn('key-collision', toPath(outputKey), `${collision}; the group was written as "${toPath(renamed)}"`);
+  }
 }
 
 /**
  * Create ICU plural format from plural forms
+ * Without a locale `zero` becomes the exact match `=0`. With a locale it stays
+ * the CLDR `zero` category where the locale has one (Arabic, Latvian, Welsh),
+ * and forms the locale needs but lacks, or has but never uses, are reported.
  * @param {Object} forms - Object with plural forms (zero, one, other, etc.)
+ * @param {boolean} ordinal - Create a selectordinal instead of a plural
+ * @param {Object} state - Conversion state
+ * @param {string} label - Key path (and context) used in warnings
+ * @param {string} variable - Plural argument name
  * @returns {string} ICU plural format string
  */
-function createICUPlural(forms) {
-  const parts = [];
+function createICUPlural(forms, ordinal, state, label, variable) {
+  const { locale, pluralHash } = state.options;
+  const hashVariable = pluralHash ? variable : null;
+  const branchState = { ...state, inPlural: true };
+  const categories = locale ? getPluralCategories(locale, ordinal) : null;
+  const present = PLURAL_CATEGORIES.filter(form => form in forms);
+  const kind = ordinal ? 'ordinal' : 'plural';
+
+  if (categories) {
+    const missing = categories.filter(category => category !== 'other' && !(category in forms));
+    const unused = present.filter(form => form !== 'zero' && !categories.includes(form));
+
+    if (missing.length > 0) {
+      state.warn(
+        'missing-plural-category',
+        label,
+        `Missing ${kind} forms required by "${locale}": ${missing.join(', ')}`
+      );
+    }
+    if (unused.length > 0) {
+      state.warn(
+        'unused-plural-category',
+        label,
+        `${kind === 'ordinal' ? 'Ordinal' : 'Plural'} forms not used by "${locale}": ${unused.join(', ')}`
+      );
+    }
+  }
+
+  // ICU rejects a plural without an "other" branch
+  let otherText = forms.other;
+  if (!('other' in forms)) {
+    const fallback = present[present.length - 1];
+    otherText = forms[fallback];
+    state.warn(
+      'missing-plural-other',
+      label,
+      `No "other" ${kind} form, using the "${fallback}" form instead`
+    );
+  }
+
+  const parts = present
+    .filter(form => form !== 'other')
+    .map(form => {
+      const icuForm = form === 'zero' && !(categories && categories.includes('zero')) ? '=0' : form;
+      return `${icuForm}{${convertValue(forms[form], branchState, label, hashVariable)}}`;
+    });
+  parts.push(`other{${convertValue(otherText, branchState, label, hashVariable)}}`);
+
+  const type = ordinal ? 'selectordinal' : 'plural';
+  state.note('plural-grouped', label, `Forms ${present.join(', ')} grouped into {${variable}, ${type}}`);
+  return `{${variable}, ${type}, ${parts.join(' ')}}`;
+}
+
+/**
+ * Infer the plural argument name from the variables used in plural forms
+ * i18next pluralises on `count`. When the forms do not use `count`, the
+ * counted variable is the one the `other` form uses but not every form does
+ * (`{{n}}` in `{{name}} has {{n}} messages` next to `{{name}} has one
+ * message`), or else the only variable all forms share (`{{seats}}`).
+ * @param {Object[]} variants - Forms of each variant of a key, by plural form
+ * @param {Object} syntax - Interpolation syntax from createSyntax
+ * @returns {string|null} Plural argument name, or null when it is ambiguous
+ */
+function inferPluralVariable(variants, syntax) {
+  const variablesOf = text => new Set(getInterpolationVariables(text, syntax));
+  const formSets = variants.flatMap(forms => Object.values(forms).map(variablesOf));
+  const otherSets = variants.filter(forms => 'other' in forms).map(forms => variablesOf(forms.other));
+
+  if (formSets.every(variables => variables.size === 0) || formSets.some(variables => variables.has('count'))) {
+    return 'count';
+  }
 
-  // Map i18next plural forms to ICU
-  const formMapping = {
-    zero: '=0',
-    one: 'one',
-    two: 'two',
-    few: 'few',
-    many: 'many',
-    other: 'other'
+  const counted = new Set(otherSets.flatMap(variables => [...variables])
+    .filter(name => formSets.some(variables => !variables.has(name))));
+  if (counted.size > 0) {
+    return counted.size === 1 ? [...counted][0] : null;
+  }
+
+  const [first, ...rest] = formSets;
+  const shared = [...first].filter(name => rest.every(variables => variables.has(name)));
+  return shared.length === 1 ? shared[0] : null;
+}
+
+/**
+ * Get the plural argument name for a key
+ * An inferred name that is ambiguous falls back to `count`, with a warning.
+ * @param {Object} group - Group created by groupPlurals
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path
+ * @returns {string} Plural argument name
+ */
+function getPluralVariable(group, state, keyPath) {
+  const { pluralVariable } = state.options;
+
+  if (typeof pluralVariable === 'string') {
+    return pluralVariable;
+  }
+  if (isPlainObject(pluralVariable) && typeof pluralVariable[keyPath] === 'string') {
+    return pluralVariable[keyPath];
+  }
+
+  const variable = inferPluralVariable(Object.values(group.variants).filter(isPlainObject), state.syntax);
+  if (!variable) {
+    state.warn(
+      'ambiguous-plural-variable',
+      keyPath,
+      'Cannot tell which variable the plural counts, "count" was used; set pluralVariable for this key'
+    );
+  }
+  return variable || 'count';
+}
+
+/**
+ * Create an ICU message from the variants grouped by a plugin grouper
+ * @param {Object} group - Group created by groupPlurals
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @returns {string} ICU message returned by the grouper's `convert`
+ */
+function createPluginMessage(group, state, keyPath) {
+  const { name, convert } = group.grouper;
+  const message = convert({ ...group.variants }, {
+    ...createPluginContext(name, state, keyPath),
+    convert: (text) => convertValue(text, state, keyPath)
+  });
+
+  state.note('plugin-grouped', keyPath, `Variants ${Object.keys(group.variants).join(', ')} grouped by plugin "${name}"`);
+  return message;
+}
+
+/**
+ * Create an ICU message from a group of plural forms and context variants
+ * @param {Object} group - Group created by groupPlurals
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @returns {string} ICU plural or select format string
+ */
+function createICUMessage(group, state, keyPath) {
+  if (group.grouper) {
+    return createPluginMessage(group, state, keyPath);
+  }
+
+  const { other, ...contextVariants } = group.variants;
+  const variable = mapArgument(getPluralVariable(group, state, keyPath), state, keyPath);
+  const contextVariable = mapVariable(state.options.contextVariable, state);
+  const convertVariant = (variant, context) => {
+    if (!isPlainObject(variant)) {
+      return convertValue(variant, state, keyPath);
+    }
+    const label = context ? `${keyPath} (context "${context}")` : keyPath;
+    return createICUPlural(variant, group.ordinal, state, label, variable);
   };
 
-  for (const [form, text] of Object.entries(forms)) {
-    const icuForm = formMapping[form] || form;
-    const convertedText = convertInterpolation(text);
-    parts.push(`${icuForm}{${convertedText}}`);
+  if (Object.keys(contextVariants).length === 0) {
+    return convertVariant(other, null);
+  }
+
+  // A $t() reference that passes a fixed context picks that variant
+  if (contextVariable.literal !== undefined) {
+    const context = contextVariable.literal;
+    return context in contextVariants
+      ? convertVariant(contextVariants[context], context)
+      : convertVariant(other === undefined ? '' : other, null);
+  }
+
+  if (other === undefined) {
+    state.warn(
+      'missing-context-default',
+      keyPath,
+      'Context variants have no bare key, the select "other" branch is left empty'
+    );
   }
 
-  // Use 'count' as the default variable name for plurals
-  return `{count, plural, ${parts.join(' ')}}`;
+  const parts = Object.entries(contextVariants)
+    .map(([context, variant]) => `${context}{${convertVariant(variant, context)}}`);
+  parts.push(`other{${other === undefined ? '' : convertVariant(other, null)}}`);
+
+  state.note(
+    'context-grouped',
+    keyPath,
+    `Context variants ${Object.keys(contextVariants).join(', ')} grouped into {${contextVariable.variable}, select}`
+  );
+
+  return `{${contextVariable.variable}, select, ${parts.join(' ')}}`;
+}
+
+/**
+ * Map a plural argument name for an inlined $t() reference
+ * @param {string} variable - Plural argument name
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @returns {string} Argument name to use
+ */
+function mapArgument(variable, state, keyPath) {
+  const mapped = mapVariable(variable, state);
+
+  if (mapped.literal !== undefined) {
+    state.warn(
+      'unresolved-reference',
+      keyPath,
+      `Cannot pass the fixed value "${mapped.literal}" to the plural argument "${variable}"`
+    );
+    return variable;
+  }
+  return mapped.variable;
 }
 
 /**
  * Convert nested $t() references to ICU format
- * Note: ICU doesn't have direct nesting support, this is a best-effort conversion
- * @param {string} text - The text to convert
+ * Note: ICU doesn't have direct nesting support. By default references become
+ * `[REF:key]` placeholders; in inline mode the referenced message is inlined.
+ * @param {string} reference - Content of the $t() call
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
  * @returns {string} Converted text
  */
-function convertNesting(text) {
-  if (typeof text !== 'string') return text;
+function convertNesting(reference, state, keyPath) {
+  if (state.options.nesting === 'inline') {
+    return resolveReference(reference, state, keyPath);
+  }
 
   // Convert $t(key) to a note that nesting needs manual handling
-  // ICU doesn't support this directly
-  return text.replace(/\$t\(([^)]+)\)/g, (match, key) => {
-    return `[REF:${key}]`;
-  });
+  state.note('reference-left', keyPath, `$t(${reference}) left as [REF:${reference}]`);
+  return escapeLiteral(`[REF:${reference}]`, state.inPlural);
+}
+
+/**
+ * Parse the content of a $t() call into its key and passed variables
+ * `$t(key, {"count": {{n}}, "name": "Bob"})` passes the variable `n` as `count`
+ * and the fixed value `Bob` as `name`.
+ * @param {string} reference - Content of the $t() call
+ * @param {Object} state - Conversion state
+ * @returns {Object} { key, variables } or { key, error }
+ */
+function parseReference(reference, state) {
+  const separatorIndex = reference.indexOf(',');
+  if (separatorIndex === -1) {
+    return { key: reference.trim(), variables: state.variables || null };
+  }
+
+  const key = reference.slice(0, separatorIndex).trim();
+  const optionsText = reference.slice(separatorIndex + 1)
+    // Variables of the referencing message become marked JSON strings
+    .replace(state.syntax.passedVariablePattern, (match, name) => JSON.stringify(`\u0000${name.trim()}`))
+    .replace(/'/g, '"');
+
+  let passed;
+  try {
+    passed = JSON.parse(optionsText);
+  } catch (error) {
+    return { key, error: `Invalid $t() options: ${error.message}` };
+  }
+
+  const variables = { ...state.variables };
+  for (const [name, value] of Object.entries(passed)) {
+    variables[name] = typeof value === 'string' && value.startsWith('\u0000')
+      ? mapVariable(value.slice(1), state)
+      : { literal: String(value) };
+  }
+
+  return { key, variables };
+}
+
+/**
+ * Find the i18next message for a key path
+ * Nested objects and flat keys containing the separator are both searched,
+ * so `user.profile.name` also finds `{ "user.profile": { "name": ... } }`.
+ * @param {Object} data - Translations of the namespace
+ * @param {string} keyPath - Key path joined with the key separator
+ * @param {Object} state - Conversion state
+ * @returns {string|Object|undefined} The string or plural/context group
+ */
+function lookupMessage(data, keyPath, state) {
+  if (!state.groupCache.has(data)) {
+    state.groupCache.set(data, groupPlurals(data, state));
+  }
+  const message = state.groupCache.get(data)[keyPath];
+  if (typeof message === 'string' || (message && message[GROUP])) {
+    return message;
+  }
+
+  const { keySeparator } = state.options;
+  if (!keySeparator) {
+    return undefined;
+  }
+
+  const segments = keyPath.split(keySeparator);
+  for (let index = 1; index < segments.length; index++) {
+    const child = data[segments.slice(0, index).join(keySeparator)];
+    const found = isPlainObject(child)
+      ? lookupMessage(child, segments.slice(index).join(keySeparator), state)
+      : undefined;
+
+    if (found !== undefined) {
+      return found;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Join a key to the key path of its parent
+ * @param {string} parentPath - Key path of the parent, empty at the top
+ * @param {string|number} key - Key or array index
+ * @param {Object} state - Conversion state
+ * @returns {string} Key path
+ */
+function joinKeyPath(parentPath, key, state) {
+  return parentPath ? `${parentPath}${state.options.keySeparator || '.'}${key}` : String(key);
+}
+
+/**
+ * Identify a message across namespaces, e.g. `common:user.name`
+ * @param {string} namespace - Namespace name, empty when unknown
+ * @param {string} keyPath - Dotted key path
+ * @returns {string} Message id
+ */
+function referenceId(namespace, keyPath) {
+  return namespace ? `${namespace}:${keyPath}` : keyPath;
+}
+
+/**
+ * Resolve a $t() reference and inline the converted referenced message
+ * References that cannot be resolved, or that form a cycle, stay `[REF:key]`
+ * placeholders and are reported.
+ * @param {string} reference - Content of the $t() call
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @returns {string} Inlined ICU text or placeholder
+ */
+function resolveReference(reference, state, keyPath) {
+  const { key, variables, error } = parseReference(reference, state);
+  const placeholder = escapeLiteral(`[REF:${key}]`, state.inPlural);
+
+  if (error) {
+    state.warn('unresolved-reference', keyPath, `Cannot resolve $t(${key}): ${error}`);
+    return placeholder;
+  }
+
+  const separatorIndex = key.indexOf(':');
+  const namespace = separatorIndex > 0 ? key.slice(0, separatorIndex) : state.options.namespace;
+  const targetPath = separatorIndex > 0 ? key.slice(separatorIndex + 1) : key;
+  const id = referenceId(namespace, targetPath);
+
+  if (state.resolving.includes(id)) {
+    state.warn(
+      'nesting-cycle',
+      keyPath,
+      `Reference cycle: ${[...state.resolving, id].join(' → ')}`
+    );
+    return placeholder;
+  }
+
+  const data = state.namespaces[namespace];
+  const message = data ? lookupMessage(data, targetPath, state) : undefined;
+  if (message === undefined) {
+    const where = data ? `namespace "${namespace}"` : `unknown namespace "${namespace}"`;
+    state.warn('unresolved-reference', keyPath, `Cannot resolve $t(${key}) in ${where}`);
+    return placeholder;
+  }
+
+  // Warnings about the referenced message itself are reported on its own key
+  const nestedState = {
+    ...state,
+    variables,
+    resolving: [...state.resolving, id],
+    warn(code, warningKey, warningMessage) {
+      if (code === 'unresolved-reference' || code === 'nesting-cycle') {
+        state.warn(code, keyPath, warningMessage);
+      }
+    },
+    note() {}
+  };
+
+  state.note('reference-inlined', keyPath, `$t(${key}) inlined from ${id}`);
+  return message[GROUP]
+    ? createICUMessage(message, nestedState, targetPath)
+    : convertValue(message, nestedState, targetPath);
 }
 
 /**
  * Convert a single translation value
  * @param {any} value - The value to convert
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @param {string|null} [hashVariable=null] - Variable to write as `#`
  * @returns {any} Converted value
  */
-function convertValue(value) {
-  if (typeof value === 'string') {
-    let converted = convertInterpolation(value);
-    converted = convertNesting(converted);
-    return converted;
-  } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-    return convertTranslations(value);
+function convertValue(value, state, keyPath, hashVariable = null) {
+  if (typeof value !== 'string') {
+    return value;
   }
-  return value;
+
+  const text = applyTransforms(state.plugins.before, value, state, keyPath);
+
+  // Nesting is handled first, so inlined ICU text is not converted again
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(state.syntax.nestingPattern)) {
+    parts.push(convertInterpolation(text.slice(lastIndex, match.index), state, keyPath, hashVariable));
+    parts.push(convertNesting(match[1], state, keyPath));
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(convertInterpolation(text.slice(lastIndex), state, keyPath, hashVariable));
+
+  checkLeftoverSyntax(text, state, keyPath);
+  return applyTransforms(state.plugins.after, parts.join(''), state, keyPath);
 }
 
 /**
- * Convert i18next translations to ICU format
+ * Run the plugin transforms of a stage over a text
+ * @param {Object[]} transforms - Transforms as { name, transform }
+ * @param {string} text - i18next text before conversion, ICU text after
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @returns {string} Transformed text
+ */
+function applyTransforms(transforms, text, state, keyPath) {
+  return transforms.reduce(
+    (result, { name, transform }) => transform(result, { ...createPluginContext(name, state, keyPath), inPlural: state.inPlural }),
+    text
+  );
+}
+
+/**
+ * Describe the message being converted to a plugin hook
+ * @param {string} name - Name of the plugin
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path of the message
+ * @returns {Object} { key, locale, namespace, warn }, where `warn(message)`
+ *   reports a `plugin-warning` for the key
+ */
+function createPluginContext(name, state, keyPath) {
+  return {
+    key: keyPath,
+    locale: state.options.locale,
+    namespace: state.options.namespace,
+    warn: (message) => state.warn('plugin-warning', keyPath, `${name}: ${message}`)
+  };
+}
+
+/**
+ * Warn about interpolation or nesting delimiters that are left in the literal
+ * text, e.g. an unclosed `{{name` that i18next would print as is
+ * @param {string} value - The i18next value
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ */
+function checkLeftoverSyntax(value, state, keyPath) {
+  const { syntax } = state;
+  const text = value
+    .replace(syntax.nestingPattern, '')
+    .replace(syntax.interpolationPattern, '');
+  const delimiter = [syntax.nestingPrefix, syntax.prefix, syntax.suffix]
+    .find(candidate => text.includes(candidate));
+
+  if (delimiter) {
+    state.warn('suspicious-syntax', keyPath, `Unmatched "${delimiter}" is kept as literal text`);
+  }
+}
+
+/**
+ * Check that a converted value is valid ICU MessageFormat
+ * @param {any} value - The converted value
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in errors
+ */
+function validateMessage(value, state, keyPath) {
+  if (typeof value !== 'string') {
+    return;
+  }
+
+  try {
+    parse(value);
+  } catch (error) {
+    state.error('invalid-icu', keyPath, error.offset, error.reason);
+  }
+}
+
+/**
+ * Convert a (nested) translation object
  * @param {Object} translations - The i18next translation object
+ * @param {Object} state - Conversion state
+ * @param {string} parentPath - Dotted key path of the object
  * @returns {Object} ICU formatted translations
  */
-export function convertTranslations(translations) {
-  // First, group plural forms
-  const grouped = groupPlurals(translations);
+function convertObject(translations, state, parentPath) {
+  // First, group plural forms and context variants
+  const grouped = groupPlurals(translations, state, parentPath);
 
   // Then convert all values
   const result = {};
   for (const [key, value] of Object.entries(grouped)) {
-    result[key] = convertValue(value);
+    result[key] = convertEntry(value, state, joinKeyPath(parentPath, key, state));
   }
 
   return result;
 }
 
+/**
+ * Convert a value of a translation object or array
+ * Arrays (used with i18next's `returnObjects`) are converted item by item,
+ * and become objects with index keys when `flattenArrays` is set.
+ * @param {any} value - A message, plural group, nested object or array
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path of the value
+ * @returns {any} Converted value
+ */
+function convertEntry(value, state, keyPath) {
+  if (Array.isArray(value)) {
+    const items = value.map((item, index) => convertEntry(item, state, joinKeyPath(keyPath, index, state)));
+    return state.options.flattenArrays ? { ...items } : items;
+  }
+
+  if (isPlainObject(value) && !value[GROUP]) {
+    return convertObject(value, state, keyPath);
+  }
+
+  const keyState = { ...state, resolving: [referenceId(state.options.namespace, keyPath)] };
+  const converted = value && value[GROUP]
+    ? createICUMessage(value, keyState, keyPath)
+    : convertValue(value, keyState, keyPath);
+  validateMessage(converted, state, keyPath);
+
+  return converted;
+}
+
+/**
+ * Create the conversion state shared by the messages of a conversion
+ * @param {Object} options - Conversion options (see convertTranslations)
+ * @returns {Object} Conversion state, without contexts and with the
+ *   translations of other namespaces only
+ * @throws {Error} If the locale, compatibilityJSON or collisions option is unknown,
+ *   or a plugin is not loaded
+ */
+function createState(options) {
+  const {
+    contextVariable = 'context',
+    locale = null,
+    pluralVariable = null,
+    pluralHash = false,
+    nesting = 'placeholder',
+    compatibilityJSON = 'auto',
+    flattenArrays = false,
+    interpolation = {},
+    keySeparator = '.',
+    collisions = 'rename',
+    collisionSuffix = '_icu',
+    namespace = '',
+    namespaces = {},
+    plugins = [],
+    onWarning = null,
+    onError = null,
+    onDiagnostic = null
+  } = options;
+
+  const pluralLocale = locale ? normalizeLocale(locale) : null;
+  if (locale && !pluralLocale) {
+    throw new Error(`Unknown locale: ${locale}`);
+  }
+  if (!['auto', 'v3', 'v4'].includes(compatibilityJSON)) {
+    throw new Error(`Unknown compatibilityJSON: ${compatibilityJSON}`);
+  }
+  if (!['rename', 'keep-original', 'error'].includes(collisions)) {
+    throw new Error(`Unknown collisions strategy: ${collisions} (expected rename, keep-original or error)`);
+  }
+  if (!['placeholder', 'inline'].includes(nesting)) {
+    throw new Error(`Unknown nesting mode: ${nesting} (expected placeholder or inline)`);
+  }
+
+  return {
+    options: {
+      contextVariable,
+      locale: pluralLocale,
+      pluralVariable,
+      pluralHash,
+      nesting,
+      flattenArrays,
+      keySeparator,
+      collisions,
+      collisionSuffix,
+      namespace
+    },
+    syntax: createSyntax(interpolation),
+    plugins: combinePlugins(plugins),
+    contexts: new Set(),
+    contextsDetected: false,
+    legacyDetected: false,
+    namespaces: { ...namespaces },
+    groupCache: new WeakMap(),
+    variables: null,
+    resolving: [],
+    inPlural: false,
+    warn(code, key, message) {
+      if (onWarning) {
+        onWarning({ code, key, message });
+      }
+    },
+    error(code, key, offset, message) {
+      if (onError) {
+        onError({ code, key, offset, message });
+      }
+    },
+    note(code, key, message) {
+      if (onDiagnostic) {
+        onDiagnostic({ code, key, message });
+      }
+    }
+  };
+}
+
+/**
+ * Convert i18next translations to ICU format
+ * @param {Object} translations - The i18next translation object
+ * @param {Object} [options] - Conversion options
+ * @param {string[]|'auto'|false} [options.contexts=false] - Context values to group
+ *   into select expressions; 'auto' detects them across the file (see detectContexts)
+ *   and warns about every key merged into a detected context, false keeps
+ *   context keys as they are
+ * @param {string} [options.contextVariable='context'] - ICU argument name for contexts
+ * @param {string} [options.locale] - Locale of the translations, enables CLDR plural
+ *   category mapping and validation
+ * @param {string|Object} [options.pluralVariable] - Plural argument name, or an object
+ *   mapping key paths to names; inferred from the plural forms by default
+ * @param {boolean} [options.pluralHash=false] - Write the plural variable as `#`
+ *   inside plural branches
+ * @param {'placeholder'|'inline'} [options.nesting='placeholder'] - Turn $t() references
+ *   into `[REF:key]` placeholders, or inline the referenced messages
+ * @param {'auto'|'v3'|'v4'} [options.compatibilityJSON='auto'] - Plural key format;
+ *   'v3' reads `key_plural` and numeric suffixes (`key_0`), 'auto' detects them
+ * @param {Object} [options.interpolation] - i18next interpolation options: `prefix`,
+ *   `suffix`, `unescapePrefix`, `unescapeSuffix`, `nestingPrefix` and `nestingSuffix`
+ * @param {boolean} [options.flattenArrays=false] - Write arrays as objects with index
+ *   keys (`steps.0`), for ICU runtimes that only support string messages
+ * @param {string|false} [options.keySeparator='.'] - Separator of nested keys in key paths
+ *   and $t() references, false for flat keys only
+ * @param {'preserve'|'flat'|'nested'} [options.outputStructure='preserve'] - Keep the
+ *   structure, flatten nested objects to separator-joined keys, or split keys into objects
+ * @param {string} [options.outputKeySeparator] - Separator for flattening and
+ *   unflattening the output, the key separator (or `.`) by default
+ * @param {'rename'|'keep-original'|'error'} [options.collisions='rename'] - What to do
+ *   when a plural or context group would replace another key (`item` next to
+ *   `item_one`): write the group under a renamed key, keep the forms as they are, or fail
+ * @param {string} [options.collisionSuffix='_icu'] - Suffix of renamed groups
+ * @param {string} [options.namespace] - Namespace of the translations, for `ns:key` references
+ * @param {Object} [options.namespaces] - Translations of other namespaces by name,
+ *   for inlining `ns:key` references
+ * @param {Object[]} [options.plugins] - Plugins (see loadPlugins) with key `groupers`
+ *   tried before the plural and context suffixes, and `transforms` run on each text
+ *   `before` and `after` its interpolation and nesting are converted
+ * @param {Function} [options.onWarning] - Called with { code, key, message }
+ * @param {Function} [options.onError] - Called with { code, key, offset, message }
+ *   for converted values that are not valid ICU MessageFormat
+ * @param {Function} [options.onDiagnostic] - Called with { code, key, message } for
+ *   every transformation, e.g. `plural-grouped` or `reference-left`
+ * @returns {Object} ICU formatted translations
+ */
+export function convertTranslations(translations, options = {}) {
+  const {
+    contexts = false,
+    compatibilityJSON = 'auto',
+    keySeparator = '.',
+    outputStructure = 'preserve',
+    outputKeySeparator = keySeparator || '.',
+    namespace = ''
+  } = options;
+  const state = createState(options);
+
+  state.legacyDetected = compatibilityJSON === 'auto' && detectLegacyPlurals(translations, state.options.locale);
+  const legacy = compatibilityJSON === 'v3' || state.legacyDetected;
+  const data = legacy ? upgradeLegacyPlurals(translations, state, '') : translations;
+
+  state.contexts = resolveContexts(data, options);
+  state.contextsDetected = contexts === 'auto';
+  state.namespaces[namespace] = data;
+
+  const converted = convertObject(data, state, '');
+  return restructureKeys(converted, outputStructure, outputKeySeparator, (key, message) => {
+    state.warn('key-collision', key, message);
+  });
+}
+
+/**
+ * Convert a single i18next message to ICU
+ * The message is converted as a value on its own: its key is not read for
+ * plural or context suffixes, so plurals and contexts need convertTranslations.
+ * @param {string} message - The i18next message, e.g. `Hello {{name}}`
+ * @param {Object} [options] - Conversion options (see convertTranslations)
+ * @param {string} [options.key=''] - Key path of the message, the `key` of its
+ *   warnings, errors and diagnostics
+ * @param {Object} [options.translations] - The other translations of the message's
+ *   namespace, for inlining `$t(key)` references
+ * @returns {string} ICU message
+ */
+export function convertMessage(message, options = {}) {
+  const { key = '', translations = {}, namespace = '' } = options;
+  const state = createState(options);
+
+  state.namespaces[namespace] = translations;
+  return convertEntry(message, state, key);
+}
+
+/**
+ * Find keys that still use i18next syntax
+ * Converting already converted ICU again would quote its braces, so instead of
+ * comparing with convertTranslations this looks for what it would convert:
+ * plural and context suffixes, `{{interpolation}}` and `$t()` references.
+ * v3 plurals are detected the same way as in convertTranslations, context
+ * suffixes are only those of a `contexts` list. Values that are not valid ICU
+ * are reported as well.
+ * @param {Object} translations - The translation object
+ * @param {Object} [options] - Conversion options (see convertTranslations)
+ * @returns {Object[]} Findings as { code, key, message }
+ */
+export function findUnconverted(translations, options = {}) {
+  const { contexts, compatibilityJSON = 'auto' } = options;
+  const state = createState(options);
+  const { locale } = state.options;
+
+  const legacy = compatibilityJSON === 'v3' ||
+    (compatibilityJSON === 'auto' && detectLegacyPlurals(translations, locale));
+
+  return collectUnconverted(translations, {
+    state,
+    // Detected contexts may be ordinary snake_case keys of converted files
+    contexts: resolveContexts(translations, { contexts: Array.isArray(contexts) && contexts }),
+    categories: legacy && locale ? getPluralCategories(locale) : []
+  }, '');
+}
+
+/**
+ * Collect the keys of an object that still use i18next syntax
+ * @param {Object|Array} translations - The translation object
+ * @param {Object} check - { state, contexts, categories } of findUnconverted,
+ *   categories being those v3 numeric suffixes map to
+ * @param {string} parentPath - Key path of the object
+ * @returns {Object[]} Findings as { code, key, message }
+ */
+function collectUnconverted(translations, check, parentPath) {
+  const { state, contexts, categories } = check;
+  const { syntax } = state;
+  const indexes = Array.isArray(translations) ? new Map() : groupLegacyIndexes(translations);
+  const findings = [];
+
+  for (const [key, value] of Object.entries(translations)) {
+    const keyPath = joinKeyPath(parentPath, key, state);
+
+    if (isPlainObject(value) || Array.isArray(value)) {
+      findings.push(...collectUnconverted(value, check, keyPath));
+      continue;
+    }
+
+    const keyInfo = Array.isArray(translations) ? null : parseKey(key, contexts);
+    const legacyIndex = key.match(/^(.+)_(\d+)$/);
+    if (key.endsWith('_plural')) {
+      findings.push({ code: 'plural-suffix', key: keyPath, message: 'i18next v3 plural suffix "_plural"' });
+    } else if (legacyIndex && indexes.has(legacyIndex[1]) &&
+      indexes.get(legacyIndex[1]).every(index => index < categories.length)) {
+      findings.push({ code: 'plural-suffix', key: keyPath, message: `i18next v3 plural suffix "_${legacyIndex[2]}"` });
+    } else if (keyInfo && keyInfo.form) {
+      const suffix = `${keyInfo.ordinal ? '_ordinal' : ''}_${keyInfo.form}`;
+      findings.push({ code: 'plural-suffix', key: keyPath, message: `i18next plural suffix "${suffix}"` });
+    } else if (keyInfo) {
+      findings.push({ code: 'context-suffix', key: keyPath, message: `i18next context suffix "_${keyInfo.context}"` });
+    }
+
+    if (typeof value !== 'string') {
+      continue;
+    }
+
+    const [reference] = value.match(syntax.nestingPattern) || [];
+    if (reference) {
+      findings.push({ code: 'nesting', key: keyPath, message: `i18next reference "${reference}"` });
+    }
+
+    let parseError = null;
+    try {
+      parse(value);
+    } catch (error) {
+      parseError = error;
+    }
+
+    // `{{x}}` is valid ICU inside plural and select branches, delimiters
+    // without braces never are
+    const [interpolation] = value.match(syntax.interpolationPattern) || [];
+    if (interpolation && (parseError || !syntax.prefix.startsWith('{'))) {
+      findings.push({ code: 'interpolation', key: keyPath, message: `i18next interpolation "${interpolation}"` });
+    } else if (parseError) {
+      findings.push({ code: 'invalid-icu', key: keyPath, message: parseError.message });
+    }
+  }
+
+  return findings;
+}
+
 /**
  * Convert an entire i18next JSON file structure
+ * Accepts the same options object as processFiles: file options (`input`,
+ * `output`, `localePattern`) are ignored and `overrides[namespace]` is applied.
  * @param {Object} data - The parsed JSON data
+ * @param {Object} [options] - Conversion options (see convertTranslations)
+ * @param {Object} [options.overrides] - Options by namespace name
  * @returns {Object} Converted data
  */
-export function convertFile(data) {
-  return convertTranslations(data);
+export function convertFile(data, options = {}) {
+  const { overrides, ...rest } = options;
+  const override = overrides && rest.namespace ? overrides[rest.namespace] : null;
+  return convertTranslations(data, override ? { ...rest, ...override } : rest);
 }
@@ -0,0 +1,56 @@
+/**
+ * Per-key differences between translation objects
+ */
+
+import { isPlainObject } from './structure.js';
+
+/**
+ * Flatten a translation object to dotted key paths
+ * @param {Object} translations - The translation object
+ * @param {string} [prefix=''] - Key path of the object
+ * @param {Map} [entries] - Map to add the entries to
+ * @returns {Map<string, any>} Values by key path
+ */
+function flattenEntries(translations, prefix = '', entries = new Map()) {
+  for (const [key, value] of Object.entries(translations)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value)) {
+      flattenEntries(value, keyPath, entries);
+    } else {
+      entries.set(keyPath, value);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * List the keys whose values differ between two translation objects
+ * Keys are compared by dotted path, in the order they appear in `before`
+ * followed by keys only found in `after`.
+ * @param {Object} before - Original translations
+ * @param {Object} after - Converted translations
+ * @returns {Object[]} Changes as { key, type: 'added'|'removed'|'changed', before, after }
+ */
+export function diffTranslations(before, after) {
+  const beforeEntries = flattenEntries(before);
+  const afterEntries = flattenEntries(after);
+  const changes = [];
+
+  for (const [key, value] of beforeEntries) {
+    if (!afterEntries.has(key)) {
+      changes.push({ key, type: 'removed', before: value, after: undefined });
+    } else if (JSON.stringify(afterEntries.get(key)) !== JSON.stringify(value)) {
+      changes.push({ key, type: 'changed', before: value, after: afterEntries.get(key) });
+    }
+  }
+
+  for (const [key, value] of afterEntries) {
+    if (!beforeEntries.has(key)) {
+      changes.push({ key, type: 'added', before: undefined, after: value });
+    }
+  }
+
+  return changes;
+}
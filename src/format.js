@@ -0,0 +1,548 @@
+/**
+ * JSON and YAML writers that can keep the formatting of the original file
+ * JSON keeps its indentation, line endings and final newline. YAML is written
+ * by editing the original text: only changed values are rewritten, in their
+ * original quoting or block style, and comments, anchors and aliases stay.
+ */
+
+import { isDeepStrictEqual } from 'util';
+import yaml from 'js-yaml';
+import { isPlainObject } from './structure.js';
+
+// yaml.dump options for new YAML files and rewritten YAML entries
+const DUMP_OPTIONS = {
+  indent: 2,
+  lineWidth: -1,
+  noRefs: true,
+  quotingType: '"',
+  forceQuotes: false,
+  flowLevel: -1,
+  styles: {
+    '!!null': 'canonical' // represent null as ~
+  }
+};
+
+// Printable text that block scalars and single quotes can hold
+const PRINTABLE = /^[^\u0000-\u0008\u000b-\u001f\u007f\ufeff]*$/;
+
+/**
+ * Write translations as JSON
+ * With the original source, its indentation (spaces, tabs, or none for
+ * minified files), line endings and final newline are kept.
+ * @param {Object} data - Translations
+ * @param {string|null} [source] - Original JSON text
+ * @returns {string} JSON text
+ */
+export function stringifyJSON(data, source = null) {
+  if (!source) {
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  const body = source.trim();
+  const indent = body.match(/\n([ \t]+)\S/);
+  const newline = source.includes('\r\n') ? '\r\n' : '\n';
+  const text = JSON.stringify(data, null, indent ? indent[1] : (body.includes('\n') ? 2 : 0));
+
+  return text.replace(/\n/g, newline) + (/\n$/.test(source) ? newline : '');
+}
+
+/**
+ * Write translations as YAML
+ * With the original source, the file is edited instead of written anew (see
+ * rewriteYAML). Sources it cannot follow, such as flow mappings at the top or
+ * several documents, are written anew.
+ * @param {Object} data - Translations
+ * @param {string|null} [source] - Original YAML text
+ * @returns {string} YAML text
+ */
+export function stringifyYAML(data, source = null) {
+  if (source) {
+    try {
+      const text = rewriteYAML(data, source);
+      if (isDeepStrictEqual(yaml.load(text), data)) {
+        return text;
+      }
+    } catch {
+      // Written anew below
+    }
+  }
+  return yaml.dump(data, DUMP_OPTIONS);
+}
+
+/**
+ * Get the indentation of a line
+ * @param {string} line - The line
+ * @returns {number} Number of leading spaces
+ */
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/**
+ * Check whether a line is empty or only a comment
+ * @param {string} line - The line
+ * @returns {boolean} True for blank and comment lines
+ */
+function isBlankOrComment(line) {
+  return /^\s*(#.*)?$/.test(line);
+}
+
+/**
+ * Find the end of a quoted scalar
+ * @param {string} text - Text starting with the quote
+ * @returns {number} Index of the closing quote, or -1 when it is on a later line
+ */
+function findQuoteEnd(text) {
+  const quote = text[0];
+  for (let index = 1; index < text.length; index++) {
+    if (quote === '"' && text[index] === '\\') {
+      index++;
+    } else if (text[index] === quote) {
+      if (quote === "'" && text[index + 1] === "'") {
+        index++;
+      } else {
+        return index;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split a mapping entry line into its key and the text after the colon
+ * @param {string} text - The line without its indentation
+ * @returns {Object} { keyText, key, rest }
+ * @throws {Error} For lines that are not simple `key: value` entries
+ */
+function parseKeyLine(text) {
+  let keyEnd;
+  if (text[0] === '"' || text[0] === "'") {
+    keyEnd = findQuoteEnd(text) + 1;
+    if (keyEnd === 0) {
+      throw new Error('Unsupported multi-line key');
+    }
+  } else {
+    keyEnd = text.search(/:(\s|$)/);
+    const comment = text.search(/\s#/);
+    if (keyEnd <= 0 || (comment >= 0 && comment < keyEnd) || /^[-?[{&*!|>%@`]/.test(text)) {
+      throw new Error(`Unsupported YAML line: ${text}`);
+    }
+  }
+
+  const keyText = text.slice(0, keyEnd).trimEnd();
+  const colon = text.slice(keyEnd).match(/^\s*:(?:\s+|$)/);
+  if (!colon) {
+    throw new Error(`Unsupported YAML line: ${text}`);
+  }
+
+  const key = keyText === '<<' ? keyText : Object.keys(yaml.load(`${keyText}: 0`))[0];
+  return { keyText, key, rest: text.slice(keyEnd + colon[0].length) };
+}
+
+/**
+ * Describe the value of a mapping entry from the text after its colon
+ * @param {Object} entry - The entry, given `kind`, `style`, `comment` and more
+ * @param {string} rest - Text after the colon
+ * @param {string[]} lines - Lines of the file
+ * @param {number} unit - Indentation step of the file
+ */
+function describeValue(entry, rest, lines, unit) {
+  const [, props, value] = rest.match(/^((?:[&!]\S*(?:\s+|$))*)(.*)$/);
+  const anchor = props.match(/&(\S+)/);
+  entry.anchor = anchor ? anchor[1] : null;
+  entry.tagged = props.includes('!');
+
+  const contentLine = lines.slice(entry.start + 1, entry.end).find(line => !isBlankOrComment(line));
+
+  if (value === '' || value[0] === '#') {
+    if (!contentLine) {
+      entry.kind = 'empty';
+      entry.style = 'plain';
+    } else if (/^-(\s|$)/.test(contentLine.trimStart())) {
+      entry.kind = 'sequence';
+    } else {
+      entry.kind = 'mapping';
+      entry.child = parseMapping(lines, entry.start + 1, entry.end, indentOf(contentLine), unit);
+    }
+    entry.comment = value ? ` ${value}` : null;
+    return;
+  }
+
+  if (value[0] === '|' || value[0] === '>') {
+    const header = value.match(/^[|>]([-+]?\d?|\d[-+]?)(\s*#.*)?$/);
+    if (!header) {
+      throw new Error(`Unsupported block scalar header: ${value}`);
+    }
+    const contentLines = lines.slice(entry.start + 1, entry.end).filter(line => line.trim());
+    entry.kind = 'block';
+    entry.style = value[0] === '|' ? 'literal' : 'folded';
+    entry.comment = header[2] || null;
+    entry.blockIndent = contentLine ? indentOf(contentLine) : entry.indent + unit;
+    entry.width = Math.max(40, ...contentLines.map(line => line.trim().length));
+    return;
+  }
+
+  if (value[0] === '*') {
+    entry.kind = 'alias';
+    entry.alias = value.slice(1).split(/\s/)[0];
+    return;
+  }
+
+  entry.kind = 'inline';
+  entry.style = { '"': 'double', "'": 'single', '[': 'flow', '{': 'flow' }[value[0]] || 'plain';
+  entry.comment = null;
+
+  if (entry.end === entry.start + 1 && entry.style !== 'flow') {
+    const end = entry.style === 'plain' ? value.search(/\s+#/) : findQuoteEnd(value) + 1;
+    const comment = end > 0 ? value.slice(end) : '';
+    entry.comment = comment.trimStart().startsWith('#') ? comment : null;
+  }
+}
+
+/**
+ * Parse the lines of a block mapping
+ * Blank and comment lines are kept as lines; each entry spans its key line
+ * and the more indented lines of its value.
+ * @param {string[]} lines - Lines of the file
+ * @param {number} start - First line of the mapping
+ * @param {number} end - Line after the mapping
+ * @param {number} indent - Indentation of the mapping's keys
+ * @param {number} unit - Indentation step of the file
+ * @returns {Object} { indent, items }
+ * @throws {Error} For YAML this writer cannot follow
+ */
+function parseMapping(lines, start, end, indent, unit) {
+  const items = [];
+  let index = start;
+
+  while (index < end) {
+    const line = lines[index];
+    if (isBlankOrComment(line)) {
+      items.push({ line: index++ });
+      continue;
+    }
+    if (indentOf(line) !== indent) {
+      throw new Error(`Unexpected indentation on line ${index + 1}`);
+    }
+
+    const { keyText, key, rest } = parseKeyLine(line.slice(indent));
+    const opensBlock = rest === '' || rest[0] === '#' || /^[&!]\S*\s*$/.test(rest);
+
+    // The value spans the following more indented lines (or a sequence at the same indentation)
+    let entryEnd = index + 1;
+    while (entryEnd < end) {
+      const next = lines[entryEnd];
+      const sequenceItem = opensBlock && indentOf(next) === indent && /^-(\s|$)/.test(next.slice(indent));
+      if (!isBlankOrComment(next) && indentOf(next) <= indent && !sequenceItem) {
+        break;
+      }
+      entryEnd++;
+    }
+    while (entryEnd > index + 1 && isBlankOrComment(lines[entryEnd - 1])) {
+      entryEnd--;
+    }
+
+    const entry = { keyText, key, indent, start: index, end: entryEnd, merge: key === '<<' };
+    describeValue(entry, rest, lines, unit);
+    if (entry.merge && entry.kind !== 'alias') {
+      throw new Error('Only merge keys with a single alias are supported');
+    }
+
+    items.push(entry);
+    index = entryEnd;
+  }
+
+  return { indent, items };
+}
+
+/**
+ * Write a key as YAML, quoted only where needed
+ * @param {string} key - The key
+ * @returns {string} YAML key
+ */
+function formatKey(key) {
+  return yaml.dump({ [key]: 0 }, DUMP_OPTIONS).slice(0, -4);
+}
+
+/**
+ * Check whether a string can be written as a plain (unquoted) scalar
+ * @param {string} value - The string
+ * @returns {boolean} True when it reads back as the same string
+ */
+function isPlainSafe(value) {
+  if (!value || value !== value.trim() || /[\n\r\t]/.test(value)) {
+    return false;
+  }
+  try {
+    return yaml.load(`key: ${value}`).key === value;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fold a line of a folded block scalar at single spaces
+ * @param {string} text - The line
+ * @param {number} width - Preferred line width
+ * @returns {string[]} Folded lines
+ */
+function foldLine(text, width) {
+  const lines = [];
+  let rest = text;
+
+  while (rest.length > width) {
+    let breakAt = -1;
+    for (let index = 1; index < rest.length - 1; index++) {
+      if (rest[index] === ' ' && rest[index - 1] !== ' ' && rest[index + 1] !== ' ') {
+        if (index > width && breakAt > 0) {
+          break;
+        }
+        breakAt = index;
+      }
+    }
+    if (breakAt < 0) {
+      break;
+    }
+    lines.push(rest.slice(0, breakAt));
+    rest = rest.slice(breakAt + 1);
+  }
+
+  lines.push(rest);
+  return lines;
+}
+
+/**
+ * Write a string as a literal (`|`) or folded (`>`) block scalar
+ * @param {string} value - The string
+ * @param {'literal'|'folded'} style - Block style
+ * @param {number} indent - Indentation of the content lines
+ * @param {number} width - Line width for folding
+ * @returns {Object|null} { header, lines }, or null when the string needs quotes
+ */
+function writeBlock(value, style, indent, width) {
+  const trailing = value.match(/\n*$/)[0].length;
+  if (!value.trim() || /^\s/.test(value) || trailing > 1 || /\r/.test(value) || !PRINTABLE.test(value)) {
+    return null;
+  }
+
+  const content = value.slice(0, value.length - trailing).split('\n');
+  const padding = ' '.repeat(indent);
+  const chomp = trailing === 1 ? '' : '-';
+
+  if (style === 'folded' && content.every(line => !/^\s/.test(line))) {
+    const lines = [];
+    content.forEach((line, index) => {
+      if (index > 0) {
+        lines.push('');
+      }
+      if (line) {
+        lines.push(...foldLine(line, width).map(part => padding + part));
+      }
+    });
+    return { header: `>${chomp}`, lines };
+  }
+
+  return { header: `|${chomp}`, lines: content.map(line => line ? padding + line : '') };
+}
+
+/**
+ * Write a string as a single-line scalar in the given style where possible
+ * @param {string} value - The string
+ * @param {string} style - Style of the original value
+ * @returns {string} YAML scalar
+ */
+function writeInline(value, style) {
+  if (style === 'single' && !/[\n\r]/.test(value) && PRINTABLE.test(value)) {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+  if (style === 'plain' && isPlainSafe(value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Write an entry anew with yaml.dump, at its indentation
+ * @param {string} key - The key
+ * @param {any} value - The value
+ * @param {number} indent - Indentation of the key
+ * @param {Object} writer - Writer state
+ * @returns {string[]} Lines
+ */
+function dumpEntry(key, value, indent, writer) {
+  const text = yaml.dump({ [key]: value }, { ...DUMP_OPTIONS, indent: writer.unit });
+  return text.replace(/\n$/, '').split('\n').map(line => line && ' '.repeat(indent) + line);
+}
+
+/**
+ * Write a mapping entry with a new value, keeping its style where it can
+ * @param {Object} entry - The entry from parseMapping
+ * @param {string} key - Key to write
+ * @param {any} value - The new value
+ * @param {any} originalValue - The value read from the original file
+ * @param {Object} writer - Writer state
+ * @returns {string[]} Lines
+ */
+function renderEntry(entry, key, value, originalValue, writer) {
+  const { lines, anchors } = writer;
+  const keyLine = ' '.repeat(entry.indent) + formatKey(key) +
+    lines[entry.start].slice(entry.indent + entry.keyText.length);
+  const original = () => [key === entry.key ? lines[entry.start] : keyLine, ...lines.slice(entry.start + 1, entry.end)];
+  const remember = (result) => {
+    if (entry.anchor) {
+      anchors[entry.anchor] = value;
+    }
+    return result;
+  };
+
+  if (entry.kind === 'alias') {
+    return entry.alias in anchors && isDeepStrictEqual(anchors[entry.alias], value)
+      ? original()
+      : dumpEntry(key, value, entry.indent, writer);
+  }
+  if (isDeepStrictEqual(value, originalValue)) {
+    return remember(original());
+  }
+  if (entry.tagged) {
+    return dumpEntry(key, value, entry.indent, writer);
+  }
+
+  if (entry.kind === 'mapping' && isPlainObject(value)) {
+    const child = renderMapping(entry.child, value, isPlainObject(originalValue) ? originalValue : {}, writer);
+    return remember([keyLine, ...child]);
+  }
+
+  if (typeof value !== 'string' || !['inline', 'block', 'empty'].includes(entry.kind) || entry.style === 'flow') {
+    return dumpEntry(key, value, entry.indent, writer);
+  }
+
+  const prefix = `${' '.repeat(entry.indent)}${formatKey(key)}: ${entry.anchor ? `&${entry.anchor} ` : ''}`;
+  const comment = entry.comment || '';
+
+  if (entry.kind === 'block' || value.includes('\n')) {
+    const block = writeBlock(
+      value,
+      entry.style === 'folded' ? 'folded' : 'literal',
+      entry.blockIndent || entry.indent + writer.unit,
+      entry.width || 80
+    );
+    if (block) {
+      return remember([`${prefix}${block.header}${comment}`, ...block.lines]);
+    }
+  }
+
+  return remember([`${prefix}${writeInline(value, entry.style)}${comment}`]);
+}
+
+/**
+ * Write a mapping by editing its original lines
+ * Entries keep their place. A key that is gone from the data was merged into
+ * a group (`item_one` into `item`): the first of them takes the group's key
+ * and value, the others are dropped. The other way around, the forms a message
+ * was split into take its place. Keys that are new are added at the end.
+ * @param {Object} mapping - Mapping from parseMapping
+ * @param {Object} data - The new translations at this level
+ * @param {Object} original - The translations read from the original file
+ * @param {Object} writer - Writer state
+ * @returns {string[]} Lines
+ */
+function renderMapping(mapping, data, original, writer) {
+  const output = [];
+  const written = new Set();
+  const explicit = new Set(mapping.items.map(item => item.key).filter(Boolean));
+  let entriesEnd = 0;
+
+  const findKey = (key) => {
+    if (Object.hasOwn(data, key)) {
+      return written.has(key) ? null : key;
+    }
+    for (let index = key.lastIndexOf('_'); index > 0; index = key.lastIndexOf('_', index - 1)) {
+      const groupKey = key.slice(0, index);
+      if (Object.hasOwn(data, groupKey)) {
+        return written.has(groupKey) ? null : groupKey;
+      }
+    }
+    return null;
+  };
+
+  for (const item of mapping.items) {
+    if (item.line !== undefined) {
+      output.push(writer.lines[item.line]);
+      continue;
+    }
+
+    if (item.merge) {
+      // Keep `<<: *base` when the merged keys are still the anchored ones
+      const base = writer.anchors[item.alias];
+      const merged = isPlainObject(base) ? Object.keys(base).filter(key => !explicit.has(key)) : null;
+      if (merged && merged.every(key => Object.hasOwn(data, key) && !written.has(key) && isDeepStrictEqual(data[key], base[key]))) {
+        merged.forEach(key => written.add(key));
+        output.push(...writer.lines.slice(item.start, item.end));
+        entriesEnd = output.length;
+      }
+      continue;
+    }
+
+    const key = findKey(item.key);
+    if (key !== null) {
+      written.add(key);
+      output.push(...renderEntry(item, key, data[key], original[item.key], writer));
+      entriesEnd = output.length;
+    }
+
+    // The forms a message was split into (`item` into `item_one`, `item_other`) follow it
+    Object.keys(data)
+      .filter(dataKey => dataKey.startsWith(`${item.key}_`) && !explicit.has(dataKey) && !written.has(dataKey))
+      .forEach(dataKey => {
+        written.add(dataKey);
+        output.push(...renderEntry(item, dataKey, data[dataKey], undefined, writer));
+        entriesEnd = output.length;
+      });
+  }
+
+  const added = Object.keys(data)
+    .filter(key => !written.has(key))
+    .flatMap(key => dumpEntry(key, data[key], mapping.indent, writer));
+  output.splice(entriesEnd, 0, ...added);
+  return output;
+}
+
+/**
+ * Rewrite a YAML file with new translations
+ * @param {Object} data - Translations
+ * @param {string} source - Original YAML text
+ * @returns {string} YAML text
+ * @throws {Error} For YAML this writer cannot follow
+ */
+function rewriteYAML(data, source) {
+  const original = yaml.load(source);
+  if (!isPlainObject(original) || !isPlainObject(data)) {
+    throw new Error('Only YAML mappings can be rewritten');
+  }
+
+  const newline = source.includes('\r\n') ? '\r\n' : '\n';
+  const lines = source.replace(/\r\n/g, '\n').split('\n');
+
+  // Comments, directives and a `---` before the mapping stay as they are
+  let start = 0;
+  while (start < lines.length && (isBlankOrComment(lines[start]) || /^(%|---\s*(#.*)?$)/.test(lines[start]))) {
+    start++;
+  }
+  let end = lines.findIndex((line, index) => index >= start && /^(---|\.\.\.)(\s|$)/.test(line));
+  if (end < 0) {
+    end = lines.length;
+  } else if (!lines.slice(end + 1).every(isBlankOrComment)) {
+    throw new Error('Files with several YAML documents are not supported');
+  }
+
+  const nested = lines.slice(start, end).find(line => !isBlankOrComment(line) && indentOf(line) > indentOf(lines[start]));
+  const unit = nested ? indentOf(nested) - indentOf(lines[start]) : 2;
+  const writer = { lines, unit, anchors: {} };
+  const mapping = parseMapping(lines, start, end, indentOf(lines[start]), unit);
+
+  return [
+    ...lines.slice(0, start),
+    ...renderMapping(mapping, data, original, writer),
+    ...lines.slice(end)
+  ].join(newline);
+}
@@ -0,0 +1,456 @@
+/**
+ * Maps i18next formatters to and from ICU MessageFormat argument types and skeletons
+ */
+
+// Intl.DateTimeFormat options mapped to ICU date skeleton fields
+const DATE_SKELETON_FIELDS = {
+  era: { narrow: 'GGGGG', short: 'G', long: 'GGGG' },
+  year: { numeric: 'y', '2-digit': 'yy' },
+  month: { numeric: 'M', '2-digit': 'MM', short: 'MMM', long: 'MMMM', narrow: 'MMMMM' },
+  weekday: { narrow: 'EEEEE', short: 'EEE', long: 'EEEE' },
+  day: { numeric: 'd', '2-digit': 'dd' },
+  hour: { numeric: 'j', '2-digit': 'jj' },
+  minute: { numeric: 'm', '2-digit': 'mm' },
+  second: { numeric: 's', '2-digit': 'ss' },
+  timeZoneName: { short: 'z', long: 'zzzz' }
+};
+
+const TIME_FIELDS = ['hour', 'minute', 'second', 'timeZoneName'];
+
+const DATE_STYLES = ['full', 'long', 'medium', 'short'];
+
+const CURRENCY_DISPLAY_STEMS = {
+  symbol: null,
+  narrowSymbol: 'unit-width-narrow',
+  code: 'unit-width-iso-code',
+  name: 'unit-width-full-name'
+};
+
+/**
+ * Split a string on commas that are not inside parentheses
+ * @param {string} text - Text to split
+ * @returns {string[]} Trimmed parts
+ */
+export function splitFormats(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  return parts;
+}
+
+/**
+ * Parse an i18next format string such as `currency(USD)` or
+ * `datetime(dateStyle: long; timeStyle: short)`
+ * @param {string} format - The format string
+ * @returns {Object} { name, options, value } where value is a positional option
+ */
+function parseFormat(format) {
+  const match = format.match(/^([\w-]+)\s*(?:\((.*)\))?$/s);
+  if (!match) {
+    return { name: format, options: {}, value: null };
+  }
+
+  const options = {};
+  let value = null;
+
+  for (const option of (match[2] || '').split(';')) {
+    if (!option.trim()) continue;
+
+    const separatorIndex = option.indexOf(':');
+    if (separatorIndex === -1) {
+      value = unquote(option);
+    } else {
+      options[option.slice(0, separatorIndex).trim()] = unquote(option.slice(separatorIndex + 1));
+    }
+  }
+
+  return { name: match[1].toLowerCase(), options, value };
+}
+
+/**
+ * Remove whitespace and surrounding quotes from a format option
+ * @param {string} text - Option text
+ * @returns {string} Option value
+ */
+function unquote(text) {
+  return text.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Create an ICU number skeleton from Intl.NumberFormat options
+ * @param {Object} options - Number format options
+ * @param {string[]} unmapped - Collects option names that have no skeleton
+ * @returns {string[]} Skeleton stems
+ */
+function createNumberSkeleton(options, unmapped) {
+  const stems = [];
+  const { minimumFractionDigits, maximumFractionDigits, ...rest } = options;
+
+  if (rest.style === 'percent') {
+    stems.push('percent');
+  } else if (rest.style === 'currency' || rest.currency) {
+    if (!rest.currency) {
+      unmapped.push('style');
+    } else {
+      stems.push(`currency/${rest.currency.toUpperCase()}`);
+    }
+  } else if (rest.style === 'unit' && rest.unit) {
+    stems.push(`unit/${rest.unit}`);
+  } else if (rest.style && rest.style !== 'decimal') {
+    unmapped.push('style');
+  }
+  delete rest.style;
+  delete rest.currency;
+  delete rest.unit;
+
+  if (minimumFractionDigits !== undefined || maximumFractionDigits !== undefined) {
+    // Intl defaults: no minimum, at most max(minimum, 3) fraction digits
+    const min = Number(minimumFractionDigits || 0);
+    const max = maximumFractionDigits !== undefined ? Number(maximumFractionDigits) : Math.max(min, 3);
+
+    if (Number.isNaN(min) || Number.isNaN(max) || max < min) {
+      unmapped.push('minimumFractionDigits', 'maximumFractionDigits');
+    } else if (max === 0) {
+      stems.push('precision-integer');
+    } else {
+      stems.push(`.${'0'.repeat(min)}${'#'.repeat(max - min)}`);
+    }
+  }
+
+  if ('currencyDisplay' in rest) {
+    if (CURRENCY_DISPLAY_STEMS[rest.currencyDisplay] === undefined) {
+      unmapped.push('currencyDisplay');
+    } else if (CURRENCY_DISPLAY_STEMS[rest.currencyDisplay]) {
+      stems.push(CURRENCY_DISPLAY_STEMS[rest.currencyDisplay]);
+    }
+    delete rest.currencyDisplay;
+  }
+
+  if ('useGrouping' in rest) {
+    if (rest.useGrouping === 'false') {
+      stems.push('group-off');
+    }
+    delete rest.useGrouping;
+  }
+
+  if ('notation' in rest) {
+    if (rest.notation === 'compact') {
+      stems.push(rest.compactDisplay === 'long' ? 'compact-long' : 'compact-short');
+      delete rest.compactDisplay;
+    } else if (rest.notation === 'scientific') {
+      stems.push('scientific');
+    } else if (rest.notation === 'engineering') {
+      stems.push('engineering');
+    } else if (rest.notation !== 'standard') {
+      unmapped.push('notation');
+    }
+    delete rest.notation;
+  }
+
+  unmapped.push(...Object.keys(rest));
+  return stems;
+}
+
+/**
+ * Create an ICU number argument
+ * @param {string} variable - Argument name
+ * @param {Object} options - Number format options
+ * @param {string[]} unmapped - Collects option names that have no skeleton
+ * @returns {string} ICU argument
+ */
+function createNumberArgument(variable, options, unmapped) {
+  const stems = createNumberSkeleton(options, unmapped);
+
+  if (stems.length === 0) {
+    return `{${variable}, number}`;
+  }
+  if (stems.length === 1 && stems[0] === 'percent') {
+    return `{${variable}, number, percent}`;
+  }
+  // Unlike the `percent` style, the `percent` stem does not multiply by 100
+  return `{${variable}, number, ::${stems.map(stem => stem === 'percent' ? 'percent scale/100' : stem).join(' ')}}`;
+}
+
+/**
+ * Create an ICU date or time argument from Intl.DateTimeFormat options
+ * @param {string} variable - Argument name
+ * @param {Object} options - Date format options
+ * @param {string[]} unmapped - Collects option names that have no skeleton
+ * @returns {string} ICU argument
+ */
+function createDateArgument(variable, options, unmapped) {
+  const { dateStyle, timeStyle, hour12, ...fields } = options;
+
+  if (dateStyle || timeStyle) {
+    unmapped.push(...Object.keys(fields));
+    if (hour12 !== undefined) unmapped.push('hour12');
+
+    const styles = [];
+    if (dateStyle) {
+      styles.push(DATE_STYLES.includes(dateStyle) ? `{${variable}, date, ${dateStyle}}` : null);
+    }
+    if (timeStyle) {
+      styles.push(DATE_STYLES.includes(timeStyle) ? `{${variable}, time, ${timeStyle}}` : null);
+    }
+    if (styles.includes(null)) {
+      unmapped.push(dateStyle && !DATE_STYLES.includes(dateStyle) ? 'dateStyle' : 'timeStyle');
+      return `{${variable}, date}`;
+    }
+    if (styles.length > 1) {
+      // ICU has no combined date and time style, Intl joins them per locale
+      unmapped.push('dateStyle + timeStyle');
+    }
+    return styles.join(' ');
+  }
+
+  const skeleton = [];
+  for (const [field, value] of Object.entries(fields)) {
+    const symbol = DATE_SKELETON_FIELDS[field] && DATE_SKELETON_FIELDS[field][value];
+    if (!symbol) {
+      unmapped.push(field);
+    } else if (field === 'hour' && hour12 !== undefined) {
+      skeleton.push(symbol.replace(/j/g, hour12 === 'false' ? 'H' : 'h'));
+    } else {
+      skeleton.push(symbol);
+    }
+  }
+
+  if (skeleton.length === 0) {
+    // Intl formats a date without options as a short numeric date
+    return `{${variable}, date, short}`;
+  }
+
+  const type = Object.keys(fields).every(field => TIME_FIELDS.includes(field)) ? 'time' : 'date';
+  return `{${variable}, ${type}, ::${skeleton.join('')}}`;
+}
+
+/**
+ * Convert an i18next interpolation with formatters to an ICU argument
+ * Formatters without an ICU v1 equivalent keep a plain argument and come back
+ * as warnings, so the caller can report them instead of writing broken output.
+ * @param {string} variable - Interpolated variable name
+ * @param {string[]} formats - i18next format strings, e.g. ['currency(USD)']
+ * @returns {Object} { argument, warnings } with the ICU argument and warning messages
+ */
+export function convertFormat(variable, formats) {
+  const warnings = [];
+  let argument = null;
+
+  for (const format of formats) {
+    const { name, options, value } = parseFormat(format);
+    const unmapped = [];
+
+    if (argument) {
+      warnings.push(`Formatter "${format}" on "${variable}" is chained after another formatter and was dropped`);
+      continue;
+    }
+
+    switch (name) {
+      case 'number':
+        argument = createNumberArgument(variable, options, unmapped);
+        break;
+      case 'currency':
+        argument = createNumberArgument(
+          variable,
+          { ...options, style: 'currency', currency: options.currency || value },
+          unmapped
+        );
+        break;
+      case 'percent':
+        argument = createNumberArgument(variable, { ...options, style: 'percent' }, unmapped);
+        break;
+      case 'datetime':
+      case 'date':
+        argument = createDateArgument(variable, options, unmapped);
+        break;
+      case 'time':
+        argument = createDateArgument(
+          variable,
+          Object.keys(options).length > 0 ? options : { timeStyle: 'short' },
+          unmapped
+        );
+        break;
+      case 'relativetime':
+      case 'list':
+        warnings.push(
+          `Formatter "${format}" on "${variable}" has no ICU MessageFormat v1 equivalent, ` +
+          'pass a pre-formatted value instead'
+        );
+        break;
+      default:
+        warnings.push(`Unknown formatter "${format}" on "${variable}" was dropped`);
+    }
+
+    if (unmapped.length > 0) {
+      warnings.push(`Formatter "${format}" on "${variable}": options not mapped to ICU: ${unmapped.join(', ')}`);
+    }
+  }
+
+  return {
+    argument: argument || `{${variable}}`,
+    warnings
+  };
+}
+
+/**
+ * Create Intl.NumberFormat options from ICU number skeleton stems
+ * @param {string[]} stems - Skeleton stems, e.g. ['currency/USD', '.00']
+ * @param {string[]} unmapped - Collects stems that have no i18next option
+ * @returns {Object} Number format options
+ */
+function parseNumberSkeleton(stems, unmapped) {
+  const options = {};
+
+  for (const stem of stems) {
+    const fractionMatch = stem.match(/^\.(0*)(#*)$/);
+
+    if (stem.startsWith('currency/')) {
+      options.style = 'currency';
+      options.currency = stem.slice('currency/'.length);
+    } else if (stem === 'percent') {
+      options.style = 'percent';
+    } else if (stem.startsWith('unit/')) {
+      options.style = 'unit';
+      options.unit = stem.slice('unit/'.length);
+    } else if (stem === 'precision-integer' || stem === '.') {
+      options.maximumFractionDigits = 0;
+    } else if (fractionMatch) {
+      options.minimumFractionDigits = fractionMatch[1].length;
+      options.maximumFractionDigits = fractionMatch[1].length + fractionMatch[2].length;
+    } else if (stem === 'group-off') {
+      options.useGrouping = false;
+    } else if (Object.values(CURRENCY_DISPLAY_STEMS).includes(stem)) {
+      options.currencyDisplay = Object.keys(CURRENCY_DISPLAY_STEMS)
+        .find(display => CURRENCY_DISPLAY_STEMS[display] === stem);
+    } else if (stem === 'compact-short' || stem === 'compact-long') {
+      options.notation = 'compact';
+      if (stem === 'compact-long') options.compactDisplay = 'long';
+    } else if (stem === 'scientific' || stem === 'engineering') {
+      options.notation = stem;
+    } else {
+      unmapped.push(stem);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Create Intl.DateTimeFormat options from an ICU date skeleton
+ * @param {string} skeleton - Date skeleton, e.g. `yMMMMd`
+ * @param {string[]} unmapped - Collects skeleton fields that have no i18next option
+ * @returns {Object} Date format options
+ */
+function parseDateSkeleton(skeleton, unmapped) {
+  const options = {};
+
+  for (const [symbol] of skeleton.matchAll(/(.)\1*/g)) {
+    const field = Object.keys(DATE_SKELETON_FIELDS).find(name => (
+      Object.values(DATE_SKELETON_FIELDS[name]).includes(symbol.replace(/[hH]/g, 'j'))
+    ));
+
+    if (!field) {
+      unmapped.push(symbol);
+      continue;
+    }
+
+    const normalized = symbol.replace(/[hH]/g, 'j');
+    options[field] = Object.keys(DATE_SKELETON_FIELDS[field])
+      .find(value => DATE_SKELETON_FIELDS[field][value] === normalized);
+    if (symbol[0] === 'h') options.hour12 = true;
+    if (symbol[0] === 'H') options.hour12 = false;
+  }
+
+  return options;
+}
+
+/**
+ * Write formatter options in i18next syntax
+ * @param {string} name - Formatter name
+ * @param {Object} options - Formatter options
+ * @returns {string} e.g. `number(minimumFractionDigits: 2)`
+ */
+function formatOptions(name, options) {
+  const entries = Object.entries(options);
+  if (entries.length === 0) {
+    return name;
+  }
+  return `${name}(${entries.map(([option, value]) => `${option}: ${value}`).join('; ')})`;
+}
+
+/**
+ * Convert an ICU number/date/time argument to an i18next interpolation
+ * The inverse of convertFormat: `{price, number, ::currency/USD}` becomes
+ * `{{price, currency(USD)}}`.
+ * @param {string} variable - Argument name
+ * @param {string} type - ICU argument type (number, date, time, ...)
+ * @param {string|null} style - ICU argument style or `::skeleton`
+ * @returns {Object} { interpolation, warnings }
+ */
+export function convertICUFormat(variable, type, style) {
+  const warnings = [];
+  const unmapped = [];
+  const argument = style ? `{${variable}, ${type}, ${style}}` : `{${variable}, ${type}}`;
+  let format = null;
+
+  if (type === 'number') {
+    let options = {};
+    if (style && style.startsWith('::')) {
+      options = parseNumberSkeleton(style.slice(2).trim().split(/\s+/), unmapped);
+    } else if (style === 'percent') {
+      options = { style: 'percent' };
+    } else if (style === 'integer') {
+      options = { maximumFractionDigits: 0 };
+    } else if (style) {
+      unmapped.push(style);
+    }
+
+    const { style: numberStyle, currency, ...rest } = options;
+    if (numberStyle === 'currency') {
+      format = Object.keys(rest).length === 0
+        ? `currency(${currency})`
+        : formatOptions('currency', { currency, ...rest });
+    } else {
+      format = formatOptions('number', numberStyle ? { style: numberStyle, ...rest } : rest);
+    }
+  } else if (type === 'date' || type === 'time') {
+    const styleOption = type === 'date' ? 'dateStyle' : 'timeStyle';
+
+    if (style && style.startsWith('::')) {
+      format = formatOptions('datetime', parseDateSkeleton(style.slice(2).trim(), unmapped));
+    } else if (type === 'date' && style === 'short') {
+      // The i18next default is a short numeric date
+      format = 'datetime';
+    } else if (!style || DATE_STYLES.includes(style)) {
+      format = formatOptions('datetime', { [styleOption]: style || 'medium' });
+    } else {
+      unmapped.push(style);
+      format = 'datetime';
+    }
+  } else {
+    warnings.push(`ICU argument ${argument} has no i18next formatter and was written as a plain variable`);
+  }
+
+  if (unmapped.length > 0) {
+    warnings.push(`ICU argument ${argument}: style not mapped to i18next: ${unmapped.join(' ')}`);
+  }
+
+  return {
+    interpolation: format ? `{{${variable}, ${format}}}` : `{{${variable}}}`,
+    warnings
+  };
+}
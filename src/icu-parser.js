@@ -0,0 +1,301 @@
+/**
+ * Parser for ICU MessageFormat v1 messages
+ * Follows ICU's default apostrophe mode: a single apostrophe only starts
+ * quoted text before `{`, `}`, `|` or (inside plural branches) `#`.
+ */
+
+const ARGUMENT_TYPES = ['number', 'date', 'time', 'spellout', 'ordinal', 'duration'];
+const PLURAL_TYPES = ['plural', 'selectordinal'];
+const PLURAL_KEYWORDS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Error thrown for invalid ICU messages
+ * `offset` is the character offset in the message where the error was found.
+ */
+export class ICUSyntaxError extends Error {
+  constructor(message, offset) {
+    super(`${message} (at offset ${offset})`);
+    this.name = 'ICUSyntaxError';
+    this.reason = message;
+    this.offset = offset;
+  }
+}
+
+/**
+ * Parse an ICU MessageFormat v1 message
+ * @param {string} message - The message
+ * @returns {Object[]} Message nodes (literal, argument, format, plural, select, pound)
+ * @throws {ICUSyntaxError} If the message is not valid ICU
+ */
+export function parse(message) {
+  let position = 0;
+
+  function error(reason, offset = position) {
+    return new ICUSyntaxError(reason, offset);
+  }
+
+  function peek() {
+    return message[position];
+  }
+
+  function skipWhitespace() {
+    while (position < message.length && /\s/.test(peek())) {
+      position++;
+    }
+  }
+
+  function expect(char) {
+    if (peek() !== char) {
+      const found = position < message.length ? `"${peek()}"` : 'end of message';
+      throw error(`Expected "${char}" but found ${found}`);
+    }
+    position++;
+  }
+
+  /**
+   * Read an argument name, type or selector
+   * @returns {string} The word
+   */
+  function readWord() {
+    const start = position;
+    while (position < message.length && !/[\s{},#'|]/.test(peek())) {
+      position++;
+    }
+    return message.slice(start, position);
+  }
+
+  /**
+   * Parse message text until the closing brace of the enclosing branch
+   * @param {boolean} inPlural - Whether `#` refers to the plural number
+   * @param {boolean} nested - Whether the message is a branch inside braces
+   * @returns {Object[]} Message nodes
+   */
+  function parseMessage(inPlural, nested) {
+    const nodes = [];
+    let text = '';
+    let textStart = position;
+
+    const pushText = () => {
+      if (text) {
+        nodes.push({ type: 'literal', value: text, start: textStart, end: position });
+      }
+      text = '';
+    };
+
+    while (position < message.length) {
+      const char = peek();
+
+      if (char === '{') {
+        pushText();
+        nodes.push(parseArgument(inPlural));
+        textStart = position;
+      } else if (char === '}') {
+        if (!nested) {
+          throw error('Unexpected "}" without a matching "{"');
+        }
+        break;
+      } else if (char === '#' && inPlural) {
+        pushText();
+        nodes.push({ type: 'pound', start: position, end: position + 1 });
+        position++;
+        textStart = position;
+      } else if (char === "'") {
+        text += parseApostrophe(inPlural);
+      } else {
+        text += char;
+        position++;
+      }
+    }
+
+    pushText();
+    return nodes;
+  }
+
+  /**
+   * Parse an apostrophe: `''`, quoted text or a plain apostrophe
+   * @param {boolean} inPlural - Whether `#` is a syntax character
+   * @returns {string} The literal text it stands for
+   */
+  function parseApostrophe(inPlural) {
+    const start = position;
+    const next = message[position + 1];
+
+    if (next === "'") {
+      position += 2;
+      return "'";
+    }
+
+    if (next === '{' || next === '}' || next === '|' || (inPlural && next === '#')) {
+      let text = '';
+      position++;
+
+      while (position < message.length) {
+        if (peek() === "'") {
+          if (message[position + 1] === "'") {
+            text += "'";
+            position += 2;
+          } else {
+            position++;
+            return text;
+          }
+        } else {
+          text += peek();
+          position++;
+        }
+      }
+
+      throw error('Unterminated quoted text', start);
+    }
+
+    position++;
+    return "'";
+  }
+
+  /**
+   * Parse an argument starting at `{`
+   * @param {boolean} inPlural - Whether the argument is inside a plural branch
+   * @returns {Object} Argument node
+   */
+  function parseArgument(inPlural) {
+    const start = position;
+    expect('{');
+    skipWhitespace();
+
+    const nameStart = position;
+    const name = readWord();
+    if (!name) {
+      throw error(
+        position < message.length ? 'Expected an argument name' : 'Unclosed argument',
+        nameStart
+      );
+    }
+    if (!/^(\d+|[^\d\s][^\s]*)$/.test(name)) {
+      throw error(`Invalid argument name "${name}"`, nameStart);
+    }
+
+    skipWhitespace();
+    if (position >= message.length) {
+      throw error('Unclosed argument', start);
+    }
+    if (peek() === '}') {
+      position++;
+      return { type: 'argument', name, start, end: position };
+    }
+
+    expect(',');
+    skipWhitespace();
+
+    const typeStart = position;
+    const type = readWord();
+    skipWhitespace();
+
+    if (PLURAL_TYPES.includes(type) || type === 'select') {
+      expect(',');
+      return parseOptions(name, type, start, inPlural);
+    }
+
+    if (!ARGUMENT_TYPES.includes(type)) {
+      throw error(type ? `Unknown argument type "${type}"` : 'Expected an argument type', typeStart);
+    }
+
+    let style = null;
+    if (peek() === ',') {
+      position++;
+      style = parseStyle();
+    }
+
+    expect('}');
+    return { type: 'format', name, format: type, style, start, end: position };
+  }
+
+  /**
+   * Parse the style of a number/date/time argument up to its closing brace
+   * @returns {string} The trimmed style
+   */
+  function parseStyle() {
+    const start = position;
+    let style = '';
+    let depth = 0;
+
+    while (position < message.length) {
+      const char = peek();
+
+      if (char === "'") {
+        style += parseApostrophe(false);
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}') {
+        if (depth === 0) break;
+        depth--;
+      }
+      style += char;
+      position++;
+    }
+
+    style = style.trim();
+    if (!style) {
+      throw error('Expected an argument style', start);
+    }
+    return style;
+  }
+
+  /**
+   * Parse the options of a plural, selectordinal or select argument
+   * @param {string} name - Argument name
+   * @param {string} type - Argument type
+   * @param {number} start - Offset of the opening brace
+   * @param {boolean} inPlural - Whether the argument is inside a plural branch
+   * @returns {Object} Plural or select node
+   */
+  function parseOptions(name, type, start, inPlural) {
+    const isPlural = PLURAL_TYPES.includes(type);
+    const options = {};
+    let offset = 0;
+
+    skipWhitespace();
+    if (isPlural && message.startsWith('offset:', position)) {
+      position += 'offset:'.length;
+      skipWhitespace();
+      const offsetStart = position;
+      const value = readWord();
+      if (!/^\d+$/.test(value)) {
+        throw error('Expected a number after "offset:"', offsetStart);
+      }
+      offset = Number(value);
+    }
+
+    while (true) {
+      skipWhitespace();
+      if (peek() === '}' || position >= message.length) break;
+
+      const selectorStart = position;
+      const selector = readWord();
+      if (!selector) {
+        throw error(`Expected a ${type} selector`);
+      }
+      if (isPlural && !PLURAL_KEYWORDS.includes(selector) && !/^=\d+(\.\d+)?$/.test(selector)) {
+        throw error(`Invalid ${type} selector "${selector}"`, selectorStart);
+      }
+      if (selector in options) {
+        throw error(`Duplicate ${type} selector "${selector}"`, selectorStart);
+      }
+
+      skipWhitespace();
+      expect('{');
+      options[selector] = parseMessage(isPlural || inPlural, true);
+      expect('}');
+    }
+
+    if (!('other' in options)) {
+      throw error(`Missing "other" option in ${type}`, start);
+    }
+    expect('}');
+
+    return isPlural
+      ? { type: 'plural', name, ordinal: type === 'selectordinal', offset, options, start, end: position }
+      : { type: 'select', name, options, start, end: position };
+  }
+
+  return parseMessage(false, false);
+}
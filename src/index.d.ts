@@ -0,0 +1,411 @@
+/**
+ * Type declarations of the i18next2icu library
+ */
+
+/** Translations as parsed from a file: messages, nested objects and arrays */
+export interface Translations {
+  [key: string]: TranslationValue;
+}
+
+export type TranslationValue = string | number | boolean | null | Translations | TranslationValue[];
+
+/** File formats, by name */
+export type FileFormat = 'json' | 'json5' | 'yaml' | 'module' | 'xliff';
+
+/** Codes of transformations, reported through `onDiagnostic` */
+export type DiagnosticCode =
+  | 'plural-grouped'
+  | 'context-grouped'
+  | 'reference-left'
+  | 'reference-inlined'
+  | 'formatter-mapped'
+  | 'legacy-plural-upgraded'
+  | 'plugin-grouped';
+
+/** Codes of warnings, reported through `onWarning` */
+export type WarningCode =
+  | 'missing-context-default'
+  | 'context-merged'
+  | 'missing-plural-category'
+  | 'unused-plural-category'
+  | 'missing-plural-other'
+  | 'ambiguous-plural-variable'
+  | 'unmapped-formatter'
+  | 'unresolved-reference'
+  | 'nesting-cycle'
+  | 'missing-locale'
+  | 'unmapped-plural-index'
+  | 'legacy-plural-detected'
+  | 'key-collision'
+  | 'suspicious-syntax'
+  | 'plugin-warning'
+  | 'invalid-icu'
+  | 'unsupported-message'
+  | 'select-not-context'
+  | 'unmapped-selector';
+
+/** A transformation of a key, e.g. plural forms grouped into an ICU plural */
+export interface Diagnostic {
+  code: DiagnosticCode;
+  /** Dotted key path */
+  key: string;
+  message: string;
+}
+
+/** Something about a key that needs a look */
+export interface Warning {
+  code: WarningCode;
+  /** Dotted key path */
+  key: string;
+  message: string;
+}
+
+/** A converted message that is not valid ICU MessageFormat */
+export interface ConversionError {
+  code: 'invalid-icu';
+  /** Dotted key path */
+  key: string;
+  /** Character offset of the syntax error in the converted message */
+  offset: number;
+  message: string;
+  /** Input file, in processFile results */
+  file?: string;
+}
+
+/** i18next interpolation options */
+export interface InterpolationOptions {
+  prefix?: string;
+  suffix?: string;
+  unescapePrefix?: string;
+  unescapeSuffix?: string;
+  nestingPrefix?: string;
+  nestingSuffix?: string;
+}
+
+/** What a plugin hook is told about the message being converted */
+export interface PluginContext {
+  /** Dotted key path */
+  key: string;
+  locale: string | null;
+  namespace: string;
+  /** Report a `plugin-warning` for the key */
+  warn(message: string): void;
+}
+
+export interface TransformContext extends PluginContext {
+  /** Whether the text is a branch of an ICU plural */
+  inPlural: boolean;
+}
+
+export interface GrouperContext extends PluginContext {
+  /** Convert an i18next text of a variant to ICU */
+  convert(text: string): string;
+}
+
+/** Groups keys by a key pattern, next to the plural and context suffixes */
+export interface Grouper {
+  /** Claim a key as the `variant` of the group of `baseKey`; the bare key is the 'other' variant */
+  match(key: string, value: TranslationValue): { baseKey: string; variant?: string | null } | null | undefined | false;
+  /** Write the ICU message of a group from its i18next variants */
+  convert(variants: Record<string, TranslationValue>, context: GrouperContext): string;
+}
+
+export interface Plugin {
+  name: string;
+  groupers?: Grouper[];
+  transforms?: {
+    /** Runs on each i18next text before its interpolation and nesting are converted */
+    before?: (text: string, context: TransformContext) => string;
+    /** Runs on each converted ICU text */
+    after?: (text: string, context: TransformContext) => string;
+  };
+  /** Output writers by file extension, e.g. '.properties' */
+  serializers?: Record<string, (data: Translations, options: SerializerOptions) => string>;
+}
+
+export interface SerializerOptions {
+  /** The input content, when the input has the same extension */
+  source: string | null;
+  locale?: string | null;
+  namespace?: string;
+  [option: string]: unknown;
+}
+
+export interface ConversionOptions {
+  /** Context values to group into selects; 'auto' detects families of suffixed keys next to a bare key; false keeps context keys (default false) */
+  contexts?: string[] | 'auto' | false;
+  /** ICU argument name for contexts (default 'context') */
+  contextVariable?: string;
+  /** Locale of the translations, for CLDR plural categories */
+  locale?: string;
+  /** Plural argument name, or names by key path; inferred by default */
+  pluralVariable?: string | Record<string, string>;
+  /** Write the plural variable as `#` inside plural branches */
+  pluralHash?: boolean;
+  /** Turn $t() references into `[REF:key]` placeholders or inline them (default 'placeholder') */
+  nesting?: 'placeholder' | 'inline';
+  /** Plural key format, 'v3' reads `key_plural` and `key_0` (default 'auto') */
+  compatibilityJSON?: 'auto' | 'v3' | 'v4';
+  interpolation?: InterpolationOptions;
+  /** Write arrays as objects with index keys */
+  flattenArrays?: boolean;
+  /** Separator of nested keys, false for flat keys only (default '.') */
+  keySeparator?: string | false;
+  /** Keep the structure, or flatten or nest keys (default 'preserve') */
+  outputStructure?: 'preserve' | 'flat' | 'nested';
+  /** Separator for flattening and nesting the output */
+  outputKeySeparator?: string;
+  /** What to do when a plural or context group would replace another key (default 'rename') */
+  collisions?: 'rename' | 'keep-original' | 'error';
+  /** Suffix of renamed groups (default '_icu') */
+  collisionSuffix?: string;
+  /** Namespace of the translations, for `ns:key` references */
+  namespace?: string;
+  /** Translations of other namespaces by name, for inlining `ns:key` references */
+  namespaces?: Record<string, Translations>;
+  /** Loaded plugins (see loadPlugins) */
+  plugins?: Plugin[];
+  onWarning?: (warning: Warning) => void;
+  onError?: (error: ConversionError) => void;
+  onDiagnostic?: (diagnostic: Diagnostic) => void;
+}
+
+export interface MessageOptions extends ConversionOptions {
+  /** Key path of the message, the `key` of its warnings, errors and diagnostics (default '') */
+  key?: string;
+  /** The other translations of the message's namespace, for inlining `$t(key)` references */
+  translations?: Translations;
+}
+
+export interface ReverseOptions {
+  /** Select argument expected for contexts (default 'context') */
+  contextVariable?: string;
+  interpolation?: InterpolationOptions;
+  outputStructure?: 'preserve' | 'flat' | 'nested';
+  outputKeySeparator?: string;
+  onWarning?: (warning: Warning) => void;
+}
+
+export interface FileOptions extends Omit<ConversionOptions, 'plugins'> {
+  /** Plugins, or module paths and package names of plugins */
+  plugins?: Array<string | Plugin>;
+  /** Options by namespace name */
+  overrides?: Record<string, ConversionOptions>;
+  /** Convert ICU back to i18next */
+  direction?: 'i18next2icu' | 'icu2i18next';
+  /** Path pattern with `{locale}` and `{namespace}` placeholders */
+  localePattern?: string;
+  /** Fail files with converted messages that are not valid ICU */
+  strict?: boolean;
+  /** Convert without writing */
+  dryRun?: boolean;
+  /** List the keys that still use i18next syntax instead of converting */
+  check?: boolean;
+  /** Locale of the XLIFF targets */
+  targetLocale?: string;
+  /** Keep the formatting of JSON and YAML files */
+  preserveFormat?: boolean;
+}
+
+export interface ProcessOptions extends FileOptions {
+  /** Input paths or patterns, when not passed as argument */
+  input?: string | string[];
+  /** Output directory, path template or file, when not passed as argument */
+  output?: string;
+  /** Files handled at a time; without `workers` this only overlaps reading and writing */
+  concurrency?: number | string;
+  /** Convert on worker threads */
+  workers?: boolean;
+  /** Report file, written by the CLI */
+  report?: string;
+  reportFormat?: ReportFormat;
+}
+
+export interface StringOptions extends Omit<FileOptions, 'plugins'> {
+  /** Loaded plugins (see loadPlugins) */
+  plugins?: Plugin[];
+  /** Format to write, or the extension of a plugin serializer; the input format by default */
+  outputFormat?: FileFormat | string;
+}
+
+/** A key whose value differs between the input and the output */
+export interface Change {
+  key: string;
+  type: 'added' | 'removed' | 'changed';
+  before?: TranslationValue;
+  after?: TranslationValue;
+}
+
+/** A key that still uses i18next syntax */
+export interface Finding {
+  code: 'plural-suffix' | 'context-suffix' | 'nesting' | 'interpolation' | 'invalid-icu';
+  key: string;
+  message: string;
+}
+
+export interface StringResult {
+  /** The converted file content */
+  output: string;
+  converted: Translations;
+  warnings: Warning[];
+  errors: ConversionError[];
+  diagnostics: Diagnostic[];
+  changes: Change[];
+}
+
+export interface FileResult {
+  success: boolean;
+  inputPath: string;
+  /** Why the file failed */
+  error?: string;
+  outputPath?: string;
+  inPlace?: boolean;
+  inputFormat?: FileFormat;
+  outputFormat?: FileFormat;
+  locale?: string | null;
+  /** File of the target locale, for XLIFF output */
+  targetPath?: string;
+  warnings?: Warning[];
+  errors?: ConversionError[];
+  diagnostics?: Diagnostic[];
+  changes?: Change[];
+  /** Keys that still use i18next syntax, with `check` */
+  unconverted?: Finding[];
+}
+
+export interface ProcessResults {
+  total: number;
+  successful: number;
+  failed: number;
+  /** Results in file order */
+  files: FileResult[];
+}
+
+export interface WatchChange {
+  type: 'added' | 'changed' | 'removed' | 'error';
+  inputPath?: string;
+  outputPath?: string | null;
+  result?: FileResult;
+  error?: string;
+}
+
+export interface WatchCallbacks {
+  /** Progress callback of the initial run */
+  onProgress?: ((result: FileResult, results: ProcessResults) => void) | null;
+  onChange?: (change: WatchChange) => void;
+}
+
+export interface Watcher {
+  /** Results of the initial run */
+  results: ProcessResults;
+  /** Stop watching, resolves once pending conversions are done */
+  close(): Promise<void>;
+}
+
+export interface XliffNote {
+  code: string;
+  key: string;
+  message: string;
+}
+
+export interface XliffOptions {
+  srcLang: string;
+  trgLang?: string;
+  target?: Translations;
+  notes?: XliffNote[];
+  /** Id of the `<file>` element (default 'messages') */
+  fileId?: string;
+  keySeparator?: string;
+}
+
+export interface XliffDocument {
+  srcLang: string;
+  trgLang: string | null;
+  source: Translations;
+  /** Translated units only */
+  target: Translations | null;
+}
+
+export type ReportFormat = 'json' | 'junit' | 'sarif';
+
+export interface ReportEntry {
+  severity: 'error' | 'warning' | 'info';
+  code: string;
+  message: string;
+  offset?: number;
+}
+
+export interface ReportCounts {
+  error: number;
+  warning: number;
+  info: number;
+  codes: Record<string, number>;
+}
+
+export interface ReportFile {
+  file: string;
+  outputPath: string | null;
+  locale: string | null;
+  success: boolean;
+  error?: string;
+  counts: ReportCounts;
+  /** Entries by key path */
+  keys: Record<string, ReportEntry[]>;
+}
+
+export interface Report {
+  tool: { name: string; version: string | null };
+  summary: ReportCounts & { files: number; successful: number; failed: number; keys: number };
+  files: ReportFile[];
+}
+
+export interface ReportOptions {
+  version?: string;
+  format?: ReportFormat;
+}
+
+export function convertTranslations(translations: Translations, options?: ConversionOptions): Translations;
+
+export function convertFile(data: Translations, options?: ConversionOptions & { overrides?: Record<string, ConversionOptions> }): Translations;
+
+export function convertMessage(message: string, options?: MessageOptions): string;
+
+export function convertString(content: string, format: FileFormat | string, options?: StringOptions): StringResult;
+
+export function findUnconverted(translations: Translations, options?: ConversionOptions): Finding[];
+
+export function icu2i18next(data: Translations, options?: ReverseOptions): Translations;
+
+export function processFile(inputPath: string, outputPath?: string | null, options?: FileOptions): Promise<FileResult>;
+
+export function processFiles(
+  inputPath: string | string[] | null,
+  outputPath?: string | null,
+  progressCallback?: ((result: FileResult, results: ProcessResults) => void) | null,
+  options?: ProcessOptions
+): Promise<ProcessResults>;
+
+export function watchFiles(
+  inputPath: string | string[] | null,
+  outputPath?: string | null,
+  callbacks?: WatchCallbacks,
+  options?: ProcessOptions
+): Promise<Watcher>;
+
+export function findTranslationFiles(inputPath: string): Promise<string[]>;
+
+export const findJsonFiles: typeof findTranslationFiles;
+
+export function loadPlugins(plugins?: Array<string | Plugin>): Promise<Plugin[]>;
+
+export function loadConfig(configPath?: string | null): Promise<ProcessOptions & { configPath?: string }>;
+
+export function exportXliff(translations: Translations, options: XliffOptions): string;
+
+export function importXliff(xml: string): XliffDocument;
+
+export function createReport(results: ProcessResults, options?: ReportOptions): Report;
+
+export function formatReport(report: Report, format?: ReportFormat): string;
+
+export function writeReport(results: ProcessResults, reportPath: string, options?: ReportOptions): Promise<Report>;
@@ -1,26 +1,74 @@
+import { watch } from 'fs';
 import fs from 'fs/promises';
 import path from 'path';
 import { glob } from 'glob';
 import yaml from 'js-yaml';
-import { convertFile } from './converter.js';
+import { convertFile, convertMessage, convertTranslations, findUnconverted } from './converter.js';
+import { diffTranslations } from './diff.js';
+import { stringifyJSON, stringifyYAML } from './format.js';
+import { createSyntax } from './interpolation.js';
+import { detectLocale, normalizeLocale } from './locale.js';
+import { formatPathTemplate, isPathTemplate, loadConfig, matchPathPattern, replacePathPlaceholder } from './config.js';
+import { parseJSON5, parseModule, stringifyJSON5, stringifyModule } from './module-parser.js';
+import { combinePlugins, loadPlugins } from './plugins.js';
+import { createWorkerPool, mapConcurrent, normalizeConcurrency } from './pool.js';
+import { createReport, formatReport, writeReport } from './report.js';
+import { icu2i18next } from './reverse.js';
+import { exportXliff, importXliff } from './xliff.js';
+
+export { convertFile, convertMessage, convertTranslations, findUnconverted, icu2i18next, loadConfig, loadPlugins, exportXliff, importXliff, createReport, formatReport, writeReport };
+
+// File formats by extension
+const FILE_FORMATS = {
+  '.json': 'json',
+  '.json5': 'json5',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.js': 'module',
+  '.mjs': 'module',
+  '.cjs': 'module',
+  '.ts': 'module',
+  '.mts': 'module',
+  '.cts': 'module',
+  '.xlf': 'xliff',
+  '.xliff': 'xliff'
+};
+
+// Delay before converting changed files, so a burst of file events is handled once
+const WATCH_DELAY = 100;
+
+// Extensions found in directories; XLIFF files are only read when named
+const TRANSLATION_EXTENSIONS = Object.keys(FILE_FORMATS).filter(ext => FILE_FORMATS[ext] !== 'xliff');
 
 /**
  * Detect file format based on extension
  * @param {string} filePath - File path
- * @returns {string} 'json' or 'yaml'
+ * @returns {string} 'json', 'json5', 'yaml', 'module' or 'xliff'
  */
 function detectFileFormat(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  return (ext === '.yaml' || ext === '.yml') ? 'yaml' : 'json';
+  return FILE_FORMATS[path.extname(filePath).toLowerCase()] || 'json';
 }
 
 /**
  * Parse file content based on format
+ * Modules are read without running them (see parseModule). XLIFF files give
+ * their target translations, or their source translations when they have no
+ * target locale.
  * @param {string} content - File content
- * @param {string} format - 'json' or 'yaml'
+ * @param {string} format - 'json', 'json5', 'yaml', 'module' or 'xliff'
  * @returns {Object} Parsed data
  */
 function parseContent(content, format) {
+  if (format === 'xliff') {
+    const document = importXliff(content);
+    return document.trgLang ? document.target : document.source;
+  }
+  if (format === 'module') {
+    return parseModule(content);
+  }
+  if (format === 'json5') {
+    return parseJSON5(content);
+  }
   if (format === 'yaml') {
     return yaml.load(content);
   }
@@ -30,33 +78,222 @@ function parseContent(content, format) {
 /**
  * Stringify data based on format
  * @param {Object} data - Data to stringify
- * @param {string} format - 'json' or 'yaml'
+ * @param {string} format - 'json', 'json5', 'yaml', 'module' or 'xliff'
+ * @param {Object} [formatOptions] - Options for exportXliff, or for modules
+ *   and JSON5 the original `source` to keep the shape of and `commonjs`;
+ *   JSON and YAML keep the formatting of the `source` with `preserveFormat`;
+ *   a plugin `serializer` is called with the data and the other options instead
  * @returns {string} Stringified data
  */
-function stringifyData(data, format) {
+function stringifyData(data, format, formatOptions = {}) {
+  if (formatOptions.serializer) {
+    const { serializer, ...serializerOptions } = formatOptions;
+    return serializer(data, serializerOptions);
+  }
+  if (format === 'xliff') {
+    return exportXliff(data, formatOptions);
+  }
+  if (format === 'module') {
+    return stringifyModule(data, formatOptions);
+  }
+  if (format === 'json5') {
+    return stringifyJSON5(data, formatOptions.source);
+  }
+  const source = formatOptions.preserveFormat ? formatOptions.source : null;
   if (format === 'yaml') {
-    return yaml.dump(data, {
-      indent: 2,
-      lineWidth: -1,
-      noRefs: true,
-      quotingType: '"',
-      forceQuotes: false,
-      flowLevel: -1,
-      styles: {
-        '!!null': 'canonical' // represent null as ~
+    return stringifyYAML(data, source);
+  }
+  return stringifyJSON(data, source);
+}
+
+/**
+ * Load the namespaces referenced with $t(ns:key) from files next to a file
+ * @param {string} filePath - Translation file path
+ * @param {string} content - Content of the file
+ * @param {string} namespace - Namespace of the file itself
+ * @param {Object} [interpolation] - i18next interpolation options
+ * @returns {Promise<Object>} Translations by namespace name
+ */
+async function loadReferencedNamespaces(filePath, content, namespace, interpolation) {
+  const { namespacePattern } = createSyntax(interpolation);
+  const names = new Set(
+    [...content.matchAll(namespacePattern)].map(match => match[1])
+  );
+  names.delete(namespace);
+
+  const namespaces = {};
+  for (const name of names) {
+    for (const ext of TRANSLATION_EXTENSIONS) {
+      const namespacePath = path.join(path.dirname(filePath), `${name}${ext}`);
+      const namespaceContent = await fs.readFile(namespacePath, 'utf-8').catch(() => null);
+
+      if (namespaceContent !== null) {
+        namespaces[name] = parseContent(namespaceContent, detectFileFormat(namespacePath));
+        break;
       }
+    }
+  }
+
+  return namespaces;
+}
+
+/**
+ * Convert the i18next translations of a file to ICU
+ * @param {string} filePath - Translation file path
+ * @param {string} content - Content of the file
+ * @param {Object} data - Parsed translations
+ * @param {Object} options - Conversion options with the locale and namespace
+ * @returns {Promise<Object>} Converted translations
+ */
+async function convertLocaleFile(filePath, content, data, options) {
+  const namespaces = options.nesting === 'inline'
+    ? { ...await loadReferencedNamespaces(filePath, content, options.namespace, options.interpolation), ...options.namespaces }
+    : options.namespaces;
+  return convertFile(data, { ...options, namespaces });
+}
+
+/**
+ * Get the locale and namespace of a translation file
+ * Explicit options win, then the `localePattern` placeholders, then the
+ * locale inferred from the path and the file name as namespace.
+ * @param {string} filePath - Translation file path
+ * @param {Object} options - Conversion options
+ * @returns {Object} { locale, namespace }
+ */
+function describeFile(filePath, options) {
+  const matched = (options.localePattern && matchPathPattern(filePath, options.localePattern)) || {};
+  const patternLocale = matched.locale ? normalizeLocale(matched.locale) || matched.locale : null;
+
+  return {
+    locale: options.locale || patternLocale || detectLocale(filePath),
+    namespace: options.namespace || matched.namespace || path.parse(filePath).name
+  };
+}
+
+/**
+ * Find the file of another locale next to a translation file
+ * The locale is replaced in the `localePattern` match, or else in the last
+ * path segment or file name part that names the file's locale
+ * (`locales/en/common.json`, `common.en.json`).
+ * @param {string} filePath - Translation file path
+ * @param {string} locale - Locale of the file
+ * @param {string} targetLocale - Locale to look for
+ * @param {Object} options - Conversion options
+ * @returns {Promise<string|null>} The path of the target file if it exists
+ */
+async function findLocaleFile(filePath, locale, targetLocale, options) {
+  let targetPath = options.localePattern
+    ? replacePathPlaceholder(filePath, options.localePattern, 'locale', targetLocale)
+    : null;
+
+  if (!targetPath) {
+    const parts = path.resolve(filePath).split(/([\\/.])/);
+    const index = parts.findLastIndex(part => normalizeLocale(part) === locale);
+    if (index !== -1) {
+      parts[index] = targetLocale;
+      targetPath = parts.join('');
+    }
+  }
+
+  if (!targetPath || path.resolve(targetPath) === path.resolve(filePath)) {
+    return null;
+  }
+
+  const stats = await fs.stat(targetPath).catch(() => null);
+  return stats && stats.isFile() ? targetPath : null;
+}
+
+/**
+ * Convert the content of a translation file in memory
+ * Works like processFile without reading or writing files: `$t(ns:key)`
+ * references are only inlined from the `namespaces` option.
+ * @param {string} content - File content
+ * @param {string} format - 'json', 'json5', 'yaml', 'module' or 'xliff', or a
+ *   file extension such as '.yml'
+ * @param {Object} [options] - Conversion options (see processFile), with loaded
+ *   `plugins`; `outputFormat` writes another format than the input's, or the
+ *   format of a plugin serializer
+ * @returns {Object} { output, converted, warnings, errors, diagnostics, changes }:
+ *   the converted file content and translations, and what happened per key
+ * @throws {Error} If the format is unknown or the content cannot be parsed
+ */
+export function convertString(content, format, options = {}) {
+  const formats = new Set(Object.values(FILE_FORMATS));
+  const resolveFormat = (name) => {
+    const resolved = FILE_FORMATS[String(name).toLowerCase()] || name;
+    if (!formats.has(resolved)) {
+      throw new Error(`Unknown file format: ${name} (expected ${[...formats].join(', ')})`);
+    }
+    return resolved;
+  };
+
+  const { serializers } = combinePlugins(options.plugins);
+  const outputName = String(options.outputFormat || format).toLowerCase().replace(/^\./, '');
+  const serializer = serializers[`.${outputName}`];
+  const inputFormat = resolveFormat(format);
+  const outputFormat = serializer ? outputName : resolveFormat(options.outputFormat || format);
+
+  const data = parseContent(content, inputFormat);
+  const warnings = [];
+  const errors = [];
+  const diagnostics = [];
+  const onWarning = (warning) => warnings.push(warning);
+  let converted;
+
+  if (options.direction === 'icu2i18next') {
+    converted = icu2i18next(data, { ...options, onWarning });
+  } else if (inputFormat === 'xliff') {
+    converted = data;
+  } else {
+    converted = convertFile(data, {
+      ...options,
+      onWarning,
+      onError: (error) => errors.push(error),
+      onDiagnostic: (diagnostic) => diagnostics.push(diagnostic)
     });
   }
-  return JSON.stringify(data, null, 2) + '\n';
+
+  const formatOptions = outputFormat === 'xliff' ? {
+    srcLang: options.locale || 'und',
+    fileId: options.namespace,
+    keySeparator: options.keySeparator || '.',
+    notes: [...warnings, ...errors]
+  } : {
+    source: outputFormat === inputFormat ? content : null,
+    preserveFormat: options.preserveFormat,
+    ...(serializer && { serializer, locale: options.locale, namespace: options.namespace })
+  };
+
+  return {
+    output: stringifyData(converted, outputFormat, formatOptions),
+    converted,
+    warnings,
+    errors,
+    diagnostics,
+    changes: diffTranslations(data, converted)
+  };
 }
 
 /**
  * Process a single file
  * @param {string} inputPath - Input file path
  * @param {string|null} outputPath - Output file path (null for in-place)
- * @returns {Promise<Object>} Result object
+ * @param {Object} [options] - Conversion options (see convertTranslations),
+ *   the locale and namespace come from `localePattern` or are inferred from
+ *   the input path when not given; `direction: 'icu2i18next'` converts ICU
+ *   files back to i18next (see icu2i18next) and `strict: true` fails the
+ *   file instead of writing it when a converted message is not valid ICU;
+ *   `dryRun: true` converts without writing anything and `check: true`
+ *   lists the keys that still use i18next syntax as `unconverted`; an `.xlf`
+ *   output path writes XLIFF 2.0, with the file of `targetLocale` as targets;
+ *   `preserveFormat: true` keeps the formatting of JSON and YAML files
+ *   written to the same extension (see stringifyJSON and stringifyYAML);
+ *   `plugins` are loaded with loadPlugins, and an output extension with a
+ *   plugin serializer is written by that serializer
+ * @returns {Promise<Object>} Result object; converted files list their
+ *   `warnings`, `errors` and `diagnostics` (transformations) per key
  */
-export async function processFile(inputPath, outputPath = null) {
+export async function processFile(inputPath, outputPath = null, options = {}) {
   try {
     // Detect input format
     const inputFormat = detectFileFormat(inputPath);
@@ -65,19 +302,107 @@ export async function processFile(inputPath, outputPath = null) {
     const content = await fs.readFile(inputPath, 'utf-8');
     const data = parseContent(content, inputFormat);
 
-    // Convert the data
-    const converted = convertFile(data);
+    if (options.check) {
+      return {
+        success: true,
+        inputPath,
+        inputFormat,
+        unconverted: findUnconverted(data, { ...options, locale: describeFile(inputPath, options).locale })
+      };
+    }
+
+    // Convert the data, collecting warnings and what was transformed
+    const { locale, namespace } = describeFile(inputPath, options);
+    const plugins = await loadPlugins(options.plugins);
+    const warnings = [];
+    const errors = [];
+    const diagnostics = [];
+    const onWarning = (warning) => warnings.push(warning);
+    const onError = (error) => errors.push({ file: inputPath, ...error });
+    const onDiagnostic = (diagnostic) => diagnostics.push(diagnostic);
+    let converted;
+
+    if (options.direction === 'icu2i18next') {
+      converted = icu2i18next(data, { ...options, onWarning });
+    } else if (inputFormat === 'xliff') {
+      // XLIFF files are exported from converted translations and hold ICU already
+      converted = data;
+    } else {
+      converted = await convertLocaleFile(inputPath, content, data, {
+        ...options,
+        locale,
+        namespace,
+        plugins,
+        onWarning,
+        onError,
+        onDiagnostic
+      });
+    }
+
+    if (options.strict && errors.length > 0) {
+      return {
+        success: false,
+        inputPath,
+        error: `${errors.length} converted message(s) are not valid ICU MessageFormat`,
+        locale,
+        warnings,
+        errors,
+        diagnostics
+      };
+    }
 
     // Determine output path and format
     const finalOutputPath = outputPath || inputPath;
-    const outputFormat = detectFileFormat(finalOutputPath);
+    const outputExt = path.extname(finalOutputPath).toLowerCase();
+    const serializer = combinePlugins(plugins).serializers[outputExt];
+    const outputFormat = serializer ? outputExt.slice(1) : detectFileFormat(finalOutputPath);
+
+    // Pair the messages with the target locale's file, converted the same way
+    const xliffOptions = {
+      srcLang: locale || 'und',
+      fileId: namespace,
+      keySeparator: options.keySeparator || '.',
+      notes: [...warnings, ...errors]
+    };
+    const targetPath = outputFormat === 'xliff' && options.targetLocale && inputFormat !== 'xliff'
+      ? await findLocaleFile(inputPath, locale, options.targetLocale, options)
+      : null;
+
+    if (targetPath) {
+      const targetContent = await fs.readFile(targetPath, 'utf-8');
+      const targetData = parseContent(targetContent, detectFileFormat(targetPath));
+      const addNote = (note) => xliffOptions.notes.push({ ...note, message: `${options.targetLocale}: ${note.message}` });
+
+      xliffOptions.trgLang = options.targetLocale;
+      xliffOptions.target = options.direction === 'icu2i18next'
+        ? icu2i18next(targetData, { ...options, onWarning: addNote })
+        : await convertLocaleFile(targetPath, targetContent, targetData, {
+          ...options,
+          locale: options.targetLocale,
+          namespace,
+          plugins,
+          onWarning: addNote,
+          onError: addNote
+        });
+    }
+
+    // Modules and JSON5 written to the same kind of file keep their shape and style,
+    // and so do JSON and YAML with preserveFormat
+    const formatOptions = outputFormat === 'xliff' ? xliffOptions : {
+      source: outputExt === path.extname(inputPath).toLowerCase() ? content : null,
+      commonjs: outputExt === '.cjs',
+      preserveFormat: options.preserveFormat,
+      ...(serializer && { serializer, locale, namespace })
+    };
 
     // Write the output file
-    await fs.writeFile(
-      finalOutputPath,
-      stringifyData(converted, outputFormat),
-      'utf-8'
-    );
+    if (!options.dryRun) {
+      await fs.writeFile(
+        finalOutputPath,
+        stringifyData(converted, outputFormat, formatOptions),
+        'utf-8'
+      );
+    }
 
     return {
       success: true,
@@ -85,7 +410,13 @@ export async function processFile(inputPath, outputPath = null) {
       outputPath: finalOutputPath,
       inPlace: !outputPath,
       inputFormat,
-      outputFormat
+      outputFormat,
+      locale,
+      ...(targetPath && { targetPath }),
+      warnings,
+      errors,
+      diagnostics,
+      changes: diffTranslations(data, converted)
     };
   } catch (error) {
     return {
@@ -97,88 +428,426 @@ export async function processFile(inputPath, outputPath = null) {
 }
 
 /**
- * Find all translation files (JSON and YAML) in a directory
+ * Find the translation files of an input that has been looked up
  * @param {string} inputPath - Directory path or glob pattern
- * @returns {Promise<string[]>} Array of file paths
+ * @param {fs.Stats|null} stats - Stats of the input (null for glob patterns)
+ * @returns {Promise<string[]>} Sorted file paths
  */
-export async function findTranslationFiles(inputPath) {
-  const stats = await fs.stat(inputPath).catch(() => null);
-
+async function searchFiles(inputPath, stats) {
   if (stats && stats.isFile()) {
     // Single file
     return [inputPath];
   } else if (stats && stats.isDirectory()) {
-    // Directory - find all JSON and YAML files
-    const jsonPattern = path.join(inputPath, '**/*.json');
-    const yamlPattern = path.join(inputPath, '**/*.{yaml,yml}');
-    const [jsonFiles, yamlFiles] = await Promise.all([
-      glob(jsonPattern, { nodir: true }),
-      glob(yamlPattern, { nodir: true })
-    ]);
-    return [...jsonFiles, ...yamlFiles].sort();
+    // Directory - find all translation files, without type declarations
+    const extensions = TRANSLATION_EXTENSIONS.map(ext => ext.slice(1)).join(',');
+    const files = await glob(path.join(inputPath, `**/*.{${extensions}}`), {
+      nodir: true,
+      ignore: ['**/*.d.ts', '**/*.d.mts', '**/*.d.cts', '**/node_modules/**']
+    });
+    return files.sort();
   } else {
     // Treat as glob pattern
-    return await glob(inputPath, { nodir: true });
+    return (await glob(inputPath, { nodir: true })).sort();
   }
 }
 
+/**
+ * Find all translation files (JSON, JSON5, YAML and JS/TS modules) in a directory
+ * @param {string} inputPath - Directory path or glob pattern
+ * @returns {Promise<string[]>} Array of file paths, sorted
+ */
+export async function findTranslationFiles(inputPath) {
+  return searchFiles(inputPath, await fs.stat(inputPath).catch(() => null));
+}
+
 // Maintain backward compatibility
 export const findJsonFiles = findTranslationFiles;
 
+/**
+ * Collect the translation files of several inputs
+ * @param {string[]} inputs - Input paths or patterns
+ * @returns {Promise<Object[]>} Files as { file, root }, with the input
+ *   directory they were found in (null for files and patterns)
+ */
+async function collectFiles(inputs) {
+  const entries = [];
+  const seen = new Set();
+
+  for (const input of inputs) {
+    const stats = await fs.stat(input).catch(() => null);
+    const root = stats && stats.isDirectory() ? input : null;
+
+    for (const file of await searchFiles(input, stats)) {
+      if (!seen.has(file)) {
+        seen.add(file);
+        entries.push({ file, root });
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Check whether the output is a single output file rather than a directory
+ * A single file converted to a path with a known file extension, or one with
+ * a plugin serializer, is written to that file.
+ * @param {string|null} output - Output path
+ * @param {Object[]} entries - Files to convert
+ * @param {Object} [serializers] - Plugin serializers by file extension
+ * @returns {Promise<boolean>} True for an output file
+ */
+async function isOutputFile(output, entries, serializers = {}) {
+  if (!output || entries.length !== 1 || isPathTemplate(output)) {
+    return false;
+  }
+
+  const stats = await fs.stat(output).catch(() => null);
+  const extension = path.extname(output).toLowerCase();
+  return !(stats && stats.isDirectory()) && (Object.hasOwn(FILE_FORMATS, extension) || Object.hasOwn(serializers, extension));
+}
+
+/**
+ * Get the output path of a file
+ * @param {Object} entry - File as { file, root }
+ * @param {string|null} output - Output directory, path template or file
+ * @param {boolean} outputIsFile - Whether the output is a single file
+ * @param {Object} options - Conversion options
+ * @returns {string|null} Output file path (null for in-place)
+ */
+function getOutputPath({ file, root }, output, outputIsFile, options) {
+  if (!output) {
+    return null;
+  }
+  if (outputIsFile) {
+    return output;
+  }
+
+  // Calculate relative path and create corresponding output path
+  const relativePath = root ? path.relative(root, file) : path.basename(file);
+
+  if (isPathTemplate(output)) {
+    const parsed = path.parse(relativePath);
+    return path.normalize(formatPathTemplate(output, {
+      ...describeFile(file, options),
+      dir: parsed.dir || '.',
+      name: parsed.name,
+      ext: parsed.ext.slice(1)
+    }));
+  }
+
+  return path.join(output, relativePath);
+}
+
+/**
+ * Convert one of the collected files to its output path
+ * @param {Object} entry - File as { file, root }
+ * @param {string|null} output - Output directory, path template or file
+ * @param {boolean} outputIsFile - Whether the output is a single file
+ * @param {Object} options - Conversion options
+ * @param {Object} [run] - State shared by the files of a run: `directories`,
+ *   the output directories created so far, and `pool`, the worker pool
+ *   converting the files (converted in-process without one)
+ * @returns {Promise<Object>} Result object (see processFile)
+ */
+async function processEntry(entry, output, outputIsFile, options, run = {}) {
+  const { directories = new Set(), pool = null } = run;
+
+  try {
+    const targetPath = getOutputPath(entry, output, outputIsFile, options);
+
+    // Ensure output directory exists, once per directory
+    const directory = targetPath && path.dirname(targetPath);
+    if (directory && !options.dryRun && !options.check && !directories.has(directory)) {
+      await fs.mkdir(directory, { recursive: true });
+      directories.add(directory);
+    }
+
+    return pool
+      ? await pool.run(entry.file, targetPath)
+      : await processFile(entry.file, targetPath, options);
+  } catch (error) {
+    return { success: false, inputPath: entry.file, error: error.message };
+  }
+}
+
 /**
  * Process multiple files
- * @param {string} inputPath - Input path or pattern
- * @param {string|null} outputPath - Output directory (null for in-place)
- * @param {Function} progressCallback - Callback for progress updates
- * @returns {Promise<Object>} Results summary
+ * Input and output fall back to the `input` and `output` options, so the
+ * options object of a config file can be passed on its own.
+ * @param {string|string[]|null} inputPath - Input path or pattern, or several
+ * @param {string|null} outputPath - Output directory, or a path template with
+ *   `{locale}`, `{namespace}`, `{dir}`, `{name}` and `{ext}`, or an output
+ *   file for a single input file (null for in-place)
+ * @param {Function} progressCallback - Callback for progress updates, called
+ *   once per file in file order
+ * @param {Object} [options] - Conversion options (see convertTranslations);
+ *   `concurrency` handles that many files at a time, which only overlaps
+ *   reading and writing; with `workers: true` the conversions run on as many
+ *   worker threads, which need `plugins` given as module paths or package
+ *   names rather than plugin objects
+ * @returns {Promise<Object>} Results summary, with the files in file order
  */
-export async function processFiles(inputPath, outputPath = null, progressCallback = null) {
-  const files = await findTranslationFiles(inputPath);
+export async function processFiles(inputPath, outputPath = null, progressCallback = null, options = {}) {
+  const inputs = [].concat(inputPath || options.input || []);
+  const output = outputPath || options.output || null;
 
-  if (files.length === 0) {
-    throw new Error(`No translation files found at: ${inputPath}`);
+  if (inputs.length === 0) {
+    throw new Error('No input given: pass an input path or set "input" in the config');
   }
 
+  // Collect the files with the directory they were found in
+  const entries = await collectFiles(inputs);
+
+  if (entries.length === 0) {
+    throw new Error(`No translation files found at: ${inputs.join(', ')}`);
+  }
+
+  const { serializers } = combinePlugins(await loadPlugins(options.plugins));
+  const outputIsFile = await isOutputFile(output, entries, serializers);
+  const concurrency = normalizeConcurrency(options.concurrency);
   const results = {
-    total: files.length,
+    total: entries.length,
     successful: 0,
     failed: 0,
     files: []
   };
 
-  for (const file of files) {
-    let targetPath = null;
+  // Files are converted `concurrency` at a time, results are reported in file order
+  const pool = options.workers ? createWorkerPool(Math.min(concurrency, entries.length), options) : null;
+  const run = { directories: new Set(), pool };
 
-    if (outputPath) {
-      // Calculate relative path and create corresponding output path
-      const stats = await fs.stat(inputPath).catch(() => null);
-      let relativePath;
+  try {
+    await mapConcurrent(entries, concurrency, entry => processEntry(entry, output, outputIsFile, options, run), (result) => {
+      results.files.push(result);
 
-      if (stats && stats.isDirectory()) {
-        relativePath = path.relative(inputPath, file);
+      if (result.success) {
+        results.successful++;
       } else {
-        relativePath = path.basename(file);
+        results.failed++;
+      }
+
+      if (progressCallback) {
+        progressCallback(result, results);
       }
+    });
+  } finally {
+    if (pool) {
+      await pool.close();
+    }
+  }
 
-      targetPath = path.join(outputPath, relativePath);
+  return results;
+}
 
-      // Ensure output directory exists
-      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+/**
+ * Get the directories to watch for a set of inputs
+ * Directories and glob patterns are watched recursively from their first
+ * directory without wildcards, files through their parent directory.
+ * @param {string[]} inputs - Input paths or patterns
+ * @returns {Promise<Map<string, boolean>>} Whether to watch recursively, by directory
+ */
+async function getWatchDirectories(inputs) {
+  const directories = new Map();
+
+  for (const input of inputs) {
+    const stats = await fs.stat(input).catch(() => null);
+    let directory = input;
+    let recursive = true;
+
+    if (stats && stats.isFile()) {
+      directory = path.dirname(input);
+      recursive = false;
+    } else if (!stats) {
+      const segments = input.split(/[\\/]/);
+      const wildcard = segments.findIndex(segment => /[*?[\]{}()!]/.test(segment));
+      directory = segments.slice(0, wildcard === -1 ? -1 : wildcard).join('/') || '.';
     }
 
-    const result = await processFile(file, targetPath);
-    results.files.push(result);
+    // Watch the nearest directory that exists
+    directory = path.resolve(directory);
+    while (!await fs.stat(directory).then(item => item.isDirectory(), () => false)) {
+      directory = path.dirname(directory);
+    }
 
-    if (result.success) {
-      results.successful++;
-    } else {
-      results.failed++;
+    directories.set(directory, directories.get(directory) || recursive);
+  }
+
+  return directories;
+}
+
+/**
+ * Watch a directory for changes
+ * Where recursive watching is not available (Linux before Node 20), a
+ * recursive watch falls back to one watcher per subdirectory; `refresh`
+ * then watches subdirectories added since.
+ * @param {string} directory - Directory to watch
+ * @param {boolean} recursive - Whether to watch subdirectories too
+ * @param {Function} onEvent - Called with the path of each changed item
+ * @param {Function} onError - Called with watcher errors
+ * @returns {Promise<Object>} { refresh, close }
+ */
+async function watchDirectory(directory, recursive, onEvent, onError) {
+  const watchers = new Map();
+
+  const add = (target, options) => {
+    const watcher = watch(target, options, (eventType, filename) => {
+      onEvent(filename ? path.resolve(target, filename.toString()) : target);
+    });
+    watcher.on('error', onError);
+    watchers.set(target, watcher);
+  };
+
+  try {
+    add(directory, { recursive });
+    return { refresh: async () => {}, close: () => watchers.forEach(watcher => watcher.close()) };
+  } catch (error) {
+    if (!recursive || error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
     }
+  }
+
+  const refresh = async () => {
+    const directories = new Set([directory, ...(await glob('**/', {
+      cwd: directory,
+      absolute: true,
+      ignore: ['**/node_modules/**']
+    })).map(item => path.resolve(item))]);
 
-    if (progressCallback) {
-      progressCallback(result, results);
+    for (const [target, watcher] of watchers) {
+      if (!directories.has(target)) {
+        watcher.close();
+        watchers.delete(target);
+      }
     }
+    for (const target of directories) {
+      if (!watchers.has(target)) {
+        try {
+          add(target, {});
+        } catch (error) {
+          // Removed since it was listed, the next refresh catches up
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+    }
+  };
+
+  await refresh();
+  return { refresh, close: () => watchers.forEach(watcher => watcher.close()) };
+}
+
+/**
+ * Convert files, then convert them again whenever they are added or changed
+ * Files are matched like in processFiles, so new files in a watched directory
+ * or matching a glob pattern are picked up, and deleting a file deletes its
+ * output.
+ * @param {string|string[]|null} inputPath - Input path or pattern, or several
+ * @param {string|null} outputPath - Output directory, path template or file
+ * @param {Object} [callbacks] - `onProgress` is the progress callback of the
+ *   initial processFiles run; `onChange` is called for each later change with
+ *   { type: 'added'|'changed'|'removed', inputPath, outputPath, result }
+ *   (no result for removals), or { type: 'error', error } when watching fails
+ * @param {Object} [options] - Conversion options (see convertTranslations)
+ * @returns {Promise<Object>} { results, close }: the results of the initial
+ *   run, and a function that stops watching and resolves once pending
+ *   conversions are done
+ * @throws {Error} Without an output, as converting in place would convert
+ *   the output again
+ */
+export async function watchFiles(inputPath, outputPath = null, callbacks = {}, options = {}) {
+  const { onProgress = null, onChange = () => {} } = callbacks;
+  const inputs = [].concat(inputPath || options.input || []);
+  const output = outputPath || options.output || null;
+
+  if (!output) {
+    throw new Error('Watch mode needs an output directory or path template: converting in place would convert the output again');
   }
 
-  return results;
+  const results = await processFiles(inputs, output, onProgress, options);
+  const initialEntries = await collectFiles(inputs);
+  const { serializers } = combinePlugins(await loadPlugins(options.plugins));
+  const outputIsFile = await isOutputFile(output, initialEntries, serializers);
+
+  const getOutput = (entry) => {
+    try {
+      return getOutputPath(entry, output, outputIsFile, options);
+    } catch {
+      return null;
+    }
+  };
+  const byPath = (entries) => new Map(entries.map(entry => [path.resolve(entry.file), entry]));
+
+  // Output files are never inputs, even when written inside a watched directory
+  let known = byPath(initialEntries);
+  const outputs = new Set([...known.values()].map(getOutput).filter(Boolean).map(file => path.resolve(file)));
+
+  const changed = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const update = async () => {
+    const changedPaths = new Set(changed);
+    changed.clear();
+
+    const current = byPath(
+      (await collectFiles(inputs)).filter(entry => !outputs.has(path.resolve(entry.file)))
+    );
+
+    for (const [filePath, entry] of current) {
+      if (known.has(filePath) && !changedPaths.has(filePath)) {
+        continue;
+      }
+
+      const result = await processEntry(entry, output, outputIsFile, options);
+      const targetPath = getOutput(entry);
+      if (targetPath) {
+        outputs.add(path.resolve(targetPath));
+      }
+      onChange({ type: known.has(filePath) ? 'changed' : 'added', inputPath: entry.file, outputPath: targetPath, result });
+    }
+
+    for (const [filePath, entry] of known) {
+      if (current.has(filePath)) {
+        continue;
+      }
+
+      const targetPath = getOutput(entry);
+      if (targetPath && !options.dryRun) {
+        await fs.rm(targetPath, { force: true });
+        outputs.delete(path.resolve(targetPath));
+      }
+      onChange({ type: 'removed', inputPath: entry.file, outputPath: targetPath });
+    }
+
+    known = current;
+    for (const watcher of watchers) {
+      await watcher.refresh();
+    }
+  };
+
+  const schedule = (filePath) => {
+    changed.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running
+        .then(update)
+        .catch(error => onChange({ type: 'error', error: error.message }));
+    }, WATCH_DELAY);
+  };
+
+  const watchers = [];
+  for (const [directory, recursive] of await getWatchDirectories(inputs)) {
+    watchers.push(await watchDirectory(directory, recursive, schedule, error => onChange({ type: 'error', error: error.message })));
+  }
+
+  return {
+    results,
+    close: () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      return running;
+    }
+  };
 }
@@ -0,0 +1,73 @@
+/**
+ * i18next interpolation syntax: delimiters, unescaped values and nesting
+ */
+
+// i18next's default `interpolation` options
+export const DEFAULT_INTERPOLATION = {
+  prefix: '{{',
+  suffix: '}}',
+  unescapePrefix: '-',
+  unescapeSuffix: '',
+  nestingPrefix: '$t(',
+  nestingSuffix: ')'
+};
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the patterns for a set of i18next interpolation options
+ * @param {Object} [options] - i18next `interpolation` options (prefix, suffix,
+ *   unescapePrefix, unescapeSuffix, nestingPrefix, nestingSuffix)
+ * @returns {Object} The options with defaults, plus `interpolationPattern`,
+ *   `nestingPattern`, `passedVariablePattern` and `namespacePattern`
+ * @throws {Error} If a delimiter is empty
+ */
+export function createSyntax(options = {}) {
+  const syntax = { ...DEFAULT_INTERPOLATION, ...options };
+
+  for (const name of ['prefix', 'suffix', 'nestingPrefix', 'nestingSuffix']) {
+    if (typeof syntax[name] !== 'string' || !syntax[name]) {
+      throw new Error(`Invalid interpolation ${name}: it must be a non-empty string`);
+    }
+  }
+
+  const prefix = escapeRegExp(syntax.prefix);
+  const suffix = escapeRegExp(syntax.suffix);
+  const nestingPrefix = escapeRegExp(syntax.nestingPrefix);
+  const nestingSuffix = escapeRegExp(syntax.nestingSuffix);
+
+  return {
+    ...syntax,
+    interpolationPattern: new RegExp(`${prefix}(.+?)${suffix}`, 'g'),
+    nestingPattern: new RegExp(`${nestingPrefix}(.+?)${nestingSuffix}`, 'g'),
+    // Variables passed in $t() options: $t(key, { "name": "{{user}}" })
+    passedVariablePattern: new RegExp(`"?${prefix}(.+?)${suffix}"?`, 'g'),
+    namespacePattern: new RegExp(`${nestingPrefix}\\s*([\\w-]+):`, 'g')
+  };
+}
+
+/**
+ * Remove the unescape marker from interpolation content (`- html` → `html`)
+ * ICU has no escaping of its own, so unescaped values are plain arguments.
+ * @param {string} content - Content between the interpolation prefix and suffix
+ * @param {Object} syntax - Syntax from createSyntax
+ * @returns {string} Content without the marker
+ */
+export function stripUnescape(content, syntax) {
+  const trimmed = content.trim();
+
+  if (syntax.unescapeSuffix && trimmed.endsWith(syntax.unescapeSuffix)) {
+    return trimmed.slice(0, -syntax.unescapeSuffix.length).trim();
+  }
+  if (!syntax.unescapeSuffix && syntax.unescapePrefix && trimmed.startsWith(syntax.unescapePrefix)) {
+    return trimmed.slice(syntax.unescapePrefix.length).trim();
+  }
+  return content;
+}
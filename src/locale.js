@@ -0,0 +1,67 @@
+/**
+ * Locale helpers for CLDR plural rules
+ */
+
+import path from 'path';
+
+// CLDR plural categories in canonical order
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Normalize a locale tag (`pt_BR` → `pt-BR`)
+ * @param {string} tag - Locale tag
+ * @returns {string|null} Canonical locale tag or null if it is not a known locale
+ */
+export function normalizeLocale(tag) {
+  if (typeof tag !== 'string' || !/^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i.test(tag)) {
+    return null;
+  }
+
+  try {
+    const [locale] = Intl.getCanonicalLocales(tag.replace(/_/g, '-'));
+    const language = tag.split(/[-_]/)[0].toLowerCase();
+
+    // Intl canonicalizes aliases and falls back to related locales (`src` → `sc`),
+    // only accept tags that resolve to their own language
+    const resolved = new Intl.PluralRules(locale).resolvedOptions().locale;
+    return resolved.split('-')[0] === language ? locale : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the CLDR plural categories a locale uses
+ * @param {string} locale - Locale tag
+ * @param {boolean} [ordinal=false] - Get ordinal instead of cardinal categories
+ * @returns {string[]} Plural categories in canonical order
+ */
+export function getPluralCategories(locale, ordinal = false) {
+  const rules = new Intl.PluralRules(locale, { type: ordinal ? 'ordinal' : 'cardinal' });
+  const categories = rules.resolvedOptions().pluralCategories;
+  return PLURAL_CATEGORIES.filter(category => categories.includes(category));
+}
+
+/**
+ * Infer the locale from a translation file path
+ * Checks the file name (`de.json`, `common.de.json`) and then the parent
+ * directories (`locales/de/common.json`), nearest first.
+ * @param {string} filePath - Translation file path
+ * @returns {string|null} Locale tag or null if none was found
+ */
+export function detectLocale(filePath) {
+  const parsed = path.parse(path.resolve(filePath));
+  const candidates = [
+    ...parsed.name.split('.').reverse(),
+    ...parsed.dir.split(path.sep).reverse()
+  ];
+
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return null;
+}
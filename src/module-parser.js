@@ -0,0 +1,511 @@
+/**
+ * Reads translations from JSON5 and static JS/TS modules without running them
+ * Only literal values are accepted: objects, arrays, strings, template strings
+ * without expressions, numbers, booleans and null. Anything else (calls,
+ * spreads, variables, computed keys) is a syntax error rather than evaluated.
+ */
+
+const IDENTIFIER = /[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*/uy;
+const NUMBER = /[+-]?(?:Infinity|NaN|0x[0-9a-f]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)/iy;
+const SINGLE_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' };
+
+/**
+ * Error thrown for sources that are not static literals
+ * `offset`, `line` and `column` point at the character where the error was found.
+ */
+export class LiteralSyntaxError extends Error {
+  constructor(message, source, offset) {
+    const lines = source.slice(0, offset).split('\n');
+    const line = lines.length;
+    const column = lines[lines.length - 1].length + 1;
+    super(`${message} (at line ${line}, column ${column})`);
+    this.name = 'LiteralSyntaxError';
+    this.reason = message;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {string} source - Source text
+ * @param {number} position - Position to start at
+ * @returns {number} Position of the next significant character
+ * @throws {LiteralSyntaxError} For an unterminated comment
+ */
+function skipTrivia(source, position) {
+  while (position < source.length) {
+    if (/[\s\ufeff]/.test(source[position])) {
+      position++;
+    } else if (source.startsWith('//', position)) {
+      const end = source.indexOf('\n', position);
+      position = end === -1 ? source.length : end + 1;
+    } else if (source.startsWith('/*', position)) {
+      const end = source.indexOf('*/', position + 2);
+      if (end === -1) {
+        throw new LiteralSyntaxError('Unterminated comment', source, position);
+      }
+      position = end + 2;
+    } else {
+      break;
+    }
+  }
+  return position;
+}
+
+/**
+ * Read a literal value from a source text
+ * @param {string} source - Source text
+ * @param {number} start - Position of the value (leading comments are skipped)
+ * @returns {Object} { value, start, end } with the source range of the literal
+ * @throws {LiteralSyntaxError} If the value is not a static literal
+ */
+function readLiteral(source, start) {
+  let position = skipTrivia(source, start);
+  const literalStart = position;
+
+  function error(reason, offset = position) {
+    return new LiteralSyntaxError(reason, source, offset);
+  }
+
+  function describe() {
+    return position < source.length ? `"${source[position]}"` : 'end of file';
+  }
+
+  function skip() {
+    position = skipTrivia(source, position);
+  }
+
+  function matchSticky(pattern) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (match) {
+      position = pattern.lastIndex;
+    }
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Read an escape sequence after a backslash
+   * @returns {string} The escaped text
+   */
+  function readEscape() {
+    const char = source[position++];
+
+    if (char in SINGLE_ESCAPES) {
+      return SINGLE_ESCAPES[char];
+    }
+    if (char === 'x' || char === 'u') {
+      const braced = char === 'u' && source[position] === '{';
+      const digits = braced
+        ? source.slice(position + 1, source.indexOf('}', position))
+        : source.slice(position, position + (char === 'x' ? 2 : 4));
+      if (!/^[0-9a-f]+$/i.test(digits) || (!braced && digits.length !== (char === 'x' ? 2 : 4))) {
+        throw error('Invalid escape sequence', position - 2);
+      }
+      position += braced ? digits.length + 2 : digits.length;
+      return String.fromCodePoint(parseInt(digits, 16));
+    }
+    if (char === '\r') {
+      // Line continuation
+      if (source[position] === '\n') position++;
+      return '';
+    }
+    if (char === '\n' || char === '\u2028' || char === '\u2029') {
+      return '';
+    }
+    if (char === undefined) {
+      throw error('Unterminated string');
+    }
+    return char;
+  }
+
+  /**
+   * Read a quoted string
+   * @returns {string} The string value
+   */
+  function readString() {
+    const quote = source[position];
+    const stringStart = position++;
+    let value = '';
+
+    while (source[position] !== quote) {
+      if (position >= source.length || source[position] === '\n') {
+        throw error('Unterminated string', stringStart);
+      }
+      if (source[position] === '\\') {
+        position++;
+        value += readEscape();
+      } else {
+        value += source[position++];
+      }
+    }
+
+    position++;
+    return value;
+  }
+
+  /**
+   * Read a template string without expressions
+   * @returns {string} The string value
+   */
+  function readTemplate() {
+    const templateStart = position++;
+    let value = '';
+
+    while (source[position] !== '`') {
+      if (position >= source.length) {
+        throw error('Unterminated template string', templateStart);
+      }
+      if (source.startsWith('${', position)) {
+        throw error('Template expressions are not supported, only static strings');
+      }
+      if (source[position] === '\\') {
+        position++;
+        value += readEscape();
+      } else {
+        value += source[position++];
+      }
+    }
+
+    position++;
+    return value.replace(/\r\n?/g, '\n');
+  }
+
+  /**
+   * Read an object literal
+   * @returns {Object} The object
+   */
+  function readObject() {
+    const object = {};
+    position++;
+
+    while (true) {
+      skip();
+      if (source[position] === '}') {
+        position++;
+        return object;
+      }
+
+      let key;
+      const char = source[position];
+      if (char === '"' || char === "'") {
+        key = readString();
+      } else if (char === '[') {
+        throw error('Computed keys are not supported');
+      } else if (source.startsWith('...', position)) {
+        throw error('Spread properties are not supported');
+      } else {
+        key = matchSticky(IDENTIFIER) ?? matchSticky(NUMBER);
+        if (key === null) {
+          throw error(`Expected a property name but found ${describe()}`);
+        }
+      }
+
+      skip();
+      if (source[position] !== ':') {
+        throw error(`Expected ":" after "${key}" but found ${describe()}`);
+      }
+      position++;
+      // Define rather than assign, so a "__proto__" key stays a plain property
+      Object.defineProperty(object, key, {
+        value: readValue(),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+
+      skip();
+      if (source[position] === ',') {
+        position++;
+      } else if (source[position] !== '}') {
+        throw error(`Expected "," or "}" but found ${describe()}`);
+      }
+    }
+  }
+
+  /**
+   * Read an array literal
+   * @returns {Array} The array
+   */
+  function readArray() {
+    const array = [];
+    position++;
+
+    while (true) {
+      skip();
+      if (source[position] === ']') {
+        position++;
+        return array;
+      }
+      if (source.startsWith('...', position)) {
+        throw error('Spread elements are not supported');
+      }
+
+      array.push(readValue());
+
+      skip();
+      if (source[position] === ',') {
+        position++;
+      } else if (source[position] !== ']') {
+        throw error(`Expected "," or "]" but found ${describe()}`);
+      }
+    }
+  }
+
+  /**
+   * Read any literal value
+   * @returns {any} The value
+   */
+  function readValue() {
+    skip();
+    const char = source[position];
+
+    if (char === '{') return readObject();
+    if (char === '[') return readArray();
+    if (char === '"' || char === "'") return readString();
+    if (char === '`') return readTemplate();
+
+    const valueStart = position;
+    const number = matchSticky(NUMBER);
+    if (number !== null) {
+      const sign = number[0] === '-' ? -1 : 1;
+      const digits = number.replace(/^[+-]/, '');
+      return sign * (/^0x/i.test(digits) ? parseInt(digits, 16) : Number(digits));
+    }
+
+    const word = matchSticky(IDENTIFIER);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    if (word !== null) {
+      throw error(`Unsupported value "${word}": only static literals can be read`, valueStart);
+    }
+
+    throw error(`Expected a value but found ${describe()}`);
+  }
+
+  const value = readValue();
+  return { value, start: literalStart, end: position };
+}
+
+/**
+ * Parse a JSON5 document
+ * @param {string} text - JSON5 text
+ * @returns {any} The value
+ * @throws {LiteralSyntaxError} If the text is not valid JSON5
+ */
+export function parseJSON5(text) {
+  const { value, end } = readLiteral(text, 0);
+  const rest = skipTrivia(text, end);
+
+  if (rest < text.length) {
+    throw new LiteralSyntaxError(`Unexpected "${text[rest]}" after the value`, text, rest);
+  }
+
+  return value;
+}
+
+/**
+ * Find the exported expression and the top-level variable declarations
+ * @param {string} source - Module source
+ * @returns {Object} { exportStart, declarations } with the position of the
+ *   default export (or null) and the value position of each declared name
+ */
+function scanModule(source) {
+  const exportPattern = /(?:export\s+default\b|module\.exports\s*=(?!=)|exports\.default\s*=(?!=))/y;
+  const declarationPattern = /(?:const|let|var)\s+([\p{ID_Start}$_][\p{ID_Continue}$]*)\s*(?::[^=;]+)?=(?![=>])/uy;
+  const declarations = new Map();
+  let exportStart = null;
+  let depth = 0;
+  let position = 0;
+
+  while (position < source.length) {
+    const next = skipTrivia(source, position);
+    if (next !== position) {
+      position = next;
+      continue;
+    }
+
+    const char = source[position];
+    if (char === '"' || char === "'" || char === '`') {
+      // Skip over strings so their content is not mistaken for code
+      position++;
+      while (position < source.length && source[position] !== char) {
+        position += source[position] === '\\' ? 2 : 1;
+      }
+      position++;
+      continue;
+    }
+    if ('{[('.includes(char)) depth++;
+    if ('}])'.includes(char)) depth--;
+
+    const atWord = depth === 0 && !/[\w$.]/.test(source[position - 1] || '');
+    if (atWord) {
+      exportPattern.lastIndex = position;
+      declarationPattern.lastIndex = position;
+
+      if (exportStart === null && exportPattern.test(source)) {
+        exportStart = exportPattern.lastIndex;
+        position = exportStart;
+        continue;
+      }
+
+      const declaration = declarationPattern.exec(source);
+      if (declaration) {
+        declarations.set(declaration[1], declarationPattern.lastIndex);
+        position = declarationPattern.lastIndex;
+        continue;
+      }
+    }
+
+    position++;
+  }
+
+  return { exportStart, declarations };
+}
+
+/**
+ * Locate the object literal a module exports by default
+ * Supports `export default {…}`, `module.exports = {…}` and exporting a
+ * `const` declared in the module, with TypeScript annotations, `as const`
+ * and `satisfies` left in place.
+ * @param {string} source - Module source
+ * @returns {Object} { value, start, end } with the source range of the literal
+ * @throws {LiteralSyntaxError} If there is no static default export
+ */
+function readModuleLiteral(source) {
+  const { exportStart, declarations } = scanModule(source);
+
+  if (exportStart === null) {
+    throw new LiteralSyntaxError('No default export found (export default or module.exports)', source, 0);
+  }
+
+  const valueStart = skipTrivia(source, exportStart);
+  IDENTIFIER.lastIndex = valueStart;
+  const name = IDENTIFIER.exec(source);
+
+  if (name && declarations.has(name[0])) {
+    return readLiteral(source, declarations.get(name[0]));
+  }
+
+  return readLiteral(source, valueStart);
+}
+
+/**
+ * Parse the translations a JS/TS module exports by default
+ * @param {string} source - Module source
+ * @returns {Object} The exported value
+ * @throws {LiteralSyntaxError} If the export is not a static literal
+ */
+export function parseModule(source) {
+  return readModuleLiteral(source).value;
+}
+
+/**
+ * Detect the quote and indentation style of a source text
+ * @param {string} source - Source text
+ * @param {string} defaultQuote - Quote to use when the source has no strings
+ * @returns {Object} { quote, indent }
+ */
+function detectStyle(source, defaultQuote) {
+  const quote = source.match(/:\s*(["'])/);
+  const indent = source.match(/\n([ \t]+)\S/);
+  return {
+    quote: quote ? quote[1] : defaultQuote,
+    indent: indent ? indent[1] : '  '
+  };
+}
+
+/**
+ * Write a value as a JS/JSON5 literal
+ * Keys are unquoted where they are identifiers.
+ * @param {any} value - The value
+ * @param {Object} style - { quote, indent }
+ * @param {string} [currentIndent=''] - Indentation of the value's line
+ * @returns {string} The literal
+ */
+function stringifyLiteral(value, style, currentIndent = '') {
+  const quoteString = (text) => {
+    const escaped = text
+      .replace(/\\/g, '\\\\')
+      .replace(new RegExp(style.quote, 'g'), `\\${style.quote}`)
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t')
+      .replace(/[\u0000-\u001f\u2028\u2029]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    return `${style.quote}${escaped}${style.quote}`;
+  };
+
+  if (typeof value === 'string') {
+    return quoteString(value);
+  }
+  if (typeof value !== 'object' || value === null) {
+    return String(value);
+  }
+
+  const innerIndent = currentIndent + style.indent;
+  const entries = Array.isArray(value)
+    ? value.map(item => stringifyLiteral(item, style, innerIndent))
+    : Object.entries(value).map(([key, item]) => {
+      const name = /^[\p{ID_Start}$_][\p{ID_Continue}$]*$/u.test(key) ? key : quoteString(key);
+      return `${name}: ${stringifyLiteral(item, style, innerIndent)}`;
+    });
+
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  if (entries.length === 0) {
+    return `${open}${close}`;
+  }
+  return `${open}\n${entries.map(entry => `${innerIndent}${entry}`).join(',\n')}\n${currentIndent}${close}`;
+}
+
+/**
+ * Replace the literal in a source text, keeping the text around it
+ * @param {string} source - Source text
+ * @param {Object} range - { start, end } of the literal
+ * @param {any} data - New value
+ * @param {string} defaultQuote - Quote to use when the literal has no strings
+ * @returns {string} Source text with the new literal
+ */
+function replaceLiteral(source, range, data, defaultQuote) {
+  const lineStart = source.lastIndexOf('\n', range.start) + 1;
+  const style = detectStyle(source.slice(range.start, range.end), defaultQuote);
+  const baseIndent = source.slice(lineStart).match(/^[ \t]*/)[0];
+  return source.slice(0, range.start) + stringifyLiteral(data, style, baseIndent) + source.slice(range.end);
+}
+
+/**
+ * Write translations as JSON5
+ * With the original source, its comments around the value, quotes and
+ * indentation are kept.
+ * @param {Object} data - Translations
+ * @param {string|null} [source] - Original JSON5 text
+ * @returns {string} JSON5 text
+ */
+export function stringifyJSON5(data, source = null) {
+  if (source) {
+    return replaceLiteral(source, readLiteral(source, 0), data, '"');
+  }
+  return stringifyLiteral(data, { quote: '"', indent: '  ' }) + '\n';
+}
+
+/**
+ * Write translations as a JS/TS module
+ * With the original source, only the exported literal is replaced, so
+ * imports, declarations and type annotations stay as they were.
+ * @param {Object} data - Translations
+ * @param {Object} [options] - { source, commonjs }: the original module
+ *   source, and whether a new module uses `module.exports`
+ * @returns {string} Module source
+ */
+export function stringifyModule(data, options = {}) {
+  const { source = null, commonjs = false } = options;
+
+  if (source) {
+    return replaceLiteral(source, readModuleLiteral(source), data, "'");
+  }
+
+  const literal = stringifyLiteral(data, { quote: "'", indent: '  ' });
+  return commonjs ? `module.exports = ${literal};\n` : `export default ${literal};\n`;
+}
@@ -0,0 +1,118 @@
+/**
+ * Plugins: custom key groupers, string transforms and output serializers
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Check whether a plugin specifier is a file path rather than a package name
+ * @param {string} specifier - Plugin specifier
+ * @returns {boolean} True for relative and absolute paths
+ */
+function isPluginPath(specifier) {
+  return specifier.startsWith('.') || path.isAbsolute(specifier);
+}
+
+/**
+ * Check that a plugin has the shape combinePlugins expects
+ * @param {any} plugin - The plugin
+ * @param {string} [source] - Module the plugin came from, for errors
+ * @returns {Object} The plugin
+ * @throws {Error} If the plugin is not a valid plugin object
+ */
+function validatePlugin(plugin, source = plugin && plugin.name ? `"${plugin.name}"` : '(object)') {
+  const fail = (reason) => {
+    throw new Error(`Invalid plugin ${source}: ${reason}`);
+  };
+
+  if (typeof plugin !== 'object' || plugin === null || Array.isArray(plugin)) {
+    fail('expected a plugin object');
+  }
+  if (typeof plugin.name !== 'string' || !plugin.name) {
+    fail('expected a "name"');
+  }
+
+  (plugin.groupers || []).forEach((grouper, index) => {
+    if (!grouper || typeof grouper.match !== 'function' || typeof grouper.convert !== 'function') {
+      fail(`grouper ${index} needs "match" and "convert" functions`);
+    }
+  });
+
+  for (const stage of ['before', 'after']) {
+    if (plugin.transforms && plugin.transforms[stage] !== undefined && typeof plugin.transforms[stage] !== 'function') {
+      fail(`the "${stage}" transform must be a function`);
+    }
+  }
+
+  for (const [extension, serializer] of Object.entries(plugin.serializers || {})) {
+    if (!extension.startsWith('.') || typeof serializer !== 'function') {
+      fail(`serializers are functions by file extension, e.g. ".toml", not "${extension}"`);
+    }
+  }
+
+  return plugin;
+}
+
+/**
+ * Load plugins given as module paths or package names
+ * Paths are resolved against the working directory; a module default-exports
+ * its plugin. Plugin objects are passed through, so options holding both can
+ * be loaded as one.
+ * @param {Array<string|Object>} [plugins=[]] - Plugin specifiers or objects
+ * @returns {Promise<Object[]>} The plugin objects, in order
+ * @throws {Error} If a module cannot be loaded or is not a valid plugin
+ */
+export async function loadPlugins(plugins = []) {
+  const loaded = [];
+
+  for (const plugin of [].concat(plugins)) {
+    if (typeof plugin !== 'string') {
+      loaded.push(validatePlugin(plugin));
+      continue;
+    }
+
+    const specifier = isPluginPath(plugin) ? pathToFileURL(path.resolve(plugin)).href : plugin;
+    let module;
+    try {
+      module = await import(specifier);
+    } catch (error) {
+      throw new Error(`Cannot load plugin ${plugin}: ${error.message}`);
+    }
+    loaded.push(validatePlugin(module.default, plugin));
+  }
+
+  return loaded;
+}
+
+/**
+ * Combine the hooks of several plugins
+ * Groupers are tried in plugin order, transforms run in plugin order, and a
+ * later plugin's serializer replaces an earlier one for the same extension.
+ * @param {Object[]} [plugins=[]] - Loaded plugin objects
+ * @returns {Object} { groupers, before, after, serializers }, where groupers
+ *   and transforms carry the `name` of their plugin
+ * @throws {Error} If a plugin is still a specifier (see loadPlugins) or is invalid
+ */
+export function combinePlugins(plugins = []) {
+  const combined = { groupers: [], before: [], after: [], serializers: {} };
+
+  for (const plugin of [].concat(plugins)) {
+    if (typeof plugin === 'string') {
+      throw new Error(`Plugin ${plugin} is not loaded: load it with loadPlugins, or pass it to processFile or processFiles`);
+    }
+    const { name, groupers = [], transforms = {}, serializers = {} } = validatePlugin(plugin);
+
+    groupers.forEach(grouper => combined.groupers.push({ name, match: grouper.match, convert: grouper.convert }));
+    for (const stage of ['before', 'after']) {
+      if (transforms[stage]) {
+        combined[stage].push({ name, transform: transforms[stage] });
+      }
+    }
+    for (const [extension, serializer] of Object.entries(serializers)) {
+      combined.serializers[extension.toLowerCase()] = serializer;
+    }
+  }
+
+  return combined;
+}
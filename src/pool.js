@@ -0,0 +1,138 @@
+/**
+ * Bounded concurrency for converting many files, in-process or on worker threads
+ */
+
+import { Worker } from 'worker_threads';
+
+/**
+ * Check a concurrency option
+ * @param {any} value - Number of files to convert at a time
+ * @returns {number} The concurrency (1 when not set)
+ * @throws {Error} If it is not a positive integer
+ */
+export function normalizeConcurrency(value) {
+  if (value === undefined || value === null) {
+    return 1;
+  }
+
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${value} (expected a positive integer)`);
+  }
+  return concurrency;
+}
+
+/**
+ * Run a task for each item with at most `concurrency` tasks at a time
+ * Tasks may finish in any order, but `onResult` is called in item order:
+ * a result is held back until the results of all earlier items are in.
+ * @param {Array} items - Items to run the task for
+ * @param {number} concurrency - Maximum number of running tasks
+ * @param {Function} task - async (item, index) => result
+ * @param {Function} [onResult] - Called with (result, index) in item order
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapConcurrent(items, concurrency, task, onResult = () => {}) {
+  const results = new Array(items.length);
+  const done = new Array(items.length).fill(false);
+  let nextItem = 0;
+  let nextResult = 0;
+
+  const runNext = async () => {
+    while (nextItem < items.length) {
+      const index = nextItem++;
+      results[index] = await task(items[index], index);
+      done[index] = true;
+
+      while (nextResult < items.length && done[nextResult]) {
+        onResult(results[nextResult], nextResult);
+        nextResult++;
+      }
+    }
+  };
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, runNext);
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Start worker threads that convert files with processFile
+ * @param {number} size - Number of workers
+ * @param {Object} options - Conversion options, copied to every worker
+ * @returns {Object} { run, close }: `run(inputPath, outputPath)` converts a
+ *   file on an idle worker and resolves with its result, `close()` stops the workers
+ * @throws {Error} If the options cannot be copied to a worker (e.g. functions)
+ */
+export function createWorkerPool(size, options) {
+  try {
+    structuredClone(options);
+  } catch {
+    throw new Error('Worker threads need options that can be copied to the workers (no functions)');
+  }
+
+  const idle = [];
+  const queue = [];
+  const workers = [];
+  let alive = size;
+  let lastError = null;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      worker.job = job;
+      worker.postMessage({ inputPath: job.inputPath, outputPath: job.outputPath });
+    }
+  };
+
+  // A crashed or exited worker fails its file; the other workers carry on
+  const stop = (worker, message) => {
+    if (worker.stopped) {
+      return;
+    }
+    worker.stopped = true;
+    alive--;
+    lastError = message;
+    if (idle.includes(worker)) {
+      idle.splice(idle.indexOf(worker), 1);
+    }
+    if (worker.job) {
+      worker.job.resolve({ success: false, inputPath: worker.job.inputPath, error: message });
+      worker.job = null;
+    }
+    if (alive === 0) {
+      queue.splice(0).forEach(job => job.resolve({ success: false, inputPath: job.inputPath, error: message }));
+    }
+  };
+
+  for (let index = 0; index < size; index++) {
+    const worker = new Worker(new URL('./worker.js', import.meta.url), { workerData: { options } });
+
+    worker.on('message', (result) => {
+      const { job } = worker;
+      worker.job = null;
+      idle.push(worker);
+      job.resolve(result);
+      dispatch();
+    });
+    worker.on('error', error => stop(worker, error.message));
+    // Also fires after an error, and when a plugin calls process.exit
+    worker.on('exit', code => stop(worker, `Worker stopped with exit code ${code}`));
+
+    idle.push(worker);
+    workers.push(worker);
+  }
+
+  return {
+    run: (inputPath, outputPath) => new Promise((resolve) => {
+      if (alive === 0) {
+        resolve({ success: false, inputPath, error: lastError });
+        return;
+      }
+      queue.push({ inputPath, outputPath, resolve });
+      dispatch();
+    }),
+    close: () => Promise.all(workers.map(worker => worker.terminate()))
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * Machine-readable reports of a conversion run: per-file, per-key transformations,
+ * warnings and errors, as JSON, JUnit XML or SARIF
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Short descriptions of the codes, used as SARIF rules
+const CODES = {
+  'plural-grouped': 'Plural forms grouped into an ICU plural',
+  'context-grouped': 'Context variants grouped into an ICU select',
+  'reference-left': '$t() reference left as a [REF:key] placeholder',
+  'reference-inlined': '$t() reference replaced by the referenced message',
+  'formatter-mapped': 'i18next formatter converted to an ICU argument',
+  'legacy-plural-upgraded': 'i18next JSON v3 plural key read as a v4 key',
+  'plugin-grouped': 'Keys grouped into one message by a plugin grouper',
+  'missing-context-default': 'Context variants without a bare key',
+  'context-merged': 'Key merged into an automatically detected context',
+  'missing-plural-category': 'Plural forms required by the locale are missing',
+  'unused-plural-category': 'Plural forms not used by the locale',
+  'missing-plural-other': 'Plural without an "other" form',
+  'ambiguous-plural-variable': 'Plural whose counted variable cannot be inferred',
+  'unmapped-formatter': 'i18next formatter without an ICU equivalent',
+  'unresolved-reference': '$t() reference that cannot be resolved',
+  'nesting-cycle': '$t() references that refer to each other',
+  'missing-locale': 'Legacy plural index without a locale',
+  'unmapped-plural-index': 'Legacy plural index out of range for the locale',
+  'legacy-plural-detected': 'Key read as an i18next JSON v3 plural by detection',
+  'key-collision': 'Keys that collide when grouped or restructured',
+  'suspicious-syntax': 'Interpolation or nesting delimiter left as literal text',
+  'plugin-warning': 'Warning reported by a plugin',
+  'invalid-icu': 'Message that is not valid ICU MessageFormat',
+  'unsupported-message': 'ICU message without an i18next equivalent',
+  'select-not-context': 'ICU select that is not a context',
+  'unmapped-selector': 'ICU selector without an i18next equivalent',
+  'conversion-failed': 'File that could not be converted'
+};
+
+const REPORT_FORMATS = ['json', 'junit', 'sarif'];
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Group the diagnostics, warnings and errors of a file by key
+ * @param {Object} result - Result from processFile
+ * @returns {Object} Entries `{ severity, code, message, offset? }` by key path
+ */
+function collectKeys(result) {
+  const keys = {};
+  const add = (severity, { key, code, message, offset }) => {
+    const entry = { severity, code, message };
+    if (offset !== undefined) {
+      entry.offset = offset;
+    }
+    (keys[key] ||= []).push(entry);
+  };
+
+  (result.errors || []).forEach(error => add('error', error));
+  (result.warnings || []).forEach(warning => add('warning', warning));
+  (result.diagnostics || []).forEach(diagnostic => add('info', diagnostic));
+  return keys;
+}
+
+/**
+ * Count entries by severity and code
+ * @param {Object[]} entries - Report entries
+ * @param {Object} counts - Counts to add to
+ * @returns {Object} The counts
+ */
+function countEntries(entries, counts) {
+  entries.forEach(entry => {
+    counts[entry.severity]++;
+    counts.codes[entry.code] = (counts.codes[entry.code] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Create a report of a conversion run
+ * Every file lists what happened to each key: `info` entries for the
+ * transformations (plurals grouped, references left, formatters mapped),
+ * `warning` and `error` entries for what needs a look.
+ * @param {Object} results - Results from processFiles
+ * @param {Object} [options] - Report options
+ * @param {string} [options.version] - Version of the tool, for SARIF
+ * @returns {Object} { tool, summary, files }
+ */
+export function createReport(results, options = {}) {
+  const summary = {
+    files: results.files.length,
+    successful: 0,
+    failed: 0,
+    keys: 0,
+    error: 0,
+    warning: 0,
+    info: 0,
+    codes: {}
+  };
+
+  const files = results.files.map(result => {
+    const keys = collectKeys(result);
+    const entries = Object.values(keys).flat();
+    const file = {
+      file: result.inputPath,
+      outputPath: result.outputPath || null,
+      locale: result.locale || null,
+      success: result.success
+    };
+
+    if (!result.success) {
+      file.error = result.error;
+    }
+    file.counts = countEntries(entries, { error: 0, warning: 0, info: 0, codes: {} });
+    file.keys = keys;
+
+    summary[result.success ? 'successful' : 'failed']++;
+    summary.keys += Object.keys(keys).length;
+    countEntries(entries, summary);
+    return file;
+  });
+
+  return {
+    tool: { name: 'i18next2icu', version: options.version || null },
+    summary,
+    files
+  };
+}
+
+/**
+ * Count the keys with errors over all files
+ * @param {Object[]} files - Files of a report
+ * @returns {number} Number of failing keys
+ */
+function countFailures(files) {
+  return files.reduce((count, file) => count + Object.values(file.keys)
+    .filter(entries => entries.some(entry => entry.severity === 'error')).length, 0);
+}
+
+/**
+ * Write a report as JUnit XML: a test suite per file and a test case per key
+ * Errors fail their key, files that could not be converted are test errors,
+ * and warnings and transformations are listed as the output of their key.
+ * @param {Object} report - Report from createReport
+ * @returns {string} JUnit XML
+ */
+function formatJUnit(report) {
+  const { summary } = report;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${report.tool.name}" tests="${summary.keys + summary.failed}" failures="${countFailures(report.files)}" errors="${summary.failed}">`
+  ];
+
+  report.files.forEach(file => {
+    const name = escapeXml(file.file);
+    const keys = Object.entries(file.keys);
+
+    lines.push(`  <testsuite name="${name}" tests="${keys.length + (file.success ? 0 : 1)}" failures="${countFailures([file])}" errors="${file.success ? 0 : 1}">`);
+
+    if (!file.success) {
+      lines.push(`    <testcase classname="${name}" name="(file)">`);
+      lines.push(`      <error type="conversion-failed" message="${escapeXml(file.error)}"/>`);
+      lines.push('    </testcase>');
+    }
+
+    keys.forEach(([key, entries]) => {
+      const error = entries.find(entry => entry.severity === 'error');
+      const output = entries.map(entry => `${entry.severity} ${entry.code}: ${entry.message}`).join('\n');
+
+      lines.push(`    <testcase classname="${name}" name="${escapeXml(key)}">`);
+      if (error) {
+        lines.push(`      <failure type="${error.code}" message="${escapeXml(error.message)}"/>`);
+      }
+      lines.push(`      <system-out>${escapeXml(output)}</system-out>`);
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write a report as SARIF 2.1.0, for code scanning tools
+ * Each entry is a result located in its file, with the key as logical location.
+ * @param {Object} report - Report from createReport
+ * @returns {string} SARIF JSON
+ */
+function formatSarif(report) {
+  const level = { error: 'error', warning: 'warning', info: 'note' };
+  const results = [];
+
+  report.files.forEach(file => {
+    const artifactLocation = { uri: file.file.split(path.sep).join('/') };
+
+    if (!file.success) {
+      results.push({
+        ruleId: 'conversion-failed',
+        level: 'error',
+        message: { text: file.error },
+        locations: [{ physicalLocation: { artifactLocation } }]
+      });
+    }
+
+    Object.entries(file.keys).forEach(([key, entries]) => {
+      entries.forEach(entry => results.push({
+        ruleId: entry.code,
+        level: level[entry.severity],
+        message: { text: entry.message },
+        locations: [{
+          physicalLocation: { artifactLocation },
+          logicalLocations: [{ fullyQualifiedName: key, kind: 'member' }]
+        }]
+      }));
+    });
+  });
+
+  const ruleIds = [...new Set(results.map(result => result.ruleId))];
+  const driver = {
+    name: report.tool.name,
+    ...(report.tool.version && { version: report.tool.version }),
+    rules: ruleIds.map(id => ({ id, shortDescription: { text: CODES[id] || id } }))
+  };
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{ tool: { driver }, results }]
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+/**
+ * Pick the report format from the file extension
+ * @param {string} reportPath - Report file path
+ * @returns {'json'|'junit'|'sarif'} `.xml` is JUnit, `.sarif` SARIF, anything else JSON
+ */
+export function detectReportFormat(reportPath) {
+  const name = reportPath.toLowerCase();
+  if (name.endsWith('.xml')) {
+    return 'junit';
+  }
+  if (name.endsWith('.sarif') || name.endsWith('.sarif.json')) {
+    return 'sarif';
+  }
+  return 'json';
+}
+
+/**
+ * Write a report in the given format
+ * @param {Object} report - Report from createReport
+ * @param {'json'|'junit'|'sarif'} [format='json'] - Report format
+ * @returns {string} The report text
+ * @throws {Error} If the format is unknown
+ */
+export function formatReport(report, format = 'json') {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(report, null, 2)}\n`;
+    case 'junit':
+      return formatJUnit(report);
+    case 'sarif':
+      return formatSarif(report);
+    default:
+      throw new Error(`Unknown report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Create a report of a conversion run and write it to a file
+ * @param {Object} results - Results from processFiles
+ * @param {string} reportPath - Report file path
+ * @param {Object} [options] - Report options
+ * @param {string} [options.format] - Report format (default: from the extension)
+ * @param {string} [options.version] - Version of the tool
+ * @returns {Promise<Object>} The report
+ */
+export async function writeReport(results, reportPath, options = {}) {
+  const report = createReport(results, options);
+  const text = formatReport(report, options.format || detectReportFormat(reportPath));
+
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, text, 'utf-8');
+  return report;
+}
@@ -0,0 +1,243 @@
+/**
+ * Converts ICU MessageFormat v1 strings back to i18next format
+ */
+
+import { convertICUFormat } from './formatters.js';
+import { parse } from './icu-parser.js';
+import { createSyntax } from './interpolation.js';
+import { isPlainObject, restructureKeys } from './structure.js';
+
+const REFERENCE_PATTERN = /\[REF:([^\]]+)\]/g;
+
+/**
+ * Write ICU message nodes as i18next text
+ * Arguments that could not be expanded into keys are kept as ICU source.
+ * @param {Object[]} nodes - Message nodes
+ * @param {Object} message - { source, pluralVariable } of the message being converted
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @returns {string} i18next text
+ */
+function stringifyNodes(nodes, message, state, keyPath) {
+  const { prefix, suffix, nestingPrefix, nestingSuffix } = state.syntax;
+
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'literal':
+        // [REF:key] placeholders go back to $t(key) references
+        return node.value.replace(REFERENCE_PATTERN, (match, key) => `${nestingPrefix}${key}${nestingSuffix}`);
+      case 'argument':
+        return `${prefix}${node.name}${suffix}`;
+      case 'pound':
+        return `${prefix}${message.pluralVariable}${suffix}`;
+      case 'format': {
+        const { interpolation, warnings } = convertICUFormat(node.name, node.format, node.style);
+        warnings.forEach(warning => state.warn('unmapped-formatter', keyPath, warning));
+        return `${prefix}${interpolation.slice(2, -2)}${suffix}`;
+      }
+      default:
+        return message.source.slice(node.start, node.end);
+    }
+  }).join('');
+}
+
+/**
+ * Expand the plural and select arguments of a message into i18next variants
+ * Text around an argument is copied into each of its branches, so
+ * `Cart: {n, plural, one{# item} other{# items}}` gives `Cart: {{n}} item`
+ * and `Cart: {{n}} items`. i18next keys hold at most one context and one
+ * plural form, so messages with more return null.
+ * @param {Object[]} nodes - Message nodes
+ * @param {Object} scope - { context, form, ordinal, pluralVariable } chosen so far
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @returns {Object[]|null} Variants ({ ...scope, nodes }) or null
+ */
+function expandNodes(nodes, scope, state, keyPath) {
+  const index = nodes.findIndex(node => node.type === 'plural' || node.type === 'select');
+  if (index === -1) {
+    return [{ ...scope, nodes }];
+  }
+
+  const node = nodes[index];
+  const before = nodes.slice(0, index);
+  const after = nodes.slice(index + 1);
+  const isSelect = node.type === 'select';
+
+  if ((isSelect && scope.context !== null) || (!isSelect && scope.form !== null)) {
+    return null;
+  }
+
+  if (isSelect && node.name !== state.options.contextVariable) {
+    state.warn(
+      'select-not-context',
+      keyPath,
+      `Select on "${node.name}" was written as i18next context variants`
+    );
+  }
+  if (!isSelect && node.offset) {
+    state.warn('unmapped-selector', keyPath, `Plural offset ${node.offset} has no i18next equivalent and was dropped`);
+  }
+
+  const variants = [];
+  for (const [selector, branch] of Object.entries(node.options)) {
+    let branchScope;
+
+    if (isSelect) {
+      branchScope = { ...scope, context: selector === 'other' ? '' : selector };
+    } else {
+      const form = selector === '=0' ? 'zero' : selector;
+      if (form.startsWith('=') || (selector === '=0' && 'zero' in node.options)) {
+        state.warn(
+          'unmapped-selector',
+          keyPath,
+          `Plural selector "${selector}" has no i18next equivalent and was dropped`
+        );
+        continue;
+      }
+      branchScope = { ...scope, form, ordinal: node.ordinal, pluralVariable: node.name };
+    }
+
+    const expanded = expandNodes([...before, ...branch, ...after], branchScope, state, keyPath);
+    if (!expanded) {
+      return null;
+    }
+    variants.push(...expanded);
+  }
+
+  return variants;
+}
+
+/**
+ * Convert one ICU message into i18next keys
+ * @param {string} key - Key of the message
+ * @param {string} source - ICU message
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path, used in warnings
+ * @returns {Object} i18next keys and values
+ */
+function convertMessage(key, source, state, keyPath) {
+  let nodes;
+  try {
+    nodes = parse(source);
+  } catch (error) {
+    state.warn('invalid-icu', keyPath, `${error.message}, the value was kept as it is`);
+    return { [key]: source };
+  }
+
+  let variants = expandNodes(nodes, { context: null, form: null, ordinal: false, pluralVariable: null }, state, keyPath);
+  if (!variants) {
+    state.warn(
+      'unsupported-message',
+      keyPath,
+      'Message has more than one plural or select per kind, the ICU arguments were kept as they are'
+    );
+    variants = [{ context: null, form: null, ordinal: false, pluralVariable: 'count', nodes }];
+  }
+
+  const result = {};
+  for (const variant of variants) {
+    const contextSuffix = variant.context ? `_${variant.context}` : '';
+    const pluralSuffix = variant.form ? `${variant.ordinal ? '_ordinal' : ''}_${variant.form}` : '';
+    const message = { source, pluralVariable: variant.pluralVariable };
+
+    result[`${key}${contextSuffix}${pluralSuffix}`] = stringifyNodes(variant.nodes, message, state, keyPath);
+  }
+
+  return result;
+}
+
+/**
+ * Convert a (nested) ICU translation object
+ * @param {Object} translations - The ICU translation object
+ * @param {Object} state - Conversion state
+ * @param {string} parentPath - Dotted key path of the object
+ * @returns {Object} i18next translations
+ */
+function convertObject(translations, state, parentPath) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(translations)) {
+    const keyPath = parentPath ? `${parentPath}.${key}` : key;
+
+    if (typeof value === 'string') {
+      Object.assign(result, convertMessage(key, value, state, keyPath));
+    } else {
+      result[key] = convertItem(value, state, keyPath);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert an array item, or a nested object or array
+ * Array items cannot be split into plural or context keys, so messages that
+ * would need them are kept as they are.
+ * @param {any} value - The value to convert
+ * @param {Object} state - Conversion state
+ * @param {string} keyPath - Dotted key path of the value
+ * @returns {any} Converted value
+ */
+function convertItem(value, state, keyPath) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => convertItem(item, state, `${keyPath}.${index}`));
+  }
+  if (isPlainObject(value)) {
+    return convertObject(value, state, keyPath);
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const converted = convertMessage('', value, state, keyPath);
+  if (!('' in converted) || Object.keys(converted).length > 1) {
+    state.warn(
+      'unsupported-message',
+      keyPath,
+      'Plural and select arguments in array items have no i18next equivalent, the message was kept as it is'
+    );
+    return value;
+  }
+  return converted[''];
+}
+
+/**
+ * Convert ICU MessageFormat translations back to i18next format
+ * Plurals become `_one`/`_other` keys, selectordinals `_ordinal_*` keys and
+ * selects context suffixes, with the `other` branch as the bare key.
+ * @param {Object} data - The ICU translation object
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.contextVariable='context'] - Select argument expected for contexts
+ * @param {Object} [options.interpolation] - i18next interpolation options used for
+ *   the output (prefix, suffix, nestingPrefix, nestingSuffix)
+ * @param {'preserve'|'flat'|'nested'} [options.outputStructure='preserve'] - Keep the
+ *   structure, or flatten or unflatten keys (see convertTranslations)
+ * @param {string} [options.outputKeySeparator='.'] - Separator for flattening and unflattening
+ * @param {Function} [options.onWarning] - Called with { code, key, message }
+ * @returns {Object} i18next translations
+ */
+export function icu2i18next(data, options = {}) {
+  const {
+    contextVariable = 'context',
+    interpolation = {},
+    outputStructure = 'preserve',
+    outputKeySeparator = options.keySeparator || '.',
+    onWarning = null
+  } = options;
+
+  const state = {
+    options: { contextVariable },
+    syntax: createSyntax(interpolation),
+    warn(code, key, message) {
+      if (onWarning) {
+        onWarning({ code, key, message });
+      }
+    }
+  };
+
+  const converted = convertObject(data, state, '');
+  return restructureKeys(converted, outputStructure, outputKeySeparator, (key, message) => {
+    state.warn('key-collision', key, message);
+  });
+}
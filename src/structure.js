@@ -0,0 +1,113 @@
+/**
+ * Flattens nested translation objects to separator-joined keys, and back
+ */
+
+/**
+ * Check whether a value is a nested translation object
+ * @param {any} value - The value to check
+ * @returns {boolean} True for plain objects
+ */
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Flatten nested objects to keys joined with a separator
+ * `{ user: { name: 'x' } }` becomes `{ 'user.name': 'x' }`. Arrays are values.
+ * @param {Object} translations - The translation object
+ * @param {string} separator - Key separator
+ * @param {Function} onCollision - Called with (key, message) when two entries
+ *   end up under the same key; the first one is kept
+ * @returns {Object} Flat translations
+ */
+export function flattenKeys(translations, separator, onCollision) {
+  const result = {};
+
+  const visit = (object, prefix) => {
+    for (const [key, value] of Object.entries(object)) {
+      const flatKey = prefix ? `${prefix}${separator}${key}` : key;
+
+      if (isPlainObject(value)) {
+        visit(value, flatKey);
+      } else if (flatKey in result) {
+        onCollision(flatKey, `Key "${flatKey}" already exists, the later value was dropped`);
+      } else {
+        result[flatKey] = value;
+      }
+    }
+  };
+
+  visit(translations, '');
+  return result;
+}
+
+/**
+ * Split keys on a separator into nested objects
+ * `{ 'user.name': 'x' }` becomes `{ user: { name: 'x' } }`. Objects reached by
+ * several keys are merged.
+ * @param {Object} translations - The translation object
+ * @param {string} separator - Key separator
+ * @param {Function} onCollision - Called with (key, message) when a message
+ *   and an object, or two messages, end up under the same key; the first one is kept
+ * @returns {Object} Nested translations
+ */
+export function unflattenKeys(translations, separator, onCollision) {
+  const result = {};
+
+  const insert = (target, segments, value, path) => {
+    const [segment, ...rest] = segments;
+    const keyPath = path ? `${path}${separator}${segment}` : segment;
+
+    if (rest.length > 0) {
+      if (!(segment in target)) {
+        target[segment] = {};
+      }
+      if (!isPlainObject(target[segment])) {
+        onCollision(keyPath, `Key "${keyPath}" is a message and cannot also hold "${rest.join(separator)}", which was dropped`);
+        return;
+      }
+      insert(target[segment], rest, value, keyPath);
+    } else if (isPlainObject(value)) {
+      if (segment in target && !isPlainObject(target[segment])) {
+        onCollision(keyPath, `Key "${keyPath}" is a message and cannot also hold nested keys, which were dropped`);
+        return;
+      }
+      target[segment] = target[segment] || {};
+      for (const [key, child] of Object.entries(value)) {
+        insert(target[segment], key.split(separator), child, keyPath);
+      }
+    } else if (segment in target) {
+      onCollision(keyPath, `Key "${keyPath}" already exists, the later value was dropped`);
+    } else {
+      target[segment] = value;
+    }
+  };
+
+  for (const [key, value] of Object.entries(translations)) {
+    insert(result, key.split(separator), value, '');
+  }
+
+  return result;
+}
+
+/**
+ * Apply an output structure to converted translations
+ * @param {Object} translations - The translation object
+ * @param {'preserve'|'flat'|'nested'} structure - Output structure
+ * @param {string} separator - Key separator of the output
+ * @param {Function} onCollision - Called with (key, message) for key collisions
+ * @returns {Object} Restructured translations
+ * @throws {Error} If the structure is unknown
+ */
+export function restructureKeys(translations, structure, separator, onCollision) {
+  switch (structure) {
+    case 'preserve':
+      return translations;
+    case 'flat':
+      return flattenKeys(translations, separator, onCollision);
+    case 'nested':
+      return unflattenKeys(translations, separator, onCollision);
+    default:
+      throw new Error(`Unknown output structure: ${structure}`);
+  }
+}
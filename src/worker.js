@@ -0,0 +1,10 @@
+/**
+ * Worker thread of createWorkerPool: converts one file per message
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { processFile } from './index.js';
+
+parentPort.on('message', async ({ inputPath, outputPath }) => {
+  parentPort.postMessage(await processFile(inputPath, outputPath, workerData.options));
+});
@@ -0,0 +1,338 @@
+/**
+ * XLIFF 2.0 export and import of ICU MessageFormat translations
+ * Nested objects become `<group>` elements and messages `<unit>` elements,
+ * both named after their key, so an exported file imports back to the same tree.
+ */
+
+import { isPlainObject } from './structure.js';
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// Group type marking arrays, so they import back as arrays
+const ARRAY_TYPE = 'i18next2icu:array';
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode XML entities and character references
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (!(entity in ENTITIES)) {
+      throw new Error(`Unknown XML entity ${match}`);
+    }
+    return ENTITIES[entity];
+  });
+}
+
+/**
+ * Create an id for a group or unit that is a valid, unique XML NMTOKEN
+ * @param {string} keyPath - Key path of the entry
+ * @param {Set<string>} used - Ids used so far in the file
+ * @returns {string} The id
+ */
+function createId(keyPath, used) {
+  const id = keyPath.replace(/[^\w.:-]/g, '_') || '_';
+  let unique = id;
+  for (let index = 2; used.has(unique); index++) {
+    unique = `${id}_${index}`;
+  }
+  used.add(unique);
+  return unique;
+}
+
+/**
+ * Write ICU translations as an XLIFF 2.0 document
+ * @param {Object} translations - Source translations
+ * @param {Object} options - Export options
+ * @param {string} options.srcLang - Source locale
+ * @param {string} [options.trgLang] - Target locale, when target translations are given
+ * @param {Object} [options.target] - Target translations with the same keys
+ * @param {Object[]} [options.notes] - Notes as { code, key, message }, written on
+ *   the unit of their key path (or on the file)
+ * @param {string} [options.fileId='messages'] - Id of the `<file>` element, e.g. the namespace
+ * @param {string} [options.keySeparator='.'] - Separator of the key paths in notes
+ * @returns {string} XLIFF document
+ */
+export function exportXliff(translations, options) {
+  const {
+    srcLang,
+    trgLang = null,
+    target = null,
+    notes = [],
+    fileId = 'messages',
+    keySeparator = '.'
+  } = options;
+
+  const usedIds = new Set();
+  const unitNotes = new Map();
+  const fileNotes = [];
+  const body = [];
+
+  const writeNotes = (entries, indent) => [
+    `${indent}<notes>`,
+    ...entries.map(note => `${indent}  <note category="${escapeXml(note.code)}">${escapeXml(note.message)}</note>`),
+    `${indent}</notes>`
+  ];
+
+  const writeEntries = (source, targetValues, prefix, depth) => {
+    const indent = '  '.repeat(depth);
+
+    for (const [key, value] of Object.entries(source)) {
+      const keyPath = prefix ? `${prefix}${keySeparator}${key}` : key;
+      const targetValue = targetValues ? targetValues[key] : undefined;
+
+      if (isPlainObject(value) || Array.isArray(value)) {
+        const type = Array.isArray(value) ? ` type="${ARRAY_TYPE}"` : '';
+        body.push(`${indent}<group id="${escapeXml(createId(keyPath, usedIds))}" name="${escapeXml(key)}"${type}>`);
+        writeEntries(value, typeof targetValue === 'object' ? targetValue : null, keyPath, depth + 1);
+        body.push(`${indent}</group>`);
+      } else if (typeof value === 'string') {
+        body.push(`${indent}<unit id="${escapeXml(createId(keyPath, usedIds))}" name="${escapeXml(key)}">`);
+        if (unitNotes.has(keyPath)) {
+          body.push(...writeNotes(unitNotes.get(keyPath), `${indent}  `));
+          unitNotes.delete(keyPath);
+        }
+        body.push(`${indent}  <segment>`);
+        body.push(`${indent}    <source>${escapeXml(value)}</source>`);
+        if (typeof targetValue === 'string') {
+          body.push(`${indent}    <target>${escapeXml(targetValue)}</target>`);
+        }
+        body.push(`${indent}  </segment>`);
+        body.push(`${indent}</unit>`);
+      }
+      // Other values (numbers, booleans, null) are not translatable and skipped
+    }
+  };
+
+  for (const note of notes) {
+    if (!unitNotes.has(note.key)) {
+      unitNotes.set(note.key, []);
+    }
+    unitNotes.get(note.key).push(note);
+  }
+
+  writeEntries(translations, target, '', 2);
+
+  // Notes whose key has no unit (e.g. a removed plural form) go on the file
+  for (const entries of unitNotes.values()) {
+    fileNotes.push(...entries.map(note => ({ ...note, message: `${note.key}: ${note.message}` })));
+  }
+
+  const trgAttribute = trgLang ? ` trgLang="${escapeXml(trgLang)}"` : '';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${escapeXml(srcLang)}"${trgAttribute}>`,
+    `  <file id="${escapeXml(createId(fileId, new Set()))}" xml:space="preserve">`,
+    ...(fileNotes.length > 0 ? writeNotes(fileNotes, '    ') : []),
+    ...body,
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Parse an XML document into a tree of elements
+ * Supports what XLIFF files use: elements, attributes, text, entities, CDATA,
+ * comments and processing instructions. Namespace prefixes are dropped.
+ * @param {string} xml - XML document
+ * @returns {Object} Document node ({ name, attributes, children })
+ * @throws {Error} If the document is not well-formed
+ */
+function parseXml(xml) {
+  const document = { name: '#document', attributes: {}, children: [] };
+  const stack = [document];
+  const tagPattern = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const localName = (name) => name.slice(name.indexOf(':') + 1);
+  let position = 0;
+
+  const skipTo = (terminator, description) => {
+    const end = xml.indexOf(terminator, position);
+    if (end === -1) {
+      throw new Error(`Invalid XML: unterminated ${description} at offset ${position}`);
+    }
+    const content = xml.slice(position, end);
+    position = end + terminator.length;
+    return content;
+  };
+
+  while (position < xml.length) {
+    const parent = stack[stack.length - 1];
+
+    if (xml.startsWith('<!--', position)) {
+      skipTo('-->', 'comment');
+    } else if (xml.startsWith('<![CDATA[', position)) {
+      position += '<![CDATA['.length;
+      parent.children.push(skipTo(']]>', 'CDATA section'));
+    } else if (xml.startsWith('<?', position)) {
+      skipTo('?>', 'processing instruction');
+    } else if (xml.startsWith('<!', position)) {
+      skipTo('>', 'declaration');
+    } else if (xml.startsWith('</', position)) {
+      position += 2;
+      const name = localName(skipTo('>', 'closing tag').trim());
+      if (stack.length === 1 || parent.name !== name) {
+        throw new Error(`Invalid XML: unexpected </${name}>`);
+      }
+      stack.pop();
+    } else if (xml[position] === '<') {
+      tagPattern.lastIndex = position;
+      const match = tagPattern.exec(xml);
+      if (!match) {
+        throw new Error(`Invalid XML: malformed tag at offset ${position}`);
+      }
+      position = tagPattern.lastIndex;
+
+      const attributes = {};
+      for (const [, name, doubleQuoted, singleQuoted] of match[2].matchAll(attributePattern)) {
+        attributes[localName(name)] = decodeXml(doubleQuoted ?? singleQuoted);
+      }
+
+      const element = { name: localName(match[1]), attributes, children: [] };
+      parent.children.push(element);
+      if (!match[3]) {
+        stack.push(element);
+      }
+    } else {
+      const end = xml.indexOf('<', position);
+      const text = xml.slice(position, end === -1 ? xml.length : end);
+      parent.children.push(decodeXml(text));
+      position = end === -1 ? xml.length : end;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid XML: unclosed <${stack[stack.length - 1].name}>`);
+  }
+
+  return document;
+}
+
+/**
+ * Get the child elements of an element with a name
+ * @param {Object} element - Parent element
+ * @param {string} name - Element name
+ * @returns {Object[]} Child elements
+ */
+function childElements(element, name) {
+  return element.children.filter(child => typeof child === 'object' && child.name === name);
+}
+
+/**
+ * Get the text of an element, including the text of inline elements
+ * @param {Object} element - Element
+ * @returns {string} Text content
+ */
+function textContent(element) {
+  return element.children
+    .map(child => typeof child === 'string' ? child : textContent(child))
+    .join('');
+}
+
+/**
+ * Read the source and target text of a unit
+ * The text of all segments and ignorables is joined in order.
+ * @param {Object} unit - Unit element
+ * @returns {Object} { source, target } with target null when untranslated
+ */
+function readUnit(unit) {
+  let source = '';
+  let target = '';
+  let translated = false;
+
+  for (const part of unit.children) {
+    if (typeof part !== 'object' || (part.name !== 'segment' && part.name !== 'ignorable')) {
+      continue;
+    }
+
+    const [sourceElement] = childElements(part, 'source');
+    const [targetElement] = childElements(part, 'target');
+    const sourceText = sourceElement ? textContent(sourceElement) : '';
+
+    source += sourceText;
+    if (targetElement) {
+      target += textContent(targetElement);
+      translated = true;
+    } else {
+      target += sourceText;
+    }
+  }
+
+  return { source, target: translated ? target : null };
+}
+
+/**
+ * Read an XLIFF 2.0 document back into translation objects
+ * @param {string} xml - XLIFF document
+ * @returns {Object} { srcLang, trgLang, source, target }, where target only
+ *   holds translated units
+ * @throws {Error} If the document is not XLIFF 2.0
+ */
+export function importXliff(xml) {
+  const [root] = childElements(parseXml(xml), 'xliff');
+  if (!root || !String(root.attributes.version || '').startsWith('2.')) {
+    throw new Error('Invalid XLIFF: expected an XLIFF 2.x document');
+  }
+
+  const readEntries = (element, asArray) => {
+    const source = asArray ? [] : {};
+    const target = asArray ? [] : {};
+
+    for (const child of element.children) {
+      if (typeof child !== 'object') continue;
+      const key = child.attributes.name ?? child.attributes.id;
+
+      if (child.name === 'group') {
+        const entries = readEntries(child, child.attributes.type === ARRAY_TYPE);
+        source[key] = entries.source;
+        if (Object.keys(entries.target).length > 0) {
+          target[key] = entries.target;
+        }
+      } else if (child.name === 'unit') {
+        const unit = readUnit(child);
+        source[key] = unit.source;
+        if (unit.target !== null) {
+          target[key] = unit.target;
+        }
+      }
+    }
+
+    return { source, target };
+  };
+
+  const source = {};
+  const target = {};
+  for (const file of childElements(root, 'file')) {
+    const entries = readEntries(file, false);
+    Object.assign(source, entries.source);
+    Object.assign(target, entries.target);
+  }
+
+  return {
+    srcLang: root.attributes.srcLang || null,
+    trgLang: root.attributes.trgLang || null,
+    source,
+    target
+  };
+}
@@ -0,0 +1,87 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { processFiles } from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const testDir = join(__dirname, 'tmp-concurrency');
+const sourceDir = join(testDir, 'locales');
+const FILE_COUNT = 40;
+const LOCALES = ['en', 'de', 'ru', 'ar'];
+
+/**
+ * Generate a namespace file with interpolation, plurals and contexts
+ */
+function generateNamespace(index) {
+  const translations = {};
+  for (let key = 0; key < 25; key++) {
+    translations[`title${key}`] = `Hello {{name}}, this is namespace ${index}`;
+    translations[`item${key}_one`] = '{{count}} item';
+    translations[`item${key}_other`] = '{{count}} items';
+    translations[`friend${key}`] = 'This is {{name}}';
+    translations[`friend${key}_male`] = 'He is {{name}}';
+    translations[`friend${key}_female`] = 'She is {{name}}';
+    translations[`nested${key}`] = { label: 'Label {{value, number}}' };
+  }
+  return translations;
+}
+
+/**
+ * Convert the generated files, recording the order of progress callbacks
+ */
+async function run(outputDir, options) {
+  const order = [];
+  const results = await processFiles(sourceDir, outputDir, (result, summary) => {
+    order.push([result.inputPath, summary.successful + summary.failed]);
+  }, options);
+  return { results, order };
+}
+
+// Timings are not checked here, see `npm run benchmark`
+describe('Concurrency', () => {
+  before(async () => {
+    for (let index = 0; index < FILE_COUNT; index++) {
+      const locale = LOCALES[index % LOCALES.length];
+      await mkdir(join(sourceDir, locale), { recursive: true });
+      await writeFile(join(sourceDir, locale, `namespace${index}.json`), JSON.stringify(generateNamespace(index)));
+    }
+  });
+
+  after(async () => {
+    await rm(testDir, { recursive: true, force: true });
+  });
+
+  test('concurrent conversion gives the same results in the same order', async () => {
+    const sequential = await run(join(testDir, 'sequential'), {});
+    const concurrent = await run(join(testDir, 'concurrent'), { concurrency: 8 });
+
+    assert.strictEqual(concurrent.results.successful, FILE_COUNT);
+    assert.deepStrictEqual(concurrent.order, sequential.order);
+    assert.deepStrictEqual(
+      concurrent.results.files.map(result => [result.inputPath, result.changes]),
+      sequential.results.files.map(result => [result.inputPath, result.changes])
+    );
+
+    const file = join(LOCALES[1], 'namespace1.json');
+    assert.strictEqual(
+      await readFile(join(testDir, 'concurrent', file), 'utf-8'),
+      await readFile(join(testDir, 'sequential', file), 'utf-8')
+    );
+  });
+
+  test('worker threads give the same results in the same order', async () => {
+    const sequential = await run(join(testDir, 'in-process'), {});
+    const workers = await run(join(testDir, 'workers'), { concurrency: 2, workers: true });
+
+    assert.strictEqual(workers.results.successful, FILE_COUNT);
+    assert.deepStrictEqual(workers.order, sequential.order);
+    assert.deepStrictEqual(
+      workers.results.files.map(result => [result.inputPath, result.changes]),
+      sequential.results.files.map(result => [result.inputPath, result.changes])
+    );
+  });
+});
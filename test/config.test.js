@@ -0,0 +1,84 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { findConfig, formatPathTemplate, loadConfig, matchPathPattern } from '../src/config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const tmpDir = join(__dirname, 'tmp-config');
+
+describe('Config', () => {
+  before(async () => {
+    await mkdir(join(tmpDir, 'rc', 'nested'), { recursive: true });
+    await mkdir(join(tmpDir, 'js'), { recursive: true });
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadConfig', () => {
+    test('finds .i18next2icurc in a parent directory', async () => {
+      await writeFile(join(tmpDir, 'rc', '.i18next2icurc'), 'input: locales\nlocale: de\n');
+
+      assert.strictEqual(await findConfig(join(tmpDir, 'rc', 'nested')), join(tmpDir, 'rc', '.i18next2icurc'));
+    });
+
+    test('resolves paths against the config file directory', async () => {
+      await writeFile(
+        join(tmpDir, 'rc', '.i18next2icurc'),
+        JSON.stringify({ input: ['a/*.json', 'b'], output: 'dist/{locale}.json', locale: 'de', plugins: ['./gender.js', 'i18n-plugin'] })
+      );
+
+      const config = await loadConfig(join(tmpDir, 'rc', '.i18next2icurc'));
+
+      assert.deepStrictEqual(config.input, [join(tmpDir, 'rc', 'a/*.json'), join(tmpDir, 'rc', 'b')]);
+      assert.strictEqual(config.output, join(tmpDir, 'rc', 'dist/{locale}.json'));
+      assert.strictEqual(config.locale, 'de');
+      assert.deepStrictEqual(config.plugins, [join(tmpDir, 'rc', 'gender.js'), 'i18n-plugin']);
+    });
+
+    test('loads i18next2icu.config.js', async () => {
+      const configPath = join(tmpDir, 'js', 'i18next2icu.config.js');
+      await writeFile(configPath, 'export default { pluralHash: true, overrides: { shop: { locale: "fr" } } };\n');
+
+      const config = await loadConfig(configPath);
+
+      assert.strictEqual(config.pluralHash, true);
+      assert.deepStrictEqual(config.overrides, { shop: { locale: 'fr' } });
+      assert.strictEqual(config.configPath, configPath);
+    });
+
+    test('rejects config files without an options object', async () => {
+      const configPath = join(tmpDir, '.i18next2icurc');
+      await writeFile(configPath, '[1, 2]');
+
+      await assert.rejects(loadConfig(configPath), /expected an options object/);
+    });
+  });
+
+  describe('path patterns', () => {
+    test('matches locale and namespace placeholders', () => {
+      assert.deepStrictEqual(
+        matchPathPattern(join('app', 'locales', 'pt_BR', 'common.json'), join('app', 'locales', '{locale}', '{namespace}.json')),
+        { locale: 'pt_BR', namespace: 'common' }
+      );
+      assert.deepStrictEqual(
+        matchPathPattern(join('src', 'a', 'b', 'messages.de.yaml'), join('src', '**', '{namespace}.{locale}.*')),
+        { namespace: 'messages', locale: 'de' }
+      );
+      assert.strictEqual(matchPathPattern(join('other', 'de.json'), join('locales', '{locale}.json')), null);
+    });
+
+    test('fills output path templates', () => {
+      assert.strictEqual(
+        formatPathTemplate('dist/{locale}/{namespace}.json', { locale: 'de', namespace: 'common' }),
+        'dist/de/common.json'
+      );
+      assert.throws(() => formatPathTemplate('dist/{locale}.json', { locale: null }), /No value for \{locale\}/);
+    });
+  });
+});
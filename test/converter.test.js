@@ -1,6 +1,6 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { convertTranslations, convertFile } from '../src/converter.js';
+import { convertTranslations, convertFile, convertMessage, findUnconverted } from '../src/converter.js';
 
 describe('Converter', () => {
   describe('Basic interpolation', () => {
@@ -38,6 +38,111 @@ describe('Converter', () => {
     });
   });
 
+  describe('Formatters', () => {
+    test('converts number formatters', () => {
+      const input = {
+        plain: '{{value, number}}',
+        digits: '{{value, number(minimumFractionDigits: 2)}}',
+        range: '{{value, number(minimumFractionDigits: 1; maximumFractionDigits: 2)}}',
+        percent: '{{value, percent}}'
+      };
+      const expected = {
+        plain: '{value, number}',
+        digits: '{value, number, ::.00#}',
+        range: '{value, number, ::.0#}',
+        percent: '{value, number, percent}'
+      };
+      const result = convertTranslations(input);
+      assert.deepStrictEqual(result, expected);
+    });
+
+    test('scales percentages combined with other options by 100', () => {
+      const result = convertTranslations({
+        share: '{{v, percent(minimumFractionDigits: 1)}}',
+        compact: '{{v, number(style: percent; useGrouping: false)}}'
+      });
+
+      assert.deepStrictEqual(result, {
+        share: '{v, number, ::percent scale/100 .0##}',
+        compact: '{v, number, ::percent scale/100 group-off}'
+      });
+    });
+
+    test('converts currency formatters with a code', () => {
+      const input = {
+        positional: 'Total: {{price, currency(USD)}}',
+        named: 'Total: {{price, currency(currency: eur; currencyDisplay: code)}}'
+      };
+      const expected = {
+        positional: 'Total: {price, number, ::currency/USD}',
+        named: 'Total: {price, number, ::currency/EUR unit-width-iso-code}'
+      };
+      const result = convertTranslations(input);
+      assert.deepStrictEqual(result, expected);
+    });
+
+    test('converts datetime formatters', () => {
+      const input = {
+        plain: '{{d, datetime}}',
+        style: '{{d, datetime(dateStyle: medium)}}',
+        time: '{{d, datetime(timeStyle: short)}}',
+        fields: '{{d, datetime(year: numeric; month: long; day: numeric)}}',
+        clock: '{{d, datetime(hour: numeric; minute: 2-digit; hour12: false)}}'
+      };
+      const expected = {
+        plain: '{d, date, short}',
+        style: '{d, date, medium}',
+        time: '{d, time, short}',
+        fields: '{d, date, ::yMMMMd}',
+        clock: '{d, time, ::Hmm}'
+      };
+      const result = convertTranslations(input);
+      assert.deepStrictEqual(result, expected);
+    });
+
+    test('warns about formatters without an ICU equivalent', () => {
+      const warnings = [];
+      const input = {
+        ago: '{{when, relativetime(quarter)}} ago',
+        names: '{{names, list}}',
+        nested: {
+          shout: '{{name, uppercase}}!'
+        }
+      };
+      const result = convertTranslations(input, {
+        onWarning: (warning) => warnings.push(warning)
+      });
+
+      assert.deepStrictEqual(result, {
+        ago: '{when} ago',
+        names: '{names}',
+        nested: {
+          shout: '{name}!'
+        }
+      });
+      assert.deepStrictEqual(
+        warnings.map(warning => [warning.code, warning.key]),
+        [
+          ['unmapped-formatter', 'ago'],
+          ['unmapped-formatter', 'names'],
+          ['unmapped-formatter', 'nested.shout']
+        ]
+      );
+    });
+
+    test('warns about formatter options it cannot map', () => {
+      const warnings = [];
+      const result = convertTranslations(
+        { total: '{{value, number(minimumIntegerDigits: 3)}}' },
+        { onWarning: (warning) => warnings.push(warning) }
+      );
+
+      assert.strictEqual(result.total, '{value, number}');
+      assert.strictEqual(warnings.length, 1);
+      assert.match(warnings[0].message, /minimumIntegerDigits/);
+    });
+  });
+
   describe('Plural forms', () => {
     test('converts basic plural forms', () => {
       const input = {
@@ -54,6 +159,20 @@ describe('Converter', () => {
       assert.ok(result.item.includes('other{{count} items}'));
     });
 
+    test('keeps plurals and contexts at the place of their first form', () => {
+      const result = convertTranslations({
+        title: 'Cart',
+        item_one: '{{count}} item',
+        note: 'Note',
+        item_other: '{{count}} items',
+        friend_male: 'He',
+        friend: 'A friend',
+        footer: 'Footer'
+      }, { contexts: ['male'] });
+
+      assert.deepStrictEqual(Object.keys(result), ['title', 'item', 'note', 'friend', 'footer']);
+    });
+
     test('converts plurals with all forms', () => {
       const input = {
         message_zero: 'zero',
@@ -73,6 +192,614 @@ describe('Converter', () => {
       assert.ok(result.message.includes('many{many}'));
       assert.ok(result.message.includes('other{other}'));
     });
+
+    test('converts a form that is only a variable', () => {
+      const input = {
+        item_one: '{{count}}',
+        item_other: '{{count}} items'
+      };
+      const result = convertTranslations(input);
+
+      assert.strictEqual(result.item, '{count, plural, one{{count}} other{{count} items}}');
+    });
+  });
+
+  describe('Locale-aware plurals', () => {
+    test('keeps zero as a CLDR category where the locale has one', () => {
+      const input = {
+        item_zero: 'zero',
+        item_one: 'one',
+        item_two: 'two',
+        item_few: 'few',
+        item_many: 'many',
+        item_other: 'other'
+      };
+      const result = convertTranslations(input, { locale: 'ar' });
+
+      assert.strictEqual(
+        result.item,
+        '{count, plural, zero{zero} one{one} two{two} few{few} many{many} other{other}}'
+      );
+    });
+
+    test('maps zero to =0 where the locale has no zero category', () => {
+      const input = {
+        item_zero: 'No items',
+        item_one: 'One item',
+        item_other: 'Items'
+      };
+      const result = convertTranslations(input, { locale: 'en' });
+
+      assert.strictEqual(result.item, '{count, plural, =0{No items} one{One item} other{Items}}');
+    });
+
+    test('warns about missing and unused categories', () => {
+      const warnings = [];
+      const onWarning = (warning) => warnings.push(warning);
+
+      convertTranslations({ item_one: 'one', item_other: 'other' }, { locale: 'ru', onWarning });
+      convertTranslations({ item_one: 'one', item_other: 'other' }, { locale: 'ja', onWarning });
+
+      assert.deepStrictEqual(
+        warnings.map(warning => [warning.code, warning.message]),
+        [
+          ['missing-plural-category', 'Missing plural forms required by "ru": few, many'],
+          ['unused-plural-category', 'Plural forms not used by "ja": one']
+        ]
+      );
+    });
+
+    test('validates ordinal forms against ordinal rules', () => {
+      const warnings = [];
+      convertTranslations(
+        { place_ordinal_one: '1st', place_ordinal_other: 'nth' },
+        { locale: 'en', onWarning: (warning) => warnings.push(warning) }
+      );
+
+      assert.strictEqual(warnings.length, 1);
+      assert.strictEqual(warnings[0].message, 'Missing ordinal forms required by "en": two, few');
+    });
+
+    test('always adds an other branch', () => {
+      const warnings = [];
+      const input = {
+        item_one: 'one',
+        item_few: 'few',
+        item_many: 'many'
+      };
+      const result = convertTranslations(input, {
+        onWarning: (warning) => warnings.push(warning)
+      });
+
+      assert.strictEqual(result.item, '{count, plural, one{one} few{few} many{many} other{many}}');
+      assert.strictEqual(warnings[0].code, 'missing-plural-other');
+    });
+
+    test('rejects unknown locales', () => {
+      assert.throws(
+        () => convertTranslations({}, { locale: 'not a locale' }),
+        { message: /Unknown locale/ }
+      );
+    });
+  });
+
+  describe('Key collisions', () => {
+    const input = {
+      item: 'An item',
+      item_one: '{{count}} item',
+      item_other: '{{count}} items',
+      nav: { link: { home: 'Home' }, link_one: 'One link', link_other: 'Links' }
+    };
+
+    test('renames groups whose key is taken and reports both key paths', () => {
+      const warnings = [];
+      const result = convertTranslations(input, { onWarning: (warning) => warnings.push(warning) });
+
+      assert.deepStrictEqual(result, {
+        item: 'An item',
+        item_icu: '{count, plural, one{{count} item} other{{count} items}}',
+        nav: { link: { home: 'Home' }, link_icu: '{count, plural, one{One link} other{Links}}' }
+      });
+      assert.deepStrictEqual(warnings, [
+        {
+          code: 'key-collision',
+          key: 'item',
+          message: 'item_one, item_other group into "item", which already exists; the group was written as "item_icu"'
+        },
+        {
+          code: 'key-collision',
+          key: 'nav.link',
+          message: 'nav.link_one, nav.link_other group into "nav.link", which holds nested keys; the group was written as "nav.link_icu"'
+        }
+      ]);
+    });
+
+    test('uses the collision suffix and keeps renamed keys unique', () => {
+      const result = convertTranslations(
+        { item: 'An item', item_count: 'Taken', item_one: 'One', item_other: 'Many' },
+        { contexts: false, collisionSuffix: '_count' }
+      );
+
+      assert.deepStrictEqual(Object.keys(result), ['item', 'item_count', 'item_count2']);
+    });
+
+    test('keeps the forms as separate keys with keep-original', () => {
+      const warnings = [];
+      const result = convertTranslations(input, {
+        collisions: 'keep-original',
+        onWarning: (warning) => warnings.push(warning)
+      });
+
+      assert.deepStrictEqual(result, {
+        item: 'An item',
+        item_one: '{count} item',
+        item_other: '{count} items',
+        nav: { link: { home: 'Home' }, link_one: 'One link', link_other: 'Links' }
+      });
+      assert.strictEqual(warnings[0].message, 'item_one, item_other group into "item", which already exists; the forms were kept as separate keys');
+    });
+
+    test('fails with the error strategy', () => {
+      assert.throws(
+        () => convertTranslations(input, { collisions: 'error' }),
+        /Key collision: item_one, item_other group into "item", which already exists/
+      );
+      assert.throws(() => convertTranslations(input, { collisions: 'merge' }), /Unknown collisions strategy: merge/);
+    });
+
+    test('uses a bare key next to context variants as the default branch', () => {
+      const warnings = [];
+      const result = convertTranslations(
+        { friend: 'A friend', friend_male: 'A boyfriend' },
+        { contexts: ['male'], collisions: 'error', onWarning: (warning) => warnings.push(warning) }
+      );
+
+      assert.strictEqual(result.friend, '{context, select, male{A boyfriend} other{A friend}}');
+      assert.deepStrictEqual(warnings, []);
+    });
+  });
+
+  describe('Plural variable', () => {
+    test('writes the plural variable as # when enabled', () => {
+      const input = {
+        item_one: '{{count}} item',
+        item_other: '{{count}} items for {{name}}'
+      };
+      const result = convertTranslations(input, { pluralHash: true });
+
+      assert.strictEqual(result.item, '{count, plural, one{# item} other{# items for {name}}}');
+    });
+
+    test('keeps formatted plural variables as arguments', () => {
+      const input = {
+        item_one: '{{count}} item',
+        item_other: '{{count, number}} items'
+      };
+      const result = convertTranslations(input, { pluralHash: true });
+
+      assert.strictEqual(result.item, '{count, plural, one{# item} other{{count, number} items}}');
+    });
+
+    test('infers a custom plural variable from the forms', () => {
+      const input = {
+        seat_one: '{{seats}} seat left',
+        seat_other: '{{seats}} seats left'
+      };
+      const result = convertTranslations(input);
+
+      assert.strictEqual(result.seat, '{seats, plural, one{{seats} seat left} other{{seats} seats left}}');
+    });
+
+    test('infers the variable the other form adds', () => {
+      const warnings = [];
+      const result = convertTranslations({
+        msg_one: '{{name}} has one message',
+        msg_other: '{{name}} has {{n}} messages'
+      }, { onWarning: (warning) => warnings.push(warning) });
+
+      assert.strictEqual(result.msg, '{n, plural, one{{name} has one message} other{{name} has {n} messages}}');
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    test('falls back to count with a warning when the variable is ambiguous', () => {
+      const warnings = [];
+      const input = {
+        item_one: '{{n}} item in {{cart}}',
+        item_other: '{{n}} items in {{cart}}'
+      };
+      const result = convertTranslations(input, { onWarning: (warning) => warnings.push(warning) });
+
+      assert.ok(result.item.startsWith('{count, plural,'));
+      assert.deepStrictEqual(warnings.map(warning => [warning.code, warning.key]), [['ambiguous-plural-variable', 'item']]);
+    });
+
+    test('uses a configured plural variable per key', () => {
+      const input = {
+        item_one: '{{a}} of {{b}}',
+        item_other: '{{a}} of {{b}}',
+        other_one: 'one',
+        other_other: 'other'
+      };
+      const result = convertTranslations(input, {
+        pluralVariable: { item: 'b' },
+        pluralHash: true
+      });
+
+      assert.strictEqual(result.item, '{b, plural, one{{a} of #} other{{a} of #}}');
+      assert.strictEqual(result.other, '{count, plural, one{one} other{other}}');
+    });
+
+    test('uses a configured plural variable for all keys', () => {
+      const input = {
+        item_one: 'one',
+        item_other: 'other'
+      };
+      const result = convertTranslations(input, { pluralVariable: 'n' });
+
+      assert.strictEqual(result.item, '{n, plural, one{one} other{other}}');
+    });
+  });
+
+  describe('Legacy v3 plurals', () => {
+    test('converts key and key_plural', () => {
+      const result = convertTranslations({
+        item: '{{count}} item',
+        item_plural: '{{count}} items',
+        title: 'Title'
+      });
+
+      assert.deepStrictEqual(result, {
+        item: '{count, plural, one{{count} item} other{{count} items}}',
+        title: 'Title'
+      });
+    });
+
+    test('converts context variants with key_plural', () => {
+      const result = convertTranslations({
+        friend: 'A friend',
+        friend_plural: '{{count}} friends',
+        friend_male: 'A boyfriend',
+        friend_male_plural: '{{count}} boyfriends'
+      }, { contexts: ['male'] });
+
+      assert.strictEqual(
+        result.friend,
+        '{context, select, male{{count, plural, one{A boyfriend} other{{count} boyfriends}}} other{{count, plural, one{A friend} other{{count} friends}}}}'
+      );
+    });
+
+    test('maps numeric suffixes to the CLDR categories of the locale', () => {
+      const result = convertTranslations({
+        item_0: '{{count}} яблоко',
+        item_1: '{{count}} яблока',
+        item_2: '{{count}} яблок'
+      }, { locale: 'ru' });
+
+      assert.strictEqual(
+        result.item,
+        '{count, plural, one{{count} яблоко} few{{count} яблока} many{{count} яблок} other{{count} яблок}}'
+      );
+    });
+
+    test('uses all six Arabic categories', () => {
+      const input = Object.fromEntries(['0', '1', '2', '3', '4', '5'].map(index => [`item_${index}`, index]));
+      const result = convertTranslations(input, { locale: 'ar' });
+
+      assert.strictEqual(result.item, '{count, plural, zero{0} one{1} two{2} few{3} many{4} other{5}}');
+    });
+
+    test('keeps numeric suffixes without a locale', () => {
+      const warnings = [];
+      const input = { item_0: 'one', item_1: 'many' };
+      const result = convertTranslations(input, { compatibilityJSON: 'v3', onWarning: (warning) => warnings.push(warning) });
+
+      assert.deepStrictEqual(result, input);
+      assert.deepStrictEqual(warnings.map(warning => warning.code), ['missing-locale', 'missing-locale']);
+    });
+
+    test('does not read numeric suffixes out of range for the locale as plurals', () => {
+      const warnings = [];
+      const input = { step_0: 'Start', step_1: 'Next', step_2: 'Done' };
+
+      assert.deepStrictEqual(convertTranslations(input, { locale: 'en', onWarning: (warning) => warnings.push(warning) }), input);
+      assert.deepStrictEqual(convertTranslations({ step_0: 'Start', step_1: 'Next' }), { step_0: 'Start', step_1: 'Next' });
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    test('keeps numeric keys out of range in files with v3 plurals', () => {
+      const warnings = [];
+      const result = convertTranslations({
+        item: 'item',
+        item_plural: 'items',
+        step_0: 'Start',
+        step_1: 'Next',
+        step_2: 'Done'
+      }, { locale: 'en', onWarning: (warning) => warnings.push(warning) });
+
+      assert.deepStrictEqual(result, {
+        item: '{count, plural, one{item} other{items}}',
+        step_0: 'Start',
+        step_1: 'Next',
+        step_2: 'Done'
+      });
+      assert.deepStrictEqual(warnings.map(warning => [warning.code, warning.key]), [
+        ['legacy-plural-detected', 'item'],
+        ['legacy-plural-detected', 'item_plural'],
+        ['unmapped-plural-index', 'step_2']
+      ]);
+    });
+
+    test('leaves numbered keys alone in locales with two plural categories', () => {
+      const input = { step_0: 'Open the app', step_1: 'Sign in' };
+
+      assert.deepStrictEqual(convertTranslations(input, { locale: 'en' }), input);
+      assert.deepStrictEqual(
+        convertTranslations(input, { locale: 'en', compatibilityJSON: 'v3' }),
+        { step: '{count, plural, one{Open the app} other{Sign in}}' }
+      );
+    });
+
+    test('warns about every key read as a detected v3 plural', () => {
+      const warnings = [];
+      const options = {
+        locale: 'ru',
+        onWarning: (warning) => warning.code === 'legacy-plural-detected' && warnings.push(warning)
+      };
+      const input = { item_0: '{{count}} яблоко', item_1: '{{count}} яблока', item_2: '{{count}} яблок' };
+
+      convertTranslations(input, options);
+      assert.deepStrictEqual(warnings.map(warning => [warning.code, warning.key]), [
+        ['legacy-plural-detected', 'item_0'],
+        ['legacy-plural-detected', 'item_1'],
+        ['legacy-plural-detected', 'item_2']
+      ]);
+      assert.strictEqual(
+        warnings[0].message,
+        'Detected v3 plural key "item_0" read as "item_one"; set compatibilityJSON to "v4" to keep it as it is'
+      );
+
+      warnings.length = 0;
+      convertTranslations(input, { ...options, compatibilityJSON: 'v3' });
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    test('is not detected in files with v4 plurals', () => {
+      const result = convertTranslations({ step_0: 'Start', step_1: 'Next', item_one: 'item', item_other: 'items' }, { locale: 'en' });
+
+      assert.strictEqual(result.step_0, 'Start');
+      assert.strictEqual(result.step_1, 'Next');
+    });
+
+    test('can be selected with compatibilityJSON', () => {
+      assert.deepStrictEqual(
+        convertTranslations({ item_0: '{{count}} 個' }, { locale: 'ja', compatibilityJSON: 'v3' }),
+        { item: '{count, plural, other{{count} 個}}' }
+      );
+      assert.deepStrictEqual(
+        convertTranslations({ item: 'item', item_plural: 'items' }, { compatibilityJSON: 'v4', contexts: false }),
+        { item: 'item', item_plural: 'items' }
+      );
+    });
+  });
+
+  describe('Ordinal plurals', () => {
+    test('converts ordinal forms to selectordinal under the base key', () => {
+      const input = {
+        place_ordinal_one: '{{count}}st place',
+        place_ordinal_two: '{{count}}nd place',
+        place_ordinal_few: '{{count}}rd place',
+        place_ordinal_other: '{{count}}th place'
+      };
+      const expected = {
+        place: '{count, selectordinal, one{{count}st place} two{{count}nd place} ' +
+          'few{{count}rd place} other{{count}th place}}'
+      };
+      const result = convertTranslations(input);
+      assert.deepStrictEqual(result, expected);
+    });
+
+    test('keeps cardinal and ordinal forms of the same key apart', () => {
+      const input = {
+        place_one: '{{count}} place',
+        place_other: '{{count}} places',
+        place_ordinal_one: '{{count}}st',
+        place_ordinal_other: '{{count}}th'
+      };
+      const expected = {
+        place: '{count, plural, one{{count} place} other{{count} places}}',
+        place_ordinal: '{count, selectordinal, one{{count}st} other{{count}th}}'
+      };
+      const result = convertTranslations(input);
+      assert.deepStrictEqual(result, expected);
+    });
+
+    test('nests ordinal forms inside context branches', () => {
+      const input = {
+        rank_ordinal_one: '{{count}}st',
+        rank_ordinal_other: '{{count}}th',
+        rank_male_ordinal_one: 'He is {{count}}st',
+        rank_male_ordinal_other: 'He is {{count}}th'
+      };
+      const result = convertTranslations(input, { contexts: ['male'] });
+
+      assert.strictEqual(
+        result.rank,
+        '{context, select, ' +
+          'male{{count, selectordinal, one{He is {count}st} other{He is {count}th}}} ' +
+          'other{{count, selectordinal, one{{count}st} other{{count}th}}}}'
+      );
+    });
+  });
+
+  describe('Context variants', () => {
+    test('groups context variants into a select with the bare key as other', () => {
+      const input = {
+        friend: 'A friend',
+        friend_male: 'A boyfriend',
+        friend_female: 'A girlfriend'
+      };
+      const expected = {
+        friend: '{context, select, male{A boyfriend} female{A girlfriend} other{A friend}}'
+      };
+      const result = convertTranslations(input, { contexts: ['male', 'female'] });
+      assert.deepStrictEqual(result, expected);
+    });
+
+    test('nests plurals inside context branches', () => {
+      const input = {
+        friend_one: '{{count}} friend',
+        friend_other: '{{count}} friends',
+        friend_male_one: '{{count}} boyfriend',
+        friend_male_other: '{{count}} boyfriends'
+      };
+      const result = convertTranslations(input, { contexts: ['male'] });
+
+      assert.strictEqual(
+        result.friend,
+        '{context, select, ' +
+          'male{{count, plural, one{{count} boyfriend} other{{count} boyfriends}}} ' +
+          'other{{count, plural, one{{count} friend} other{{count} friends}}}}'
+      );
+    });
+
+    test('applies context values detected elsewhere in the file', () => {
+      const warnings = [];
+      const input = {
+        friend: 'A friend',
+        friend_male: 'A boyfriend',
+        friend_female: 'A girlfriend',
+        nested: {
+          partner_male: 'His partner'
+        }
+      };
+      const result = convertTranslations(input, {
+        contexts: 'auto',
+        onWarning: (warning) => warnings.push(warning)
+      });
+
+      assert.strictEqual(result.nested.partner, '{context, select, male{His partner} other{}}');
+      assert.deepStrictEqual(warnings.map(warning => [warning.code, warning.key]), [
+        ['context-merged', 'friend_male'],
+        ['context-merged', 'friend_female'],
+        ['context-merged', 'nested.partner_male'],
+        ['missing-context-default', 'nested.partner']
+      ]);
+    });
+
+    test('uses configured context values only', () => {
+      const input = {
+        button: 'Button',
+        button_save: 'Save',
+        title_formal: 'Dear {{name}}'
+      };
+      const result = convertTranslations(input, { contexts: ['formal'] });
+
+      assert.strictEqual(result.button, 'Button');
+      assert.strictEqual(result.button_save, 'Save');
+      assert.strictEqual(result.title, '{context, select, formal{Dear {name}} other{}}');
+    });
+
+    test('leaves context keys alone when disabled', () => {
+      const input = {
+        friend: 'A friend',
+        friend_male: 'A boyfriend'
+      };
+      const result = convertTranslations(input, { contexts: false });
+      assert.deepStrictEqual(result, input);
+    });
+
+    test('keeps suffixed keys as they are by default', () => {
+      const input = {
+        title: 'Title',
+        title_short: 'Short title',
+        label: 'Label',
+        label_short: 'Short label',
+        label_long: 'Long label'
+      };
+
+      assert.deepStrictEqual(convertTranslations(input), input);
+    });
+
+    test('detects families of suffixed keys and warns about merged keys', () => {
+      const warnings = [];
+      const result = convertTranslations({
+        friend: 'A friend',
+        friend_male: 'A boyfriend',
+        partner: 'A partner',
+        partner_male: 'Her partner'
+      }, { contexts: 'auto', onWarning: (warning) => warnings.push(warning) });
+
+      assert.deepStrictEqual(result, {
+        friend: '{context, select, male{A boyfriend} other{A friend}}',
+        partner: '{context, select, male{Her partner} other{A partner}}'
+      });
+      assert.deepStrictEqual(warnings.map(warning => [warning.code, warning.key]), [
+        ['context-merged', 'friend_male'],
+        ['context-merged', 'partner_male']
+      ]);
+      assert.strictEqual(
+        warnings[0].message,
+        'Detected context "male" merged into "friend", the key is removed; set contexts to choose the context values'
+      );
+    });
+
+    test('groups every variant of a detected key', () => {
+      assert.deepStrictEqual(convertTranslations({
+        friend: 'A friend',
+        friend_male: 'A boyfriend',
+        friend_female: 'A girlfriend'
+      }, { contexts: 'auto' }), {
+        friend: '{context, select, male{A boyfriend} female{A girlfriend} other{A friend}}'
+      });
+
+      assert.deepStrictEqual(convertTranslations({
+        friend: 'A friend',
+        friend_male: 'A boyfriend',
+        friend_female: 'A girlfriend',
+        partner: 'A partner',
+        partner_male: 'Her partner'
+      }, { contexts: 'auto' }), {
+        friend: '{context, select, male{A boyfriend} female{A girlfriend} other{A friend}}',
+        partner: '{context, select, male{Her partner} other{A partner}}'
+      });
+    });
+
+    test('keeps snake_case keys that are not contexts', () => {
+      const input = {
+        email: 'Email',
+        email_placeholder: 'you@example.com',
+        save: 'Save',
+        save_changes: 'Save changes',
+        item_one: '{{count}} item',
+        item_other: '{{count}} items',
+        item_count: 'Count'
+      };
+      const warnings = [];
+      const result = convertTranslations(input, { contexts: 'auto', onWarning: (warning) => warnings.push(warning) });
+
+      assert.deepStrictEqual(result, {
+        email: 'Email',
+        email_placeholder: 'you@example.com',
+        save: 'Save',
+        save_changes: 'Save changes',
+        item: '{count, plural, one{{count} item} other{{count} items}}',
+        item_count: 'Count'
+      });
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    test('does not group key families with a suffix that cannot be a context', () => {
+      const input = {
+        email: 'Email',
+        email_label: 'Your email',
+        email_hint: 'We never share it',
+        name: 'Name',
+        name_hint: 'Your full name',
+        form: { label: 'Form' }
+      };
+
+      assert.deepStrictEqual(convertTranslations(input, { contexts: 'auto' }), input);
+    });
   });
 
   describe('Nested objects', () => {
@@ -131,6 +858,177 @@ describe('Converter', () => {
     });
   });
 
+  describe('Interpolation options', () => {
+    test('strips the unescape marker', () => {
+      const result = convertTranslations({
+        html: 'Read {{- link}} now',
+        price: '{{-amount, number}}'
+      });
+
+      assert.deepStrictEqual(result, { html: 'Read {link} now', price: '{amount, number}' });
+    });
+
+    test('uses a custom prefix and suffix', () => {
+      const result = convertTranslations(
+        {
+          greeting: 'Hello __name__, {{not a variable}}',
+          item_one: '__count__ item',
+          item_other: '__count__ items'
+        },
+        { interpolation: { prefix: '__', suffix: '__' } }
+      );
+
+      assert.deepStrictEqual(result, {
+        greeting: "Hello {name}, '{{not a variable}}'",
+        item: '{count, plural, one{{count} item} other{{count} items}}'
+      });
+    });
+
+    test('uses a custom unescape suffix', () => {
+      const result = convertTranslations(
+        { html: '{{link -}}' },
+        { interpolation: { unescapeSuffix: '-' } }
+      );
+
+      assert.deepStrictEqual(result, { html: '{link}' });
+    });
+
+    test('uses custom nesting delimiters', () => {
+      const result = convertTranslations(
+        { name: 'Ada', greeting: 'Hi $nest(name), see $t(name)' },
+        { interpolation: { nestingPrefix: '$nest(', nestingSuffix: ')' }, nesting: 'inline' }
+      );
+
+      assert.strictEqual(result.greeting, 'Hi Ada, see $t(name)');
+    });
+
+    test('rejects empty delimiters', () => {
+      assert.throws(
+        () => convertTranslations({}, { interpolation: { prefix: '' } }),
+        /Invalid interpolation prefix/
+      );
+    });
+  });
+
+  describe('Flat keys', () => {
+    test('groups plurals and contexts under flat keys', () => {
+      const result = convertTranslations({
+        'cart.item_one': '{{count}} item',
+        'cart.item_other': '{{count}} items',
+        'user.friend': 'A friend',
+        'user.friend_male': 'A boyfriend'
+      }, { contexts: ['male'] });
+
+      assert.deepStrictEqual(result, {
+        'cart.item': '{count, plural, one{{count} item} other{{count} items}}',
+        'user.friend': '{context, select, male{A boyfriend} other{A friend}}'
+      });
+    });
+
+    test('resolves references to flat and partly flat keys', () => {
+      const result = convertTranslations({
+        'user.profile': { name: 'Ada' },
+        settings: { 'title.short': 'Settings' },
+        greeting: '$t(user.profile.name) in $t(settings.title.short)'
+      }, { nesting: 'inline' });
+
+      assert.strictEqual(result.greeting, 'Ada in Settings');
+    });
+
+    test('uses a custom key separator for references and key paths', () => {
+      const warnings = [];
+      const result = convertTranslations({
+        user: { name: 'Ada', missing: '$t(user|unknown)' },
+        greeting: 'Hi $t(user|name)'
+      }, { nesting: 'inline', keySeparator: '|', onWarning: (warning) => warnings.push(warning) });
+
+      assert.strictEqual(result.greeting, 'Hi Ada');
+      assert.deepStrictEqual(warnings.map(warning => warning.key), ['user|missing']);
+    });
+
+    test('does not split references without a key separator', () => {
+      const result = convertTranslations({
+        'user.name': 'Ada',
+        user: { name: 'Nested' },
+        greeting: '$t(user.name)'
+      }, { nesting: 'inline', keySeparator: false });
+
+      assert.strictEqual(result.greeting, 'Ada');
+    });
+
+    test('flattens the output', () => {
+      const result = convertTranslations({
+        user: { item_one: '{{count}} item', item_other: '{{count}} items', name: '{{name}}' }
+      }, { outputStructure: 'flat' });
+
+      assert.deepStrictEqual(result, {
+        'user.name': '{name}',
+        'user.item': '{count, plural, one{{count} item} other{{count} items}}'
+      });
+    });
+
+    test('unflattens the output with a custom separator', () => {
+      const result = convertTranslations(
+        { 'user:name': '{{name}}', 'user:title': 'Title' },
+        { outputStructure: 'nested', outputKeySeparator: ':' }
+      );
+
+      assert.deepStrictEqual(result, { user: { name: '{name}', title: 'Title' } });
+    });
+
+    test('reports key collisions', () => {
+      const warnings = [];
+      const result = convertTranslations(
+        { 'user.name': 'Flat', user: { name: 'Nested' } },
+        { outputStructure: 'flat', onWarning: (warning) => warnings.push(warning) }
+      );
+
+      assert.deepStrictEqual(result, { 'user.name': 'Flat' });
+      assert.deepStrictEqual(warnings.map(warning => [warning.code, warning.key]), [['key-collision', 'user.name']]);
+    });
+  });
+
+  describe('Arrays', () => {
+    test('converts strings inside arrays', () => {
+      const result = convertTranslations({
+        steps: ['Open {{app}}', 'Click $t(buttons.save)', 'Done'],
+        buttons: { save: 'Save' }
+      });
+
+      assert.deepStrictEqual(result.steps, ['Open {app}', 'Click [REF:buttons.save]', 'Done']);
+    });
+
+    test('converts objects and plurals nested in arrays', () => {
+      const result = convertTranslations({
+        tips: [
+          { title: 'Tip for {{name}}', hint_one: '{{count}} hint', hint_other: '{{count}} hints' },
+          ['{{nested}}']
+        ]
+      });
+
+      assert.deepStrictEqual(result.tips, [
+        { title: 'Tip for {name}', hint: '{count, plural, one{{count} hint} other{{count} hints}}' },
+        ['{nested}']
+      ]);
+    });
+
+    test('flattens arrays into index keys', () => {
+      const result = convertTranslations(
+        { steps: ['First {{x}}', ['Nested']] },
+        { flattenArrays: true }
+      );
+
+      assert.deepStrictEqual(result, { steps: { 0: 'First {x}', 1: { 0: 'Nested' } } });
+    });
+
+    test('reports array items with their index in the key path', () => {
+      const errors = [];
+      convertTranslations({ steps: ['ok', '{{first name}}'] }, { onError: (error) => errors.push(error) });
+
+      assert.strictEqual(errors[0].key, 'steps.1');
+    });
+  });
+
   describe('Mixed content', () => {
     test('handles mix of regular keys and plurals', () => {
       const input = {
@@ -159,6 +1057,359 @@ describe('Converter', () => {
       const result = convertTranslations(input);
       assert.deepStrictEqual(result, expected);
     });
+
+    test('rejects unknown nesting modes', () => {
+      assert.throws(() => convertTranslations({ nested: '$t(other)' }, { nesting: 'inlined' }), /Unknown nesting mode: inlined/);
+    });
+  });
+
+  describe('Inline nesting', () => {
+    const inline = (input, options = {}) => {
+      const warnings = [];
+      const result = convertTranslations(input, {
+        nesting: 'inline',
+        onWarning: (warning) => warnings.push(warning),
+        ...options
+      });
+      return { result, warnings };
+    };
+
+    test('inlines referenced messages by dotted path', () => {
+      const { result, warnings } = inline({
+        app: { name: 'MyApp' },
+        title: 'Welcome to $t(app.name), {{user}}'
+      });
+
+      assert.strictEqual(result.title, 'Welcome to MyApp, {user}');
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    test('maps variables passed in $t() options', () => {
+      const { result } = inline({
+        item_one: '{{count}} item',
+        item_other: '{{count}} items',
+        fullName: '{{first}} {{last}}',
+        cart: 'Cart: $t(item, {"count": {{total}}})',
+        greeting: 'Hi $t(fullName, {"first": {{name}}, "last": "Doe"})'
+      });
+
+      assert.strictEqual(result.cart, 'Cart: {total, plural, one{{total} item} other{{total} items}}');
+      assert.strictEqual(result.greeting, 'Hi {name} Doe');
+    });
+
+    test('picks the variant for a fixed context', () => {
+      const { result } = inline({
+        friend: 'a friend',
+        friend_male: 'a boyfriend',
+        intro: 'Meet $t(friend, {"context": "male"})'
+      }, { contexts: ['male'] });
+
+      assert.strictEqual(result.intro, 'Meet a boyfriend');
+    });
+
+    test('resolves ns:key references against other namespaces', () => {
+      const { result } = inline(
+        {
+          own: '$t(main:label)',
+          shared: '$t(common:button.save)'
+        },
+        {
+          namespace: 'main',
+          namespaces: { common: { button: { save: 'Save' } } }
+        }
+      );
+
+      assert.strictEqual(result.shared, 'Save');
+      assert.ok(result.own.startsWith('[REF:'));
+    });
+
+    test('detects reference cycles', () => {
+      const { result, warnings } = inline({
+        a: 'A $t(b)',
+        b: 'B $t(a)'
+      });
+
+      assert.strictEqual(result.a, 'A B [REF:a]');
+      assert.strictEqual(warnings[0].code, 'nesting-cycle');
+      assert.strictEqual(warnings[0].key, 'a');
+      assert.strictEqual(warnings[0].message, 'Reference cycle: a → b → a');
+    });
+
+    test('reports references it cannot resolve', () => {
+      const { result, warnings } = inline({
+        missing: 'See $t(does.not.exist)',
+        unknownNamespace: '$t(other:key)'
+      });
+
+      assert.strictEqual(result.missing, 'See [REF:does.not.exist]');
+      assert.strictEqual(result.unknownNamespace, '[REF:other:key]');
+      assert.deepStrictEqual(
+        warnings.map(warning => [warning.code, warning.key]),
+        [
+          ['unresolved-reference', 'missing'],
+          ['unresolved-reference', 'unknownNamespace']
+        ]
+      );
+    });
+  });
+
+  describe('ICU escaping', () => {
+    test('quotes literal braces', () => {
+      const input = {
+        message: "Don't lose {this} now",
+        single: 'Use { to open'
+      };
+      const expected = {
+        message: "Don't lose '{this}' now",
+        single: "Use '{' to open"
+      };
+      const result = convertTranslations(input);
+      assert.deepStrictEqual(result, expected);
+    });
+
+    test('leaves apostrophes before ordinary characters alone', () => {
+      const input = {
+        message: "We're glad you're here, {{name}}"
+      };
+      const result = convertTranslations(input);
+      assert.strictEqual(result.message, "We're glad you're here, {name}");
+    });
+
+    test('doubles apostrophes that ICU would read as quotes', () => {
+      const input = {
+        quotedVariable: "'{{name}}'",
+        doubled: "Rock ''n'' roll",
+        beforeBrace: "it'{x}"
+      };
+      const expected = {
+        quotedVariable: "''{name}''",
+        doubled: "Rock '''n''' roll",
+        beforeBrace: "it'''{x}'"
+      };
+      const result = convertTranslations(input);
+      assert.deepStrictEqual(result, expected);
+    });
+
+    test('quotes # inside plural branches only', () => {
+      const input = {
+        hashtag: 'Follow #news',
+        rank_one: '#{{count}} place',
+        rank_other: '#{{count}} places'
+      };
+      const result = convertTranslations(input);
+
+      assert.strictEqual(result.hashtag, 'Follow #news');
+      assert.strictEqual(result.rank, "{count, plural, one{'#'{count} place} other{'#'{count} places}}");
+    });
+
+    test('escapes placeholders of unresolved references', () => {
+      const input = {
+        nested: 'Total: $t(item, {"count": {{n}}})'
+      };
+      const result = convertTranslations(input);
+      assert.strictEqual(result.nested, `Total: [REF:item, '{"count": {{n}}}']`);
+    });
+  });
+
+  describe('Validation', () => {
+    test('reports converted values that are not valid ICU', () => {
+      const errors = [];
+      const result = convertTranslations(
+        { nav: { greeting: 'Hi {{first name}}' } },
+        { onError: (error) => errors.push(error) }
+      );
+
+      assert.deepStrictEqual(result, { nav: { greeting: 'Hi {first name}' } });
+      assert.deepStrictEqual(errors, [{
+        code: 'invalid-icu',
+        key: 'nav.greeting',
+        offset: 10,
+        message: 'Expected "," but found "n"'
+      }]);
+    });
+
+    test('accepts everything the converter produces from valid input', () => {
+      const errors = [];
+      convertTranslations({
+        text: "Don't {{verb}} {this} #1",
+        item_one: '#{{count}} item',
+        item_other: '{{count}} items',
+        friend: 'A friend',
+        friend_male: 'A boyfriend',
+        price: '{{value, currency(EUR)}}',
+        link: '$t(missing)'
+      }, { onError: (error) => errors.push(error) });
+
+      assert.deepStrictEqual(errors, []);
+    });
+  });
+
+  describe('Diagnostics', () => {
+    test('reports every transformation per key', () => {
+      const diagnostics = [];
+      convertTranslations({
+        item_one: '{{count}} item',
+        item_other: '{{count}} items',
+        friend: 'A friend',
+        friend_male: 'A boyfriend',
+        price: '{{value, currency(EUR)}}',
+        link: 'See $t(item)',
+        plain: 'Hello {{name}}'
+      }, { contexts: ['male'], onDiagnostic: (diagnostic) => diagnostics.push(diagnostic) });
+
+      assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.key]), [
+        ['plural-grouped', 'item'],
+        ['context-grouped', 'friend'],
+        ['formatter-mapped', 'price'],
+        ['reference-left', 'link']
+      ]);
+      assert.strictEqual(diagnostics[0].message, 'Forms one, other grouped into {count, plural}');
+    });
+
+    test('reports inlined references and upgraded v3 plurals', () => {
+      const diagnostics = [];
+      convertTranslations({
+        item: '{{count}} item',
+        item_plural: '{{count}} items',
+        title: '$t(name)',
+        name: 'Shop'
+      }, { nesting: 'inline', onDiagnostic: (diagnostic) => diagnostics.push(diagnostic) });
+
+      assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.key]), [
+        ['legacy-plural-upgraded', 'item'],
+        ['legacy-plural-upgraded', 'item_plural'],
+        ['plural-grouped', 'item'],
+        ['reference-inlined', 'title']
+      ]);
+    });
+
+    test('warns about delimiters left as literal text', () => {
+      const warnings = [];
+      const result = convertTranslations({
+        open: 'Hello {{name',
+        close: 'Done}} {{count}}',
+        nesting: 'See $t(other',
+        fine: 'Hello {{name}} :)'
+      }, { onWarning: (warning) => warnings.push(warning) });
+
+      assert.strictEqual(result.open, "Hello '{{'name");
+      assert.deepStrictEqual(warnings, [
+        { code: 'suspicious-syntax', key: 'open', message: 'Unmatched "{{" is kept as literal text' },
+        { code: 'suspicious-syntax', key: 'close', message: 'Unmatched "}}" is kept as literal text' },
+        { code: 'suspicious-syntax', key: 'nesting', message: 'Unmatched "$t(" is kept as literal text' }
+      ]);
+    });
+  });
+
+  describe('convertMessage', () => {
+    test('converts a single message without reading its key', () => {
+      assert.strictEqual(
+        convertMessage('Hello {{name}}, {{price, currency(EUR)}}'),
+        'Hello {name}, {price, number, ::currency/EUR}'
+      );
+      assert.strictEqual(convertMessage('{{count}} items', { key: 'item_other' }), '{count} items');
+    });
+
+    test('reports under the given key and inlines references from its translations', () => {
+      const errors = [];
+      const diagnostics = [];
+      const result = convertMessage('$t(nav.home) or {{first name}}', {
+        key: 'nav.back',
+        nesting: 'inline',
+        translations: { nav: { home: 'Go home' } },
+        onError: (error) => errors.push(error),
+        onDiagnostic: (diagnostic) => diagnostics.push(diagnostic)
+      });
+
+      assert.strictEqual(result, 'Go home or {first name}');
+      assert.deepStrictEqual(errors.map(error => error.key), ['nav.back']);
+      assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.key]), [
+        ['reference-inlined', 'nav.back']
+      ]);
+    });
+
+    test('rejects unknown options like convertTranslations', () => {
+      assert.throws(() => convertMessage('Hi', { locale: 'not a locale' }), /Unknown locale/);
+    });
+  });
+
+  describe('findUnconverted', () => {
+    test('finds keys that still use i18next syntax', () => {
+      const findings = findUnconverted({
+        greeting: 'Hello {{name}}',
+        item_one: 'One item',
+        place_ordinal_two: '2nd',
+        nav: { link: 'See $t(other)' },
+        friend_male: 'A boyfriend'
+      }, { contexts: ['male'] });
+
+      assert.deepStrictEqual(findings.map(finding => [finding.code, finding.key]), [
+        ['interpolation', 'greeting'],
+        ['plural-suffix', 'item_one'],
+        ['plural-suffix', 'place_ordinal_two'],
+        ['nesting', 'nav.link'],
+        ['context-suffix', 'friend_male']
+      ]);
+    });
+
+    test('only reports context suffixes of the configured values', () => {
+      const translations = {
+        friend: 'A friend',
+        friend_male: 'A boyfriend',
+        title: 'Title',
+        title_short: 'Short title',
+        label: 'Label',
+        label_short: 'Short label'
+      };
+
+      assert.deepStrictEqual(findUnconverted(translations, { contexts: ['male'] }).map(finding => [finding.code, finding.key]), [
+        ['context-suffix', 'friend_male']
+      ]);
+      assert.deepStrictEqual(findUnconverted(translations, { contexts: 'auto' }), []);
+    });
+
+    test('joins key paths with the key separator', () => {
+      const findings = findUnconverted({ nav: { link: 'Hello {{name}}' } }, { keySeparator: '/' });
+
+      assert.deepStrictEqual(findings.map(finding => finding.key), ['nav/link']);
+    });
+
+    test('finds v3 plural suffixes', () => {
+      const findings = findUnconverted({
+        item: 'One item',
+        item_plural: 'Many items',
+        apple_0: 'One apple',
+        apple_1: 'Few apples',
+        apple_2: 'Many apples'
+      }, { locale: 'ru' });
+
+      assert.deepStrictEqual(findings.map(finding => [finding.code, finding.key, finding.message]), [
+        ['plural-suffix', 'item_plural', 'i18next v3 plural suffix "_plural"'],
+        ['plural-suffix', 'apple_0', 'i18next v3 plural suffix "_0"'],
+        ['plural-suffix', 'apple_1', 'i18next v3 plural suffix "_1"'],
+        ['plural-suffix', 'apple_2', 'i18next v3 plural suffix "_2"']
+      ]);
+      assert.deepStrictEqual(findUnconverted({ step_0: 'Start', step_1: 'Next', step_2: 'Done' }, { locale: 'en' }), []);
+    });
+
+    test('accepts converted translations', () => {
+      const converted = convertTranslations({
+        greeting: 'Hello {{name}}',
+        item_one: '{{count}} item',
+        item_other: '{{count}} items',
+        friend: 'A friend',
+        friend_male: '{{name}} is a boyfriend',
+        text: "Don't {this}"
+      });
+
+      assert.deepStrictEqual(findUnconverted(converted), []);
+    });
+
+    test('reports values that are not valid ICU', () => {
+      assert.deepStrictEqual(findUnconverted({ broken: 'Hello {name' }), [
+        { code: 'invalid-icu', key: 'broken', message: 'Unclosed argument (at offset 6)' }
+      ]);
+    });
   });
 
   describe('Edge cases', () => {
@@ -204,5 +1455,21 @@ describe('Converter', () => {
       const result = convertFile(input);
       assert.deepStrictEqual(result, expected);
     });
+
+    test('applies the overrides of the namespace', () => {
+      const options = {
+        input: 'locales/**/*.json',
+        pluralHash: true,
+        overrides: { shop: { pluralVariable: 'n' } }
+      };
+      const input = { item_one: '{{n}} item', item_other: '{{n}} items' };
+
+      assert.deepStrictEqual(convertFile(input, { ...options, namespace: 'shop' }), {
+        item: '{n, plural, one{# item} other{# items}}'
+      });
+      assert.deepStrictEqual(convertFile(input, { ...options, namespace: 'common', pluralVariable: 'count' }), {
+        item: '{count, plural, one{{n} item} other{{n} items}}'
+      });
+    });
   });
 });
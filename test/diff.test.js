@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { diffTranslations } from '../src/diff.js';
+
+describe('diffTranslations', () => {
+  test('lists changed, removed and added keys by path', () => {
+    const before = {
+      title: 'Hello {{name}}',
+      same: 'Same',
+      nav: { item_one: '{{count}} item', item_other: '{{count}} items' }
+    };
+    const after = {
+      title: 'Hello {name}',
+      same: 'Same',
+      nav: { item: '{count, plural, one{{count} item} other{{count} items}}' }
+    };
+
+    assert.deepStrictEqual(diffTranslations(before, after), [
+      { key: 'title', type: 'changed', before: 'Hello {{name}}', after: 'Hello {name}' },
+      { key: 'nav.item_one', type: 'removed', before: '{{count}} item', after: undefined },
+      { key: 'nav.item_other', type: 'removed', before: '{{count}} items', after: undefined },
+      { key: 'nav.item', type: 'added', before: undefined, after: '{count, plural, one{{count} item} other{{count} items}}' }
+    ]);
+  });
+
+  test('returns no changes for equal objects', () => {
+    assert.deepStrictEqual(diffTranslations({ a: { b: 'c' }, n: 1 }, { a: { b: 'c' }, n: 1 }), []);
+  });
+});
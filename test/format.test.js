@@ -0,0 +1,138 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import yaml from 'js-yaml';
+import { stringifyJSON, stringifyYAML } from '../src/format.js';
+
+describe('Format', () => {
+  describe('stringifyJSON', () => {
+    test('writes new files with two spaces and a final newline', () => {
+      assert.strictEqual(stringifyJSON({ a: 'b' }), '{\n  "a": "b"\n}\n');
+    });
+
+    test('keeps tabs, CRLF line endings and a missing final newline', () => {
+      const source = '{\r\n\t"a": "{{x}}",\r\n\t"b": { "c": "d" }\r\n}';
+
+      assert.strictEqual(
+        stringifyJSON({ a: '{x}', b: { c: 'd' } }, source),
+        '{\r\n\t"a": "{x}",\r\n\t"b": {\r\n\t\t"c": "d"\r\n\t}\r\n}'
+      );
+    });
+
+    test('keeps minified files minified', () => {
+      assert.strictEqual(stringifyJSON({ a: '{x}' }, '{"a":"{{x}}"}\n'), '{"a":"{x}"}\n');
+    });
+  });
+
+  describe('stringifyYAML', () => {
+    test('keeps comments, quoting and unchanged values', () => {
+      const source = `# Greetings
+greeting: Hello {{name}}   # shown on top
+farewell: 'Bye {{name}}'
+title: "Home"
+
+nav:
+    # Links
+    home: Go home
+`;
+
+      assert.strictEqual(stringifyYAML({
+        greeting: 'Hello {name}',
+        farewell: 'Bye {name}',
+        title: 'Home',
+        nav: { home: 'Go home' }
+      }, source), `# Greetings
+greeting: Hello {name}   # shown on top
+farewell: 'Bye {name}'
+title: "Home"
+
+nav:
+    # Links
+    home: Go home
+`);
+    });
+
+    test('writes a plural where its first form was', () => {
+      const source = `intro: Cart
+item_one: "{{count}} item"  # singular
+item_other: "{{count}} items"
+outro: Thanks
+`;
+
+      assert.strictEqual(stringifyYAML({
+        intro: 'Cart',
+        item: '{count, plural, one {# item} other {# items}}',
+        outro: 'Thanks'
+      }, source), `intro: Cart
+item: "{count, plural, one {# item} other {# items}}"  # singular
+outro: Thanks
+`);
+    });
+
+    test('keeps literal and folded block styles', () => {
+      const source = `terms: |
+  Read the terms, {{name}}.
+  Then accept them.
+about: >-
+  A folded text about {{product}}
+  over two lines.
+`;
+      const data = {
+        terms: 'Read the terms, {name}.\nThen accept them.\n',
+        about: 'A folded text about {product} over two lines.'
+      };
+      const text = stringifyYAML(data, source);
+
+      assert.strictEqual(text, `terms: |
+  Read the terms, {name}.
+  Then accept them.
+about: >-
+  A folded text about {product} over two
+  lines.
+`);
+      assert.deepStrictEqual(yaml.load(text), data);
+    });
+
+    test('keeps anchors, aliases and merge keys whose values still match', () => {
+      const source = `buttons: &buttons
+  ok: OK {{name}}
+  cancel: Cancel
+dialog:
+  <<: *buttons
+  title: Dialog
+footer: *buttons
+`;
+      const buttons = { ok: 'OK {name}', cancel: 'Cancel' };
+
+      assert.strictEqual(
+        stringifyYAML({ buttons, dialog: { ...buttons, title: 'Dialog' }, footer: buttons }, source),
+        source.replace('{{name}}', '{name}')
+      );
+    });
+
+    test('writes the forms of a split message in its place', () => {
+      const source = 'a: A\nitem: "{count, plural, one {# item} other {# items}}"\nb: B\n';
+
+      assert.strictEqual(
+        stringifyYAML({ a: 'A', item_one: '{{count}} item', item_other: '{{count}} items', b: 'B' }, source),
+        'a: A\nitem_one: "{{count}} item"\nitem_other: "{{count}} items"\nb: B\n'
+      );
+    });
+
+    test('adds new keys at the end of their mapping', () => {
+      assert.strictEqual(
+        stringifyYAML({ nav: { home: 'Home', back: 'Back' } }, 'nav:\n  home: Home\n\n# End\n'),
+        'nav:\n  home: Home\n  back: Back\n\n# End\n'
+      );
+    });
+
+    test('writes files it cannot follow anew', () => {
+      const source = '{ greeting: "Hello {{name}}" }\n';
+
+      assert.strictEqual(stringifyYAML({ greeting: 'Hello {name}' }, source), 'greeting: Hello {name}\n');
+      assert.strictEqual(
+        stringifyYAML({ a: 'b' }, 'a: x\n---\nb: y\n'),
+        'a: b\n'
+      );
+    });
+  });
+});
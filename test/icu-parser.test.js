@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parse, ICUSyntaxError } from '../src/icu-parser.js';
+
+describe('ICU parser', () => {
+  test('parses literals and arguments', () => {
+    assert.deepStrictEqual(parse('Hello {name}!'), [
+      { type: 'literal', value: 'Hello ', start: 0, end: 6 },
+      { type: 'argument', name: 'name', start: 6, end: 12 },
+      { type: 'literal', value: '!', start: 12, end: 13 }
+    ]);
+  });
+
+  test('parses formatted arguments', () => {
+    const [node] = parse('{price, number, ::currency/EUR}');
+    assert.strictEqual(node.type, 'format');
+    assert.strictEqual(node.format, 'number');
+    assert.strictEqual(node.style, '::currency/EUR');
+  });
+
+  test('parses plural branches with # and offset', () => {
+    const [node] = parse('{count, plural, offset:1 =0 {none} one {# item} other {# items}}');
+    assert.strictEqual(node.type, 'plural');
+    assert.strictEqual(node.ordinal, false);
+    assert.strictEqual(node.offset, 1);
+    assert.deepStrictEqual(Object.keys(node.options), ['=0', 'one', 'other']);
+    assert.strictEqual(node.options.one[0].type, 'pound');
+  });
+
+  test('parses selectordinal and select', () => {
+    assert.strictEqual(parse('{n, selectordinal, one {#st} other {#th}}')[0].ordinal, true);
+    assert.strictEqual(parse('{g, select, male {He} other {They}}')[0].type, 'select');
+  });
+
+  test('unquotes apostrophes', () => {
+    assert.deepStrictEqual(
+      parse("It''s '{literal}' don't").map(node => node.value),
+      ["It's {literal} don't"]
+    );
+  });
+
+  test('treats # outside plurals as text', () => {
+    assert.deepStrictEqual(parse('Item #1'), [{ type: 'literal', value: 'Item #1', start: 0, end: 7 }]);
+  });
+
+  test('reports errors with their offset', () => {
+    const cases = [
+      ['Hello {name', 'Unclosed argument', 6],
+      ['Hello }', 'Unexpected "}" without a matching "{"', 6],
+      ['{n, plural, one {#}}', 'Missing "other" option in plural', 0],
+      ['{n, plural, single {#} other {#}}', 'Invalid plural selector "single"', 12],
+      ['{g, select, a {1} a {2} other {3}}', 'Duplicate select selector "a"', 18],
+      ['{n, currency}', 'Unknown argument type "currency"', 4],
+      ["'{unterminated", 'Unterminated quoted text', 0]
+    ];
+
+    for (const [message, reason, offset] of cases) {
+      assert.throws(() => parse(message), (error) => {
+        assert.ok(error instanceof ICUSyntaxError);
+        assert.strictEqual(error.reason, reason);
+        assert.strictEqual(error.offset, offset);
+        return true;
+      }, message);
+    }
+  });
+});
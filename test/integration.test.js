@@ -4,7 +4,8 @@ import { readFile, mkdir, rm, writeFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
-import { processFile, processFiles, findJsonFiles, findTranslationFiles } from '../src/index.js';
+import * as api from '../src/index.js';
+import { convertString, processFile, processFiles, findJsonFiles, findTranslationFiles, watchFiles, writeReport } from '../src/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -12,6 +13,19 @@ const __dirname = dirname(__filename);
 const fixturesDir = join(__dirname, 'fixtures');
 const tmpDir = join(__dirname, 'tmp');
 
+/**
+ * Wait until a condition holds, for changes picked up by watchFiles
+ */
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for a change');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
 describe('Integration tests', () => {
   before(async () => {
     // Create tmp directory for test outputs
@@ -56,6 +70,48 @@ describe('Integration tests', () => {
       assert.strictEqual(output.greeting, 'Hello {name}');
     });
 
+    test('infers the locale from the file path', async () => {
+      const localeDir = join(tmpDir, 'locales', 'ar');
+      const inputPath = join(localeDir, 'common.json');
+      const input = {
+        item_zero: 'zero',
+        item_one: 'one',
+        item_other: 'other'
+      };
+
+      await mkdir(localeDir, { recursive: true });
+      await writeFile(inputPath, JSON.stringify(input, null, 2));
+
+      const result = await processFile(inputPath);
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.locale, 'ar');
+      assert.ok(result.warnings.some(warning => warning.code === 'missing-plural-category'));
+
+      const output = JSON.parse(await readFile(inputPath, 'utf-8'));
+      assert.strictEqual(output.item, '{count, plural, zero{zero} one{one} other{other}}');
+    });
+
+    test('inlines references to sibling namespace files', async () => {
+      const localeDir = join(tmpDir, 'nesting', 'en');
+      const inputPath = join(localeDir, 'main.json');
+
+      await mkdir(localeDir, { recursive: true });
+      await writeFile(join(localeDir, 'common.yaml'), yaml.dump({ save: 'Save' }));
+      await writeFile(inputPath, JSON.stringify({
+        title: 'Main',
+        button: '$t(common:save) $t(main:title)'
+      }, null, 2));
+
+      const result = await processFile(inputPath, null, { nesting: 'inline' });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.warnings, []);
+
+      const output = JSON.parse(await readFile(inputPath, 'utf-8'));
+      assert.strictEqual(output.button, 'Save Main');
+    });
+
     test('handles file read errors', async () => {
       const result = await processFile('/non/existent/file.json');
 
@@ -72,6 +128,98 @@ describe('Integration tests', () => {
       assert.strictEqual(result.success, false);
       assert.ok(result.error);
     });
+
+    test('reports invalid ICU output with the file and key', async () => {
+      const inputPath = join(tmpDir, 'test-invalid.json');
+      await writeFile(inputPath, JSON.stringify({ greeting: 'Hi {{first name}}' }));
+
+      const result = await processFile(inputPath);
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.errors, [{
+        file: inputPath,
+        code: 'invalid-icu',
+        key: 'greeting',
+        offset: 10,
+        message: 'Expected "," but found "n"'
+      }]);
+    });
+
+    test('does not write files with invalid ICU output in strict mode', async () => {
+      const inputPath = join(tmpDir, 'test-strict.json');
+      const content = JSON.stringify({ greeting: 'Hi {{first name}}' });
+      await writeFile(inputPath, content);
+
+      const result = await processFile(inputPath, null, { strict: true });
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.errors.length, 1);
+      assert.strictEqual(await readFile(inputPath, 'utf-8'), content);
+    });
+
+    test('does not write anything in dry-run mode', async () => {
+      const inputPath = join(tmpDir, 'test-dry-run.json');
+      const outputPath = join(tmpDir, 'dry-run', 'output.json');
+      const content = JSON.stringify({ greeting: 'Hello {{name}}', title: 'Title' });
+      await writeFile(inputPath, content);
+
+      const result = await processFile(inputPath, outputPath, { dryRun: true });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.changes, [
+        { key: 'greeting', type: 'changed', before: 'Hello {{name}}', after: 'Hello {name}' }
+      ]);
+      assert.strictEqual(await readFile(inputPath, 'utf-8'), content);
+      await assert.rejects(readFile(outputPath, 'utf-8'));
+    });
+
+    test('lists unconverted keys in check mode without writing', async () => {
+      const inputPath = join(tmpDir, 'test-check.json');
+      const content = JSON.stringify({ converted: 'Hello {name}', greeting: 'Hello {{name}}' });
+      await writeFile(inputPath, content);
+
+      const result = await processFile(inputPath, null, { check: true });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.unconverted.map(finding => finding.key), ['greeting']);
+      assert.strictEqual(await readFile(inputPath, 'utf-8'), content);
+    });
+  });
+
+  describe('convertString', () => {
+    test('converts file content in memory', () => {
+      const result = convertString('{\n\t"item_one": "{{count}} item",\n\t"item_other": "{{count}} items"\n}', 'json', {
+        preserveFormat: true
+      });
+
+      assert.strictEqual(result.output, '{\n\t"item": "{count, plural, one{{count} item} other{{count} items}}"\n}');
+      assert.deepStrictEqual(result.converted, { item: '{count, plural, one{{count} item} other{{count} items}}' });
+      assert.deepStrictEqual(result.diagnostics.map(diagnostic => diagnostic.code), ['plural-grouped']);
+      assert.deepStrictEqual(result.changes.map(change => [change.key, change.type]), [
+        ['item_one', 'removed'], ['item_other', 'removed'], ['item', 'added']
+      ]);
+    });
+
+    test('takes file extensions and writes another output format', () => {
+      const result = convertString('greeting: Hello {{name}}\n', '.yml', { outputFormat: 'json' });
+
+      assert.strictEqual(result.output, '{\n  "greeting": "Hello {name}"\n}\n');
+      assert.deepStrictEqual(result.warnings, []);
+      assert.deepStrictEqual(result.errors, []);
+    });
+
+    test('rejects unknown formats and invalid content', () => {
+      assert.throws(() => convertString('a = 1', 'toml'), /Unknown file format: toml/);
+      assert.throws(() => convertString('{', 'json'), SyntaxError);
+    });
+
+    test('declares every export in the type declarations', async () => {
+      const declarations = await readFile(join(__dirname, '..', 'src', 'index.d.ts'), 'utf-8');
+
+      for (const name of Object.keys(api)) {
+        assert.match(declarations, new RegExp(`export (?:function|const) ${name}\\b`), name);
+      }
+    });
   });
 
   describe('findJsonFiles', () => {
@@ -200,6 +348,79 @@ describe('Integration tests', () => {
         }
       );
     });
+
+    test('writes a report of every file and key', async () => {
+      const testDir = join(tmpDir, 'report-test');
+      const reportPath = join(tmpDir, 'reports', 'i18n.sarif');
+
+      await mkdir(join(testDir, 'en'), { recursive: true });
+      await writeFile(join(testDir, 'en', 'common.json'), JSON.stringify({
+        item_one: '{{count}} item',
+        item_other: '{{count}} items',
+        link: '$t(item)',
+        broken: 'Hello {{name'
+      }));
+      await writeFile(join(testDir, 'en', 'broken.json'), '{');
+
+      const results = await processFiles(testDir, join(tmpDir, 'report-output'));
+      const report = await writeReport(results, reportPath, { version: '1.0.0' });
+
+      assert.deepStrictEqual(results.files[1].diagnostics.map(diagnostic => diagnostic.code), ['plural-grouped', 'reference-left']);
+      assert.deepStrictEqual(report.summary.codes, {
+        'suspicious-syntax': 1,
+        'plural-grouped': 1,
+        'reference-left': 1
+      });
+      assert.strictEqual(report.summary.failed, 1);
+
+      const sarif = JSON.parse(await readFile(reportPath, 'utf-8'));
+      assert.deepStrictEqual(
+        sarif.runs[0].results.map(result => [result.ruleId, result.locations[0].logicalLocations?.[0].fullyQualifiedName]),
+        [['conversion-failed', undefined], ['suspicious-syntax', 'broken'], ['plural-grouped', 'item'], ['reference-left', 'link']]
+      );
+    });
+  });
+
+  describe('Configuration options', () => {
+    test('processFiles takes input, output and locale pattern from the options', async () => {
+      const localesDir = join(tmpDir, 'configured', 'locales');
+      const outputDir = join(tmpDir, 'configured', 'dist');
+      await mkdir(join(localesDir, 'lang-ru'), { recursive: true });
+      await mkdir(join(localesDir, 'lang-en'), { recursive: true });
+      await writeFile(
+        join(localesDir, 'lang-ru', 'shop.json'),
+        JSON.stringify({ item_0: '{{count}} яблоко', item_1: '{{count}} яблока', item_2: '{{count}} яблок' })
+      );
+      await writeFile(join(localesDir, 'lang-en', 'nav.json'), JSON.stringify({ item_one: 'item', item_other: 'items' }));
+
+      const results = await processFiles(null, null, null, {
+        input: join(localesDir, '**/*.json'),
+        output: join(outputDir, '{locale}', '{namespace}.json'),
+        localePattern: join(localesDir, 'lang-{locale}', '{namespace}.json'),
+        overrides: { nav: { pluralHash: true } }
+      });
+
+      assert.strictEqual(results.successful, 2);
+      assert.deepStrictEqual(
+        JSON.parse(await readFile(join(outputDir, 'ru', 'shop.json'), 'utf-8')),
+        { item: '{count, plural, one{{count} яблоко} few{{count} яблока} many{{count} яблок} other{{count} яблок}}' }
+      );
+      assert.deepStrictEqual(
+        JSON.parse(await readFile(join(outputDir, 'en', 'nav.json'), 'utf-8')),
+        { item: '{count, plural, one{item} other{items}}' }
+      );
+    });
+
+    test('fails files whose output template has no value', async () => {
+      const inputPath = join(tmpDir, 'configured', 'nolocale.json');
+      await mkdir(dirname(inputPath), { recursive: true });
+      await writeFile(inputPath, '{}');
+
+      const results = await processFiles(inputPath, join(tmpDir, 'configured', '{locale}.json'));
+
+      assert.strictEqual(results.failed, 1);
+      assert.match(results.files[0].error, /No value for \{locale\}/);
+    });
   });
 
   describe('findTranslationFiles', () => {
@@ -219,6 +440,85 @@ describe('Integration tests', () => {
       assert.ok(jsonFiles.length > 0, 'Should find JSON files');
       assert.ok(yamlFiles.length > 0, 'Should find YAML files');
     });
+
+    test('finds JSON5 and module files but not type declarations', async () => {
+      const testDir = join(tmpDir, 'find-modules');
+      await mkdir(testDir, { recursive: true });
+      for (const name of ['common.json5', 'home.js', 'admin.ts', 'types.d.ts', 'notes.txt']) {
+        await writeFile(join(testDir, name), 'export default {};');
+      }
+
+      const files = await findTranslationFiles(testDir);
+
+      assert.deepStrictEqual(files.map(file => file.slice(testDir.length + 1)), ['admin.ts', 'common.json5', 'home.js']);
+    });
+  });
+
+  describe('JSON5 and module conversions', () => {
+    test('converts a TypeScript module in place, keeping its shape', async () => {
+      const inputPath = join(tmpDir, 'test-module.ts');
+      await writeFile(inputPath, `import type { Resources } from './types';
+
+const common: Resources = {
+  greeting: 'Hello {{name}}',
+  item_one: '{{count}} item',
+  item_other: '{{count}} items',
+} as const;
+
+export default common;
+`);
+
+      const result = await processFile(inputPath);
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.inputFormat, 'module');
+      assert.strictEqual(await readFile(inputPath, 'utf-8'), `import type { Resources } from './types';
+
+const common: Resources = {
+  greeting: 'Hello {name}',
+  item: '{count, plural, one{{count} item} other{{count} items}}'
+} as const;
+
+export default common;
+`);
+    });
+
+    test('converts JSON5 to YAML', async () => {
+      const inputPath = join(tmpDir, 'test-json5.json5');
+      const outputPath = join(tmpDir, 'test-json5.yaml');
+      await writeFile(inputPath, "// Greetings\n{ greeting: 'Hello {{name}}', /* nav */ nav: { home: 'Home', }, }\n");
+
+      const result = await processFile(inputPath, outputPath);
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.inputFormat, 'json5');
+      assert.deepStrictEqual(yaml.load(await readFile(outputPath, 'utf-8')), {
+        greeting: 'Hello {name}',
+        nav: { home: 'Home' }
+      });
+    });
+
+    test('converts a JSON file to a new module', async () => {
+      const inputPath = join(tmpDir, 'test-to-module.json');
+      const outputPath = join(tmpDir, 'test-to-module.cjs');
+      await writeFile(inputPath, JSON.stringify({ greeting: 'Hello {{name}}' }));
+
+      await processFile(inputPath, outputPath);
+
+      assert.strictEqual(await readFile(outputPath, 'utf-8'), "module.exports = {\n  greeting: 'Hello {name}'\n};\n");
+    });
+
+    test('fails modules that are not static', async () => {
+      const inputPath = join(tmpDir, 'test-dynamic.js');
+      const source = "export default { greeting: getGreeting() };\n";
+      await writeFile(inputPath, source);
+
+      const result = await processFile(inputPath);
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Unsupported value "getGreeting"/);
+      assert.strictEqual(await readFile(inputPath, 'utf-8'), source);
+    });
   });
 
   describe('YAML conversions', () => {
@@ -238,6 +538,29 @@ describe('Integration tests', () => {
       assert.strictEqual(output.greeting, 'Hello {name}');
     });
 
+    test('keeps the comments and styles of YAML files with preserveFormat', async () => {
+      const inputPath = join(tmpDir, 'test-preserve.yaml');
+      await writeFile(inputPath, `# Shop
+title: Shop   # page title
+item_one: '{{count}} item'
+item_other: '{{count}} items'
+terms: |
+  Dear {{name}},
+  read this.
+`);
+
+      const result = await processFile(inputPath, null, { preserveFormat: true });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(await readFile(inputPath, 'utf-8'), `# Shop
+title: Shop   # page title
+item: '{count, plural, one{{count} item} other{{count} items}}'
+terms: |
+  Dear {name},
+  read this.
+`);
+    });
+
     test('converts YAML to JSON', async () => {
       const inputPath = join(tmpDir, 'test-yaml-in.yaml');
       const outputPath = join(tmpDir, 'test-json-out.json');
@@ -352,6 +675,217 @@ describe('Integration tests', () => {
     });
   });
 
+  describe('XLIFF', () => {
+    test('exports a locale with the matching target locale file', async () => {
+      const localesDir = join(tmpDir, 'xliff', 'locales');
+      await mkdir(join(localesDir, 'en'), { recursive: true });
+      await mkdir(join(localesDir, 'de'), { recursive: true });
+      await writeFile(join(localesDir, 'en', 'common.json'), JSON.stringify({
+        greeting: 'Hello {{name}}',
+        item_one: '{{count}} item',
+        item_other: '{{count}} items',
+        nav: { home: 'Home', about: 'About' }
+      }));
+      await writeFile(join(localesDir, 'de', 'common.json'), JSON.stringify({
+        greeting: 'Hallo {{name}}',
+        item_one: '{{count}} Artikel',
+        nav: { home: 'Start' }
+      }));
+
+      const outputPath = join(tmpDir, 'xliff', 'common.xlf');
+      const result = await processFile(join(localesDir, 'en', 'common.json'), outputPath, { targetLocale: 'de' });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.outputFormat, 'xliff');
+      assert.strictEqual(result.targetPath, join(localesDir, 'de', 'common.json'));
+
+      const xml = await readFile(outputPath, 'utf-8');
+      assert.ok(xml.includes('srcLang="en" trgLang="de"'));
+      assert.ok(xml.includes('<file id="common" xml:space="preserve">'));
+      assert.ok(xml.includes('<source>Hello {name}</source>'));
+      assert.ok(xml.includes('<target>Hallo {name}</target>'));
+      assert.ok(xml.includes('<note category="missing-plural-other">de: No &quot;other&quot; plural form'));
+    });
+
+    test('exports without targets when there is no target locale file', async () => {
+      const inputPath = join(tmpDir, 'xliff-source.en.json');
+      const outputPath = join(tmpDir, 'xliff-source.xlf');
+      await writeFile(inputPath, JSON.stringify({ title: 'Title' }));
+
+      const result = await processFile(inputPath, outputPath, { targetLocale: 'fr' });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.targetPath, undefined);
+
+      const xml = await readFile(outputPath, 'utf-8');
+      assert.ok(xml.includes('srcLang="en">'));
+      assert.ok(!xml.includes('<target>'));
+    });
+
+    test('imports translated XLIFF files into JSON and YAML', async () => {
+      const inputPath = join(tmpDir, 'xliff-translated.xlf');
+      await writeFile(inputPath, `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de">
+  <file id="common" xml:space="preserve">
+    <unit id="greeting" name="greeting">
+      <segment><source>Hello {name}</source><target>Hallo {name}</target></segment>
+    </unit>
+    <group id="nav" name="nav">
+      <unit id="nav.home" name="home">
+        <segment><source>Home</source><target>Start</target></segment>
+      </unit>
+      <unit id="nav.about" name="about">
+        <segment><source>About</source></segment>
+      </unit>
+    </group>
+  </file>
+</xliff>
+`);
+
+      const jsonPath = join(tmpDir, 'xliff-translated.json');
+      const jsonResult = await processFile(inputPath, jsonPath);
+      assert.strictEqual(jsonResult.success, true);
+      assert.strictEqual(jsonResult.inputFormat, 'xliff');
+      assert.deepStrictEqual(JSON.parse(await readFile(jsonPath, 'utf-8')), {
+        greeting: 'Hallo {name}',
+        nav: { home: 'Start' }
+      });
+
+      const yamlPath = join(tmpDir, 'xliff-translated.yaml');
+      await processFile(inputPath, yamlPath, { direction: 'icu2i18next' });
+      assert.deepStrictEqual(yaml.load(await readFile(yamlPath, 'utf-8')), {
+        greeting: 'Hallo {{name}}',
+        nav: { home: 'Start' }
+      });
+    });
+
+    test('writes a single input file to an output file path', async () => {
+      const inputPath = join(tmpDir, 'single-output.json');
+      const outputPath = join(tmpDir, 'single-output', 'messages.xlf');
+      await writeFile(inputPath, JSON.stringify({ greeting: 'Hello {{name}}' }));
+
+      const results = await processFiles(inputPath, outputPath);
+
+      assert.strictEqual(results.files[0].outputPath, outputPath);
+      assert.ok((await readFile(outputPath, 'utf-8')).includes('<source>Hello {name}</source>'));
+    });
+  });
+
+  describe('watchFiles', () => {
+    test('requires an output', async () => {
+      await assert.rejects(
+        watchFiles(fixturesDir, null),
+        /Watch mode needs an output directory or path template/
+      );
+    });
+
+    test('converts added and changed files and mirrors deletions', async () => {
+      const sourceDir = join(tmpDir, 'watch', 'src');
+      const outputDir = join(tmpDir, 'watch', 'dist');
+      await mkdir(join(sourceDir, 'en'), { recursive: true });
+      await writeFile(join(sourceDir, 'en', 'common.json'), JSON.stringify({ title: 'Hello {{name}}' }));
+
+      const changes = [];
+      const watcher = await watchFiles(sourceDir, outputDir, { onChange: change => changes.push(change) });
+
+      try {
+        assert.strictEqual(watcher.results.successful, 1);
+        assert.deepStrictEqual(
+          JSON.parse(await readFile(join(outputDir, 'en', 'common.json'), 'utf-8')),
+          { title: 'Hello {name}' }
+        );
+
+        await writeFile(join(sourceDir, 'en', 'home.json'), JSON.stringify({ welcome: 'Welcome {{name}}' }));
+        await waitFor(() => changes.some(change => change.type === 'added'));
+        assert.deepStrictEqual(
+          JSON.parse(await readFile(join(outputDir, 'en', 'home.json'), 'utf-8')),
+          { welcome: 'Welcome {name}' }
+        );
+
+        await writeFile(join(sourceDir, 'en', 'common.json'), JSON.stringify({ title: 'Hi {{name}}' }));
+        await waitFor(() => changes.some(change => change.type === 'changed'));
+        assert.deepStrictEqual(
+          JSON.parse(await readFile(join(outputDir, 'en', 'common.json'), 'utf-8')),
+          { title: 'Hi {name}' }
+        );
+
+        await rm(join(sourceDir, 'en', 'home.json'));
+        await waitFor(() => changes.some(change => change.type === 'removed'));
+        await assert.rejects(readFile(join(outputDir, 'en', 'home.json'), 'utf-8'), { code: 'ENOENT' });
+
+        const changed = changes.filter(change => change.type === 'changed');
+        assert.ok(changed.every(change => change.inputPath.endsWith('common.json')), 'Only changed files are converted again');
+      } finally {
+        await watcher.close();
+      }
+    });
+
+    test('watches directories added after it started', async () => {
+      const sourceDir = join(tmpDir, 'watch-nested', 'src');
+      const outputDir = join(tmpDir, 'watch-nested', 'dist');
+      await mkdir(join(sourceDir, 'en'), { recursive: true });
+      await writeFile(join(sourceDir, 'en', 'common.json'), JSON.stringify({ title: 'Hello {{name}}' }));
+
+      const changes = [];
+      const watcher = await watchFiles(sourceDir, outputDir, { onChange: change => changes.push(change) });
+
+      try {
+        await mkdir(join(sourceDir, 'de'));
+        await writeFile(join(sourceDir, 'de', 'common.json'), JSON.stringify({ title: 'Hallo {{name}}' }));
+        await waitFor(() => changes.some(change => change.type === 'added'));
+
+        await writeFile(join(sourceDir, 'de', 'common.json'), JSON.stringify({ title: 'Servus {{name}}' }));
+        await waitFor(() => changes.some(change => change.type === 'changed'));
+        assert.deepStrictEqual(
+          JSON.parse(await readFile(join(outputDir, 'de', 'common.json'), 'utf-8')),
+          { title: 'Servus {name}' }
+        );
+      } finally {
+        await watcher.close();
+      }
+    });
+  });
+
+  describe('Plugins', () => {
+    test('loads plugins by path and writes with their serializers', async () => {
+      const testDir = join(tmpDir, 'plugins');
+      const pluginPath = join(testDir, 'properties.js');
+      await mkdir(testDir, { recursive: true });
+      await writeFile(pluginPath, `export default {
+  name: 'properties',
+  transforms: { before: (text) => text.replace(/%%(\\w+)%%/g, '<b>$1</b>') },
+  serializers: {
+    '.properties': (data, { namespace }) => Object.entries(data).map(([key, value]) => \`\${namespace}.\${key}=\${value}\`).join('\\n') + '\\n'
+  }
+};
+`);
+      await writeFile(join(testDir, 'common.json'), JSON.stringify({ title: '%%Hi%% {{name}}' }));
+
+      const outputPath = join(testDir, 'common.properties');
+      const results = await processFiles(join(testDir, 'common.json'), outputPath, null, { plugins: [pluginPath] });
+
+      assert.strictEqual(results.files[0].outputFormat, 'properties');
+      assert.strictEqual(await readFile(outputPath, 'utf-8'), 'common.title=<b>Hi</b> {name}\n');
+    });
+
+    test('fails files whose plugins cannot be loaded', async () => {
+      const inputPath = join(tmpDir, 'plugin-missing.json');
+      await writeFile(inputPath, JSON.stringify({ title: 'Hi' }));
+
+      const result = await processFile(inputPath, null, { plugins: [join(tmpDir, 'missing-plugin.js')] });
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Cannot load plugin/);
+    });
+
+    test('convertString writes with plugin serializers', () => {
+      const plugin = { name: 'lines', serializers: { '.txt': (data) => Object.values(data).join('\n') } };
+      const result = convertString('{"a": "{{x}}", "b": "B"}', 'json', { plugins: [plugin], outputFormat: 'txt' });
+
+      assert.strictEqual(result.output, '{x}\nB');
+    });
+  });
+
   describe('Real fixture conversions', () => {
     test('converts simple fixture correctly', async () => {
       const input = JSON.parse(
@@ -407,4 +941,48 @@ describe('Integration tests', () => {
       assert.deepStrictEqual(output, expected);
     });
   });
+
+  describe('Reverse conversion', () => {
+    for (const fixture of ['simple.json', 'plurals.json', 'nested.json', 'simple.yaml', 'plurals.yaml', 'multiline.yaml']) {
+      test(`round-trips the ${fixture} fixture`, async () => {
+        const [name, ext] = fixture.split('.');
+        const parse = ext === 'json' ? JSON.parse : yaml.load;
+        const original = parse(await readFile(join(fixturesDir, fixture), 'utf-8'));
+
+        const icuPath = join(tmpDir, `roundtrip-${fixture}`);
+        const outputPath = join(tmpDir, `roundtrip-${name}.i18next.${ext}`);
+        await processFile(join(fixturesDir, fixture), icuPath);
+        const result = await processFile(icuPath, outputPath, { direction: 'icu2i18next' });
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(result.warnings, []);
+
+        const output = parse(await readFile(outputPath, 'utf-8'));
+        assert.deepStrictEqual(output, original);
+      });
+    }
+
+    test('converts a directory back with processFiles', async () => {
+      const inputDir = join(tmpDir, 'reverse-input');
+      const outputDir = join(tmpDir, 'reverse-output');
+      await mkdir(inputDir, { recursive: true });
+      await writeFile(
+        join(inputDir, 'common.json'),
+        JSON.stringify({ items: '{count, plural, one {# item} other {# items}}' })
+      );
+      await writeFile(join(inputDir, 'nav.yaml'), 'greeting: Hello {name}\n');
+
+      const results = await processFiles(inputDir, outputDir, null, { direction: 'icu2i18next' });
+
+      assert.strictEqual(results.successful, 2);
+      assert.deepStrictEqual(
+        JSON.parse(await readFile(join(outputDir, 'common.json'), 'utf-8')),
+        { items_one: '{{count}} item', items_other: '{{count}} items' }
+      );
+      assert.deepStrictEqual(
+        yaml.load(await readFile(join(outputDir, 'nav.yaml'), 'utf-8')),
+        { greeting: 'Hello {{name}}' }
+      );
+    });
+  });
 });
@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { detectLocale, getPluralCategories, normalizeLocale } from '../src/locale.js';
+
+describe('Locale', () => {
+  describe('normalizeLocale', () => {
+    test('normalizes underscores and casing', () => {
+      assert.strictEqual(normalizeLocale('pt_br'), 'pt-BR');
+      assert.strictEqual(normalizeLocale('en-us'), 'en-US');
+    });
+
+    test('rejects words that are not locales', () => {
+      assert.strictEqual(normalizeLocale('common'), null);
+      assert.strictEqual(normalizeLocale('tmp'), null);
+      assert.strictEqual(normalizeLocale('src'), null);
+    });
+  });
+
+  describe('getPluralCategories', () => {
+    test('returns cardinal categories in canonical order', () => {
+      assert.deepStrictEqual(getPluralCategories('ar'), ['zero', 'one', 'two', 'few', 'many', 'other']);
+      assert.deepStrictEqual(getPluralCategories('en'), ['one', 'other']);
+      assert.deepStrictEqual(getPluralCategories('ja'), ['other']);
+    });
+
+    test('returns ordinal categories', () => {
+      assert.deepStrictEqual(getPluralCategories('en', true), ['one', 'two', 'few', 'other']);
+    });
+  });
+
+  describe('detectLocale', () => {
+    test('detects the locale from a directory', () => {
+      assert.strictEqual(detectLocale(join('locales', 'ar', 'common.json')), 'ar');
+      assert.strictEqual(detectLocale(join('locales', 'pt_BR', 'common.json')), 'pt-BR');
+    });
+
+    test('detects the locale from the file name', () => {
+      assert.strictEqual(detectLocale(join('locales', 'de.json')), 'de');
+      assert.strictEqual(detectLocale(join('i18n', 'common.fr.yaml')), 'fr');
+    });
+
+    test('returns null when the path has no locale', () => {
+      assert.strictEqual(detectLocale(join('src', 'translations', 'common.json')), null);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  LiteralSyntaxError,
+  parseJSON5,
+  parseModule,
+  stringifyJSON5,
+  stringifyModule
+} from '../src/module-parser.js';
+
+describe('Module parser', () => {
+  describe('parseJSON5', () => {
+    test('reads comments, unquoted keys, single quotes and trailing commas', () => {
+      const text = `// Greetings
+{
+  greeting: 'Hello {{name}}', /* shown on the home page */
+  "quoted-key": "It's",
+  nested: { list: ['a', 'b',], },
+}
+`;
+
+      assert.deepStrictEqual(parseJSON5(text), {
+        greeting: 'Hello {{name}}',
+        'quoted-key': "It's",
+        nested: { list: ['a', 'b'] }
+      });
+    });
+
+    test('reads JSON5 numbers and escapes', () => {
+      assert.deepStrictEqual(
+        parseJSON5("{ hex: 0x1F, half: .5, big: +Infinity, text: 'a\\x41\\u0042\\u{1F600}\\\nb', flag: true, empty: null }"),
+        { hex: 31, half: 0.5, big: Infinity, text: 'aAB😀b', flag: true, empty: null }
+      );
+    });
+
+    test('reports errors with line and column', () => {
+      assert.throws(() => parseJSON5('{\n  a: value\n}'), (error) => {
+        assert.ok(error instanceof LiteralSyntaxError);
+        assert.strictEqual(error.line, 2);
+        assert.strictEqual(error.column, 6);
+        assert.match(error.message, /Unsupported value "value"/);
+        return true;
+      });
+      assert.throws(() => parseJSON5('{ a: 1 } extra'), /Unexpected "e" after the value/);
+    });
+
+    test('keeps __proto__ as a plain key', () => {
+      const value = parseJSON5('{ "__proto__": { polluted: "yes" } }');
+
+      assert.deepStrictEqual(Object.keys(value), ['__proto__']);
+      assert.strictEqual({}.polluted, undefined);
+      assert.strictEqual(Object.getPrototypeOf(value), Object.prototype);
+    });
+  });
+
+  describe('parseModule', () => {
+    test('reads export default objects', () => {
+      assert.deepStrictEqual(
+        parseModule("export default {\n  title: `Title`,\n  items: ['One'],\n};\n"),
+        { title: 'Title', items: ['One'] }
+      );
+    });
+
+    test('reads module.exports', () => {
+      assert.deepStrictEqual(
+        parseModule("'use strict';\nmodule.exports = { title: 'Title' };\n"),
+        { title: 'Title' }
+      );
+    });
+
+    test('reads an exported TypeScript constant', () => {
+      const source = `import type { Resources } from './types';
+
+// "export default" in a comment is ignored
+const title = 'export default { no: 1 }';
+const common: Resources['common'] = {
+  greeting: 'Hello {{name}}',
+} as const satisfies Resources['common'];
+
+export default common;
+`;
+
+      assert.deepStrictEqual(parseModule(source), { greeting: 'Hello {{name}}' });
+    });
+
+    test('never evaluates code', () => {
+      assert.throws(() => parseModule("export default { a: process.exit(1) };"), /Unsupported value "process"/);
+      assert.throws(() => parseModule("export default { ...base };"), /Spread properties are not supported/);
+      assert.throws(() => parseModule("export default { [key]: 'a' };"), /Computed keys are not supported/);
+      assert.throws(() => parseModule('export default { a: `Hi ${name}` };'), /Template expressions are not supported/);
+      assert.throws(() => parseModule("export default createResources({});"), /Unsupported value "createResources"/);
+      assert.throws(() => parseModule("export const en = {};"), /No default export found/);
+    });
+  });
+
+  describe('stringifyJSON5', () => {
+    test('keeps the comments around the value, quotes and indentation', () => {
+      const source = "// German\n{\n    greeting: 'Hallo',\n}\n";
+
+      assert.strictEqual(
+        stringifyJSON5({ greeting: "Hallo {name}, it's", 'nav-home': 'Start' }, source),
+        "// German\n{\n    greeting: 'Hallo {name}, it\\'s',\n    'nav-home': 'Start'\n}\n"
+      );
+    });
+
+    test('writes new files with double quotes', () => {
+      assert.strictEqual(stringifyJSON5({ a: ['b'], c: {} }), '{\n  a: [\n    "b"\n  ],\n  c: {}\n}\n');
+    });
+  });
+
+  describe('stringifyModule', () => {
+    test('replaces only the exported literal', () => {
+      const source = "import type { Resources } from './types';\n\nconst common: Resources = {\n  greeting: \"Hello {{name}}\",\n} as const;\n\nexport default common;\n";
+
+      assert.strictEqual(
+        stringifyModule({ greeting: 'Hello {name}' }, { source }),
+        "import type { Resources } from './types';\n\nconst common: Resources = {\n  greeting: \"Hello {name}\"\n} as const;\n\nexport default common;\n"
+      );
+    });
+
+    test('writes new ES and CommonJS modules', () => {
+      assert.strictEqual(stringifyModule({ a: 'b' }), "export default {\n  a: 'b'\n};\n");
+      assert.strictEqual(stringifyModule({ a: 'b' }, { commonjs: true }), "module.exports = {\n  a: 'b'\n};\n");
+    });
+
+    test('round-trips values through parseModule', () => {
+      const data = { text: 'Line 1\nLine "2" \\ \'3\'', 'key with space': [1, true, null], '1': { x: ' ' } };
+
+      assert.deepStrictEqual(parseModule(stringifyModule(data)), data);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { combinePlugins, loadPlugins } from '../src/plugins.js';
+import { convertTranslations } from '../src/converter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const tmpDir = join(__dirname, 'tmp-plugins');
+
+// Groups `key__m` and `key__f` into a gender select, the bare key being `other`
+const genderPlugin = {
+  name: 'gender',
+  groupers: [{
+    match: (key) => {
+      const match = key.match(/^(.+)__(m|f)$/);
+      return match && { baseKey: match[1], variant: match[2] };
+    },
+    convert: (variants, { convert }) => {
+      const branches = Object.entries(variants).map(([variant, text]) => `${variant}{${convert(text)}}`);
+      return `{gender, select, ${branches.join(' ')}}`;
+    }
+  }]
+};
+
+describe('Plugins', () => {
+  before(async () => {
+    await mkdir(tmpDir, { recursive: true });
+  });
+
+  after(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadPlugins', () => {
+    test('loads modules by path and passes plugin objects through', async () => {
+      const pluginPath = join(tmpDir, 'upper.js');
+      await writeFile(pluginPath, 'export default { name: "upper", transforms: { after: (text) => text.toUpperCase() } };\n');
+
+      const plugins = await loadPlugins([pluginPath, genderPlugin]);
+
+      assert.deepStrictEqual(plugins.map(plugin => plugin.name), ['upper', 'gender']);
+    });
+
+    test('rejects modules that cannot be loaded or are not plugins', async () => {
+      const pluginPath = join(tmpDir, 'nameless.js');
+      await writeFile(pluginPath, 'export default { transforms: {} };\n');
+
+      await assert.rejects(loadPlugins([join(tmpDir, 'missing.js')]), /Cannot load plugin .*missing\.js/);
+      await assert.rejects(loadPlugins([pluginPath]), /Invalid plugin .*nameless\.js: expected a "name"/);
+      await assert.rejects(loadPlugins([{ name: 'toml', serializers: { toml: () => '' } }]), /Invalid plugin "toml": serializers are functions by file extension/);
+    });
+  });
+
+  describe('combinePlugins', () => {
+    test('collects the hooks of all plugins in order', () => {
+      const first = { name: 'first', transforms: { before: (text) => text }, serializers: { '.TOML': () => 'first' } };
+      const second = { name: 'second', transforms: { before: (text) => text, after: (text) => text }, serializers: { '.toml': () => 'second' } };
+      const combined = combinePlugins([genderPlugin, first, second]);
+
+      assert.deepStrictEqual(combined.groupers.map(grouper => grouper.name), ['gender']);
+      assert.deepStrictEqual(combined.before.map(transform => transform.name), ['first', 'second']);
+      assert.deepStrictEqual(combined.after.map(transform => transform.name), ['second']);
+      assert.strictEqual(combined.serializers['.toml'](), 'second');
+    });
+
+    test('needs plugins to be loaded', () => {
+      assert.throws(() => combinePlugins(['./plugin.js']), /Plugin \.\/plugin\.js is not loaded/);
+    });
+  });
+
+  describe('Conversion hooks', () => {
+    test('groups keys with a plugin grouper next to plural grouping', () => {
+      const diagnostics = [];
+      const result = convertTranslations({
+        greeting: 'Hello {{name}}',
+        greeting__m: 'Hello sir {{name}}',
+        greeting__f: 'Hello madam {{name}}',
+        item_one: '{{count}} item',
+        item_other: '{{count}} items'
+      }, { plugins: [genderPlugin], onDiagnostic: (diagnostic) => diagnostics.push(diagnostic) });
+
+      assert.deepStrictEqual(result, {
+        greeting: '{gender, select, m{Hello sir {name}} f{Hello madam {name}} other{Hello {name}}}',
+        item: '{count, plural, one{{count} item} other{{count} items}}'
+      });
+      assert.deepStrictEqual(diagnostics[0], {
+        code: 'plugin-grouped',
+        key: 'greeting',
+        message: 'Variants m, f, other grouped by plugin "gender"'
+      });
+    });
+
+    test('runs transforms before and after interpolation and nesting', () => {
+      const warnings = [];
+      const seen = [];
+      const plugin = {
+        name: 'markup',
+        transforms: {
+          before: (text, { key }) => {
+            seen.push(['before', key, text]);
+            return text.replace(/%%(\w+)%%/g, '<b>$1</b>');
+          },
+          after: (text, { key, warn }) => {
+            seen.push(['after', key, text]);
+            if (text.includes('TODO')) {
+              warn('Untranslated text');
+            }
+            return text;
+          }
+        }
+      };
+
+      const result = convertTranslations(
+        { title: '%%Hello%% {{name}}', note: 'TODO $t(title)' },
+        { plugins: [plugin], onWarning: (warning) => warnings.push(warning) }
+      );
+
+      assert.deepStrictEqual(result, { title: '<b>Hello</b> {name}', note: 'TODO [REF:title]' });
+      assert.deepStrictEqual(seen, [
+        ['before', 'title', '%%Hello%% {{name}}'],
+        ['after', 'title', '<b>Hello</b> {name}'],
+        ['before', 'note', 'TODO $t(title)'],
+        ['after', 'note', 'TODO [REF:title]']
+      ]);
+      assert.deepStrictEqual(warnings, [{ code: 'plugin-warning', key: 'note', message: 'markup: Untranslated text' }]);
+    });
+  });
+});
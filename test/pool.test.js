@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createWorkerPool, mapConcurrent, normalizeConcurrency } from '../src/pool.js';
+
+describe('Pool', () => {
+  test('runs at most the given number of tasks at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await mapConcurrent([1, 2, 3, 4, 5, 6], 3, async (item) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return item * 2;
+    });
+
+    assert.strictEqual(maxRunning, 3);
+    assert.deepStrictEqual(results, [2, 4, 6, 8, 10, 12]);
+  });
+
+  test('reports results in item order when tasks finish out of order', async () => {
+    const reported = [];
+    const delays = [30, 5, 20, 1];
+
+    await mapConcurrent(delays, 4, async (delay, index) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return index;
+    }, (result, index) => reported.push([result, index]));
+
+    assert.deepStrictEqual(reported, [[0, 0], [1, 1], [2, 2], [3, 3]]);
+  });
+
+  test('validates the concurrency', () => {
+    assert.strictEqual(normalizeConcurrency(undefined), 1);
+    assert.strictEqual(normalizeConcurrency('8'), 8);
+    assert.throws(() => normalizeConcurrency(0), /Invalid concurrency: 0/);
+    assert.throws(() => normalizeConcurrency('fast'), /Invalid concurrency: fast/);
+  });
+
+  test('fails the files of workers that exit', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'i18next2icu-pool-'));
+    const pluginPath = join(dir, 'exit.mjs');
+    await writeFile(pluginPath, "export default { name: 'exit', transforms: { before: () => process.exit(3) } };\n");
+    await writeFile(join(dir, 'common.json'), JSON.stringify({ title: 'Hello {{name}}' }));
+
+    const pool = createWorkerPool(1, { plugins: [pluginPath] });
+    try {
+      const results = await Promise.all([
+        pool.run(join(dir, 'common.json'), join(dir, 'out', 'first.json')),
+        pool.run(join(dir, 'common.json'), join(dir, 'out', 'second.json'))
+      ]);
+      assert.deepStrictEqual(results.map(result => [result.success, result.error]), [
+        [false, 'Worker stopped with exit code 3'],
+        [false, 'Worker stopped with exit code 3']
+      ]);
+      assert.strictEqual((await pool.run(join(dir, 'common.json'), null)).success, false);
+    } finally {
+      await pool.close();
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createReport, detectReportFormat, formatReport } from '../src/report.js';
+
+const results = {
+  total: 2,
+  successful: 1,
+  failed: 1,
+  files: [
+    {
+      success: true,
+      inputPath: 'locales/en/common.json',
+      outputPath: 'icu/en/common.json',
+      locale: 'en',
+      warnings: [{ code: 'unmapped-formatter', key: 'price', message: 'Unknown formatter "money" on "value" was dropped' }],
+      errors: [{ file: 'locales/en/common.json', code: 'invalid-icu', key: 'nav.greeting', offset: 10, message: 'Expected "," but found "n"' }],
+      diagnostics: [
+        { code: 'plural-grouped', key: 'item', message: 'Forms one, other grouped into {count, plural}' },
+        { code: 'reference-left', key: 'price', message: '$t(currency) left as [REF:currency]' }
+      ],
+      changes: []
+    },
+    {
+      success: false,
+      inputPath: 'locales/de/common.json',
+      error: 'Unexpected token < in JSON'
+    }
+  ]
+};
+
+describe('Report', () => {
+  test('lists every key of every file with aggregate counts', () => {
+    const report = createReport(results, { version: '1.2.0' });
+
+    assert.deepStrictEqual(report.tool, { name: 'i18next2icu', version: '1.2.0' });
+    assert.deepStrictEqual(report.summary, {
+      files: 2,
+      successful: 1,
+      failed: 1,
+      keys: 3,
+      error: 1,
+      warning: 1,
+      info: 2,
+      codes: { 'invalid-icu': 1, 'unmapped-formatter': 1, 'plural-grouped': 1, 'reference-left': 1 }
+    });
+    assert.deepStrictEqual(report.files[0].keys, {
+      'nav.greeting': [{ severity: 'error', code: 'invalid-icu', message: 'Expected "," but found "n"', offset: 10 }],
+      price: [
+        { severity: 'warning', code: 'unmapped-formatter', message: 'Unknown formatter "money" on "value" was dropped' },
+        { severity: 'info', code: 'reference-left', message: '$t(currency) left as [REF:currency]' }
+      ],
+      item: [{ severity: 'info', code: 'plural-grouped', message: 'Forms one, other grouped into {count, plural}' }]
+    });
+    assert.deepStrictEqual(report.files[1], {
+      file: 'locales/de/common.json',
+      outputPath: null,
+      locale: null,
+      success: false,
+      error: 'Unexpected token < in JSON',
+      counts: { error: 0, warning: 0, info: 0, codes: {} },
+      keys: {}
+    });
+  });
+
+  test('writes JUnit XML with a test case per key', () => {
+    const xml = formatReport(createReport(results), 'junit');
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="i18next2icu" tests="4" failures="1" errors="1">/);
+    assert.match(xml, /<testsuite name="locales\/en\/common.json" tests="3" failures="1" errors="0">/);
+    assert.match(xml, /<testcase classname="locales\/en\/common.json" name="nav.greeting">\n {6}<failure type="invalid-icu" message="Expected &quot;,&quot; but found &quot;n&quot;"\/>/);
+    assert.match(xml, /<system-out>warning unmapped-formatter: Unknown formatter &quot;money&quot; on &quot;value&quot; was dropped\ninfo reference-left: \$t\(currency\) left as \[REF:currency\]<\/system-out>/);
+    assert.match(xml, /<testcase classname="locales\/de\/common.json" name="\(file\)">\n {6}<error type="conversion-failed" message="Unexpected token &lt; in JSON"\/>/);
+  });
+
+  test('writes SARIF with rules and logical locations', () => {
+    const sarif = JSON.parse(formatReport(createReport(results, { version: '1.2.0' }), 'sarif'));
+    const [run] = sarif.runs;
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(run.tool.driver.version, '1.2.0');
+    assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), [
+      'invalid-icu', 'unmapped-formatter', 'reference-left', 'plural-grouped', 'conversion-failed'
+    ]);
+    assert.deepStrictEqual(run.results[0], {
+      ruleId: 'invalid-icu',
+      level: 'error',
+      message: { text: 'Expected "," but found "n"' },
+      locations: [{
+        physicalLocation: { artifactLocation: { uri: 'locales/en/common.json' } },
+        logicalLocations: [{ fullyQualifiedName: 'nav.greeting', kind: 'member' }]
+      }]
+    });
+    assert.deepStrictEqual(run.results.map(result => result.level), ['error', 'warning', 'note', 'note', 'error']);
+  });
+
+  test('picks the format from the file extension', () => {
+    assert.strictEqual(detectReportFormat('report.json'), 'json');
+    assert.strictEqual(detectReportFormat('junit.XML'), 'junit');
+    assert.strictEqual(detectReportFormat('i18n.sarif'), 'sarif');
+    assert.strictEqual(detectReportFormat('i18n.sarif.json'), 'sarif');
+    assert.throws(() => formatReport(createReport(results), 'html'), /Unknown report format: html/);
+  });
+});
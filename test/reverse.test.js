@@ -0,0 +1,140 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { icu2i18next } from '../src/reverse.js';
+import { convertTranslations } from '../src/converter.js';
+
+/**
+ * Convert and collect warnings
+ */
+function reverse(input, options = {}) {
+  const warnings = [];
+  const result = icu2i18next(input, { ...options, onWarning: (warning) => warnings.push(warning) });
+  return { result, warnings };
+}
+
+describe('Reverse conversion', () => {
+  test('converts {variable} to {{variable}}', () => {
+    assert.deepStrictEqual(
+      icu2i18next({ greeting: 'Hello {name}!', nested: { title: 'Hi' } }),
+      { greeting: 'Hello {{name}}!', nested: { title: 'Hi' } }
+    );
+  });
+
+  test('expands plurals into plural keys', () => {
+    const { result, warnings } = reverse({
+      items: 'You have {count, plural, =0 {no items} one {# item} other {# items}}.'
+    });
+
+    assert.deepStrictEqual(result, {
+      items_zero: 'You have no items.',
+      items_one: 'You have {{count}} item.',
+      items_other: 'You have {{count}} items.'
+    });
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  test('expands selectordinal into ordinal keys', () => {
+    assert.deepStrictEqual(
+      icu2i18next({ place: '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}' }),
+      {
+        place_ordinal_one: '{{n}}st',
+        place_ordinal_two: '{{n}}nd',
+        place_ordinal_few: '{{n}}rd',
+        place_ordinal_other: '{{n}}th'
+      }
+    );
+  });
+
+  test('expands selects into context keys with plurals inside', () => {
+    assert.deepStrictEqual(
+      icu2i18next({
+        friend: '{context, select, male {{count, plural, one {# boyfriend} other {# boyfriends}}} other {{count, plural, one {# friend} other {# friends}}}}'
+      }),
+      {
+        friend_male_one: '{{count}} boyfriend',
+        friend_male_other: '{{count}} boyfriends',
+        friend_one: '{{count}} friend',
+        friend_other: '{{count}} friends'
+      }
+    );
+  });
+
+  test('warns about selects on other variables', () => {
+    const { result, warnings } = reverse({ pronoun: '{gender, select, female {she} other {they}}' });
+
+    assert.deepStrictEqual(result, { pronoun_female: 'she', pronoun: 'they' });
+    assert.deepStrictEqual(warnings.map(warning => warning.code), ['select-not-context']);
+  });
+
+  test('converts formatted arguments and references', () => {
+    assert.deepStrictEqual(
+      icu2i18next({ total: 'Total: {amount, number, ::currency/USD} on {day, date, short} [REF:common:ok]' }),
+      { total: 'Total: {{amount, currency(USD)}} on {{day, datetime}} $t(common:ok)' }
+    );
+  });
+
+  test('unescapes quoted literal text', () => {
+    assert.deepStrictEqual(
+      icu2i18next({ code: "It''s '{braces}'" }),
+      { code: "It's {braces}" }
+    );
+  });
+
+  test('drops exact selectors other than =0', () => {
+    const { result, warnings } = reverse({ n: '{n, plural, =5 {five} other {#}}' });
+
+    assert.deepStrictEqual(result, { n_other: '{{n}}' });
+    assert.deepStrictEqual(warnings.map(warning => warning.code), ['unmapped-selector']);
+  });
+
+  test('keeps messages that cannot be expanded', () => {
+    const message = '{a, plural, one {1} other {2}} {b, plural, one {1} other {2}}';
+    const { result, warnings } = reverse({ both: message });
+
+    assert.deepStrictEqual(result, { both: message });
+    assert.deepStrictEqual(warnings.map(warning => warning.code), ['unsupported-message']);
+  });
+
+  test('keeps invalid messages and reports them', () => {
+    const { result, warnings } = reverse({ broken: 'Hello {name' });
+
+    assert.deepStrictEqual(result, { broken: 'Hello {name' });
+    assert.strictEqual(warnings[0].code, 'invalid-icu');
+    assert.strictEqual(warnings[0].key, 'broken');
+  });
+
+  test('converts strings inside arrays', () => {
+    const { result, warnings } = reverse({
+      steps: ['Open {app}', { title: 'Step {n}' }, '{n, plural, one {#} other {#}}']
+    });
+
+    assert.deepStrictEqual(result, {
+      steps: ['Open {{app}}', { title: 'Step {{n}}' }, '{n, plural, one {#} other {#}}']
+    });
+    assert.deepStrictEqual(warnings.map(warning => [warning.code, warning.key]), [['unsupported-message', 'steps.2']]);
+  });
+
+  test('writes custom interpolation delimiters', () => {
+    const interpolation = { prefix: '__', suffix: '__', nestingPrefix: '$nest(', nestingSuffix: ')' };
+
+    assert.deepStrictEqual(
+      icu2i18next({ text: 'Hi {name}, {total, number} [REF:other]' }, { interpolation }),
+      { text: 'Hi __name__, __total, number__ $nest(other)' }
+    );
+  });
+
+  test('round-trips converted translations', () => {
+    const original = {
+      title: "Don't {{verb}} {this}",
+      item_one: '{{count}} item',
+      item_other: '{{count}} items',
+      place_ordinal_one: '{{count}}st',
+      place_ordinal_other: '{{count}}th',
+      friend: 'A friend',
+      friend_male: 'A boyfriend',
+      price: 'Price: {{value, currency(EUR)}}'
+    };
+
+    assert.deepStrictEqual(icu2i18next(convertTranslations(original)), original);
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { flattenKeys, restructureKeys, unflattenKeys } from '../src/structure.js';
+
+/**
+ * Collect collisions reported while restructuring
+ */
+function collect() {
+  const collisions = [];
+  return { collisions, onCollision: (key) => collisions.push(key) };
+}
+
+describe('Key structure', () => {
+  test('flattens nested objects', () => {
+    const { collisions, onCollision } = collect();
+
+    assert.deepStrictEqual(
+      flattenKeys({ user: { profile: { name: 'Name' }, tags: ['a'] }, title: 'Title' }, '.', onCollision),
+      { 'user.profile.name': 'Name', 'user.tags': ['a'], title: 'Title' }
+    );
+    assert.deepStrictEqual(collisions, []);
+  });
+
+  test('reports collisions while flattening and keeps the first value', () => {
+    const { collisions, onCollision } = collect();
+
+    assert.deepStrictEqual(
+      flattenKeys({ 'user.name': 'Flat', user: { name: 'Nested' } }, '.', onCollision),
+      { 'user.name': 'Flat' }
+    );
+    assert.deepStrictEqual(collisions, ['user.name']);
+  });
+
+  test('unflattens keys with a custom separator and merges objects', () => {
+    const { collisions, onCollision } = collect();
+
+    assert.deepStrictEqual(
+      unflattenKeys({ 'user|name': 'Name', user: { age: 'Age' }, 'user|address': { city: 'City' } }, '|', onCollision),
+      { user: { name: 'Name', age: 'Age', address: { city: 'City' } } }
+    );
+    assert.deepStrictEqual(collisions, []);
+  });
+
+  test('reports messages that would have to hold nested keys', () => {
+    const { collisions, onCollision } = collect();
+
+    assert.deepStrictEqual(
+      unflattenKeys({ user: 'User', 'user.name': 'Name', title: 'A', 'title.x': { y: 'B' } }, '.', onCollision),
+      { user: 'User', title: 'A' }
+    );
+    assert.deepStrictEqual(collisions, ['user', 'title']);
+  });
+
+  test('keeps the structure by default and rejects unknown structures', () => {
+    const translations = { 'a.b': 'c' };
+
+    assert.strictEqual(restructureKeys(translations, 'preserve', '.', () => {}), translations);
+    assert.throws(() => restructureKeys(translations, 'tree', '.', () => {}), /Unknown output structure: tree/);
+  });
+});
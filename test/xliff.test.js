@@ -0,0 +1,119 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { exportXliff, importXliff } from '../src/xliff.js';
+
+describe('XLIFF', () => {
+  describe('exportXliff', () => {
+    test('writes one unit per message inside groups', () => {
+      const xml = exportXliff(
+        { title: 'Title', nav: { home: 'Home' } },
+        { srcLang: 'en', fileId: 'common' }
+      );
+
+      assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+      assert.ok(xml.includes('<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en">'));
+      assert.ok(xml.includes('<file id="common" xml:space="preserve">'));
+      assert.ok(xml.includes('<unit id="title" name="title">'));
+      assert.ok(xml.includes('<group id="nav" name="nav">'));
+      assert.ok(xml.includes('<unit id="nav.home" name="home">'));
+      assert.ok(xml.includes('<source>Home</source>'));
+      assert.ok(!xml.includes('<target>'));
+    });
+
+    test('writes targets and the target locale', () => {
+      const xml = exportXliff(
+        { greeting: 'Hello {name}', bye: 'Bye' },
+        { srcLang: 'en', trgLang: 'de', target: { greeting: 'Hallo {name}' } }
+      );
+
+      assert.ok(xml.includes('srcLang="en" trgLang="de"'));
+      assert.ok(xml.includes('<target>Hallo {name}</target>'));
+      assert.strictEqual(xml.match(/<target>/g).length, 1);
+    });
+
+    test('escapes markup and makes ids valid and unique', () => {
+      const xml = exportXliff(
+        { 'a b': '<b>Tom & Jerry</b>', a_b: 'Other' },
+        { srcLang: 'en' }
+      );
+
+      assert.ok(xml.includes('<source>&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;</source>'));
+      assert.ok(xml.includes('<unit id="a_b" name="a b">'));
+      assert.ok(xml.includes('<unit id="a_b_2" name="a_b">'));
+    });
+
+    test('writes notes on units and unmatched notes on the file', () => {
+      const xml = exportXliff(
+        { items: '{count, plural, other{# items}}' },
+        {
+          srcLang: 'en',
+          notes: [
+            { code: 'missing-plural-category', key: 'items', message: 'Missing "one"' },
+            { code: 'unresolved-reference', key: 'gone', message: 'Cannot resolve "x"' }
+          ]
+        }
+      );
+
+      const fileNotes = xml.indexOf('<note category="unresolved-reference">gone: Cannot resolve &quot;x&quot;</note>');
+      const unitNote = xml.indexOf('<note category="missing-plural-category">Missing &quot;one&quot;</note>');
+      assert.ok(fileNotes !== -1 && fileNotes < xml.indexOf('<unit'));
+      assert.ok(unitNote > xml.indexOf('<unit') && unitNote < xml.indexOf('<segment>'));
+    });
+  });
+
+  describe('importXliff', () => {
+    test('round-trips exported translations', () => {
+      const source = {
+        greeting: 'Hello {name} & <friends>',
+        nav: { home: 'Home', about: 'About' },
+        steps: ['One', 'Two'],
+        multiline: 'Line 1\n  Line 2'
+      };
+      const target = { greeting: 'Hallo {name}', nav: { home: 'Start' }, steps: ['Eins'] };
+
+      const document = importXliff(exportXliff(source, { srcLang: 'en', trgLang: 'de', target }));
+
+      assert.strictEqual(document.srcLang, 'en');
+      assert.strictEqual(document.trgLang, 'de');
+      assert.deepStrictEqual(document.source, source);
+      assert.deepStrictEqual(document.target, target);
+    });
+
+    test('reads segments, CDATA, entities and inline elements', () => {
+      const document = importXliff(`<?xml version="1.0"?>
+<!-- exported by a CAT tool -->
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="fr">
+  <file id="f1">
+    <unit id="u1">
+      <segment><source>Hello </source><target>Bonjour </target></segment>
+      <ignorable><source>&#x7B;name&#125;</source></ignorable>
+    </unit>
+    <unit id="u2" name="note">
+      <segment><source><![CDATA[<b>Bold</b>]]></source><target>Gras <pc id="1">&amp; fin</pc></target></segment>
+    </unit>
+    <unit id="u3"><segment><source>Untranslated</source><target/></segment></unit>
+    <unit id="u4"><segment><source>Missing</source></segment></unit>
+  </file>
+</xliff>`);
+
+      assert.deepStrictEqual(document.target, {
+        u1: 'Bonjour {name}',
+        note: 'Gras & fin',
+        u3: ''
+      });
+      assert.strictEqual(document.source.note, '<b>Bold</b>');
+      assert.strictEqual(document.source.u4, 'Missing');
+    });
+
+    test('rejects documents that are not XLIFF 2', () => {
+      assert.throws(
+        () => importXliff('<xliff version="1.2"><file/></xliff>'),
+        /expected an XLIFF 2.x document/
+      );
+      assert.throws(
+        () => importXliff('<xliff version="2.0"><file></xliff>'),
+        /Invalid XML: unexpected <\/xliff>/
+      );
+    });
+  });
+});